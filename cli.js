@@ -18,11 +18,18 @@
 'use strict';
 
 const fs = require('fs').promises;
+const fsWatch = require('fs').watch;
 const path = require('path');
 const yaml = require('js-yaml');
 
 const FsTemplateProvider = require('./lib/template_provider').FsTemplateProvider;
+const { HttpTemplateProvider } = require('./lib/http_provider');
+const { manifestFileName } = require('./lib/set_manifest');
+const templateTests = require('./lib/template_tests');
+const { fuzzTemplate } = require('./lib/template_fuzz');
 const guiUtils = require('./lib/gui_utils');
+const { LspServer } = require('./lib/lsp_server');
+const { PreviewServer } = require('./lib/preview_server');
 
 let logger = null;
 const setLogger = (argv) => {
@@ -74,11 +81,43 @@ const setLogger = (argv) => {
     }
 };
 
+// In watch mode, a failed command ends the current run instead of the process
+let watching = false;
+const commandFailed = new Error('command failed');
+const exitWithError = () => {
+    if (watching) {
+        throw commandFailed;
+    }
+    process.exit(1);
+};
+
+// Stack traces are mostly noise when re-running on every change
+const errorDetails = e => ((watching) ? e.message : e.stack);
+
+const providers = {};
+const getProvider = (tsDir, tsName) => {
+    const key = path.join(tsDir, tsName);
+    if (!providers[key]) {
+        providers[key] = new FsTemplateProvider(tsDir, [tsName]);
+    }
+    return providers[key];
+};
+
+const formatValidationErrors = (validationErrors, defaultFile) => validationErrors
+    .map((error) => {
+        const location = [error.file || defaultFile, error.line, error.column]
+            .filter(x => x !== null && typeof x !== 'undefined')
+            .join(':');
+        const details = (error.details) ? ` (${error.details})` : '';
+        return `${location}: ${error.message}${details}`;
+    })
+    .join('\n');
+
 const loadTemplate = (templatePath) => {
     const tmplName = path.basename(templatePath, path.extname(templatePath));
     const tsName = path.basename(path.dirname(templatePath));
     const tsDir = path.dirname(path.dirname(templatePath));
-    const provider = new FsTemplateProvider(tsDir, [tsName]);
+    const provider = getProvider(tsDir, tsName);
     return provider.fetch(`${tsName}/${tmplName}`)
         .catch((e) => {
             const validationErrors = e.validationErrors;
@@ -88,11 +127,10 @@ const loadTemplate = (templatePath) => {
                 if (logger.isJSON) {
                     logger.output.validationErrors = validationErrors;
                 } else {
-                    logger.error('validation errors:');
-                    logger.error(validationErrors);
+                    logger.error(formatValidationErrors(validationErrors, templatePath));
                 }
             }
-            process.exit(1);
+            exitWithError();
         });
 };
 
@@ -101,15 +139,28 @@ const loadParameters = (parametersPath) => {
     return fs.readFile(parametersPath, 'utf8')
         .then(paramsData => yaml.load(paramsData))
         .catch((e) => {
-            logger.error(`Failed to load the parameters file:\n${e.stack}`);
-            process.exit(1);
+            logger.error(`Failed to load the parameters file:\n${errorDetails(e)}`);
+            exitWithError();
         });
 };
 
-const loadTemplateAndParameters = (templatePath, parametersPath) => Promise.all([
+const loadTemplateAndParameters = (templatePath, parametersPath, exampleName) => Promise.all([
     loadTemplate(templatePath),
     loadParameters(parametersPath)
-]);
+])
+    .then(([tmpl, parameters]) => {
+        if (!exampleName) {
+            return [tmpl, parameters];
+        }
+        let example;
+        try {
+            example = tmpl.getExample(exampleName);
+        } catch (e) {
+            logger.error(e.message);
+            exitWithError();
+        }
+        return [tmpl, Object.assign(example, parameters)];
+    });
 
 const validateTemplate = templatePath => loadTemplate(templatePath)
     .then(() => {
@@ -123,7 +174,7 @@ const templateToParametersSchema = templatePath => loadTemplate(templatePath)
     })
     .catch((e) => {
         logger.error(`Failed to generate schema:\n${e.stack}`);
-        process.exit(1);
+        exitWithError();
     });
 
 const templateToParametersSchemaGui = templatePath => loadTemplate(templatePath)
@@ -134,7 +185,19 @@ const templateToParametersSchemaGui = templatePath => loadTemplate(templatePath)
     })
     .catch((e) => {
         logger.error(`Failed to generate schema:\n${e.stack}`);
-        process.exit(1);
+        exitWithError();
+    });
+
+const generateSampleParameters = (templatePath, mode) => loadTemplate(templatePath)
+    .then((tmpl) => {
+        logger.log(tmpl.generateSampleParameters({ mode }));
+    })
+    .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
+        logger.error(`Failed to generate sample parameters:\n${errorDetails(e)}`);
+        exitWithError();
     });
 
 const validateParameters = (templatePath, parametersPath) => loadTemplateAndParameters(templatePath, parametersPath)
@@ -154,10 +217,14 @@ const validateParameters = (templatePath, parametersPath) => loadTemplateAndPara
         } else {
             logger.error(`parameters failed validation: ${e.stack}`);
         }
-        process.exit(1);
+        exitWithError();
     });
 
-const renderTemplate = (templatePath, parametersPath) => loadTemplateAndParameters(templatePath, parametersPath)
+const renderTemplate = (templatePath, parametersPath, exampleName) => loadTemplateAndParameters(
+    templatePath,
+    parametersPath,
+    exampleName
+)
     .then(([tmpl, parameters]) => Promise.all([
         Promise.resolve(tmpl),
         tmpl.fetchHttp()
@@ -167,6 +234,9 @@ const renderTemplate = (templatePath, parametersPath) => loadTemplateAndParamete
         logger.log(tmpl.render(parameters));
     })
     .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
         if (e.validationErrors) {
             logger.error('Failed to render template since parameters failed validation');
             if (logger.isJSON) {
@@ -177,15 +247,47 @@ const renderTemplate = (templatePath, parametersPath) => loadTemplateAndParamete
                 logger.error(`\nSupplied parameters:\n${JSON.stringify(e.parameters, null, 2)}`);
             }
         } else {
-            logger.error(`Failed to render template:\n${e.stack}`);
+            logger.error(`Failed to render template:\n${errorDetails(e)}`);
         }
-        process.exit(1);
+        exitWithError();
+    });
+
+const diffTemplate = (templatePath, oldParametersPath, newParametersPath, format) => Promise.all([
+    loadTemplate(templatePath),
+    loadParameters(oldParametersPath),
+    loadParameters(newParametersPath)
+])
+    .then(([tmpl, oldParameters, newParameters]) => {
+        const diff = tmpl.diff(oldParameters, newParameters, { format });
+        if (format !== 'json-patch' && diff === '') {
+            logger.log('rendered results are identical');
+        } else {
+            logger.log(diff);
+        }
+    })
+    .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
+        if (e.validationErrors) {
+            logger.error('Failed to diff template since parameters failed validation');
+            if (logger.isJSON) {
+                logger.output.templateParameters = e.parameters;
+                logger.output.validationErrors = e.validationErrors;
+            } else {
+                logger.error(JSON.stringify(e.validationErrors, null, 2));
+                logger.error(`\nSupplied parameters:\n${JSON.stringify(e.parameters, null, 2)}`);
+            }
+        } else {
+            logger.error(`Failed to diff template:\n${errorDetails(e)}`);
+        }
+        exitWithError();
     });
 
 const validateTemplateSet = (tsPath) => {
     const tsName = path.basename(tsPath);
     const tsDir = path.dirname(tsPath);
-    const provider = new FsTemplateProvider(tsDir, [tsName]);
+    const provider = getProvider(tsDir, tsName);
     let errorFound = false;
     return provider.list()
         .then(templateList => Promise.all(
@@ -205,7 +307,7 @@ const validateTemplateSet = (tsPath) => {
                                 });
                             } else {
                                 logger.error(errMsg);
-                                logger.error(validationErrors);
+                                logger.error(formatValidationErrors(validationErrors, tmpl));
                             }
                         }
                         errorFound = true;
@@ -213,39 +315,257 @@ const validateTemplateSet = (tsPath) => {
 
             )
         ))
+        // Dependencies are looked up in the sibling template sets
+        .then(() => new FsTemplateProvider(tsDir).validateManifest(tsName))
+        .then((manifestErrors) => {
+            manifestErrors.forEach((error) => {
+                const errMsg = `Manifest ${tsName}/${manifestFileName} failed validation: ${error}`;
+                if (logger.isJSON) {
+                    if (!logger.output.errors) {
+                        logger.output.errors = [];
+                    }
+                    logger.output.errors.push({ message: errMsg });
+                } else {
+                    logger.error(errMsg);
+                }
+                errorFound = true;
+            });
+        })
         .then(() => {
             if (errorFound) {
                 logger.error(`Template set "${tsName}" failed validation`);
-                process.exit(1);
+                exitWithError();
+            }
+            if (watching) {
+                logger.log(`Template set "${tsName}" is valid`);
             }
         })
         .catch((e) => {
-            logger.error(`Template set "${tsName}" failed validation:\n${e.stack}`);
-            process.exit(1);
+            if (e === commandFailed) {
+                throw e;
+            }
+            logger.error(`Template set "${tsName}" failed validation:\n${errorDetails(e)}`);
+            exitWithError();
         });
 };
 
-const htmlPreview = (templatePath, parametersPath) => loadTemplateAndParameters(templatePath, parametersPath)
+const htmlPreview = (templatePath, parametersPath, offline, exampleName) => loadTemplateAndParameters(
+    templatePath,
+    parametersPath,
+    exampleName
+)
     .then(([tmpl, parameters]) => guiUtils.generateHtmlPreview(
         tmpl.getParametersSchema(),
-        tmpl.getCombinedParameters(parameters)
+        tmpl.getCombinedParameters(parameters),
+        { offline, template: tmpl }
     ))
     .then(htmlData => logger.log(htmlData));
 
-const packageTemplateSet = (tsPath, dst) => validateTemplateSet(tsPath)
-    .then(() => {
+const packageTemplateSet = (tsPath, dst, signingKeyPath) => validateTemplateSet(tsPath)
+    .then(() => signingKeyPath && fs.readFile(signingKeyPath))
+    .then((privateKey) => {
         const tsName = path.basename(tsPath);
         const tsDir = path.dirname(tsPath);
         const provider = new FsTemplateProvider(tsDir, [tsName]);
 
         dst = dst || `./${tsName}.zip`;
 
-        return provider.buildPackage(tsName, dst)
+        return provider.buildPackage(tsName, dst, { privateKey })
             .then(() => {
-                logger.log(`Template set "${tsName}" packaged as ${dst}`);
+                logger.log(`Template set "${tsName}" packaged as ${dst}${(privateKey) ? ' (signed)' : ''}`);
             });
+    })
+    .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
+        logger.error(`Failed to package template set:\n${errorDetails(e)}`);
+        exitWithError();
     });
 
+const buildIndex = (rootPath, dst) => {
+    const provider = new FsTemplateProvider(rootPath);
+
+    dst = dst || path.join(rootPath, 'index.json');
+
+    return provider.listSets()
+        .then(sets => sets.reduce(
+            (promise, tsName) => promise.then(() => validateTemplateSet(path.join(rootPath, tsName))),
+            Promise.resolve()
+        ))
+        .then(() => HttpTemplateProvider.buildIndex(provider))
+        .then(index => fs.writeFile(dst, `${JSON.stringify(index, null, 2)}\n`)
+            .then(() => {
+                logger.log(`Index of ${Object.keys(index.sets).length} template set(s) written to ${dst}`);
+            }));
+};
+
+const testTemplateSet = (tsPath, reporter) => templateTests.runTests(tsPath)
+    .then((results) => {
+        if (logger.isJSON) {
+            logger.log(results);
+        } else {
+            logger.log((reporter === 'junit') ? templateTests.formatJUnit(results) : templateTests.formatTap(results));
+        }
+        if (results.failed > 0) {
+            exitWithError();
+        }
+    })
+    .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
+        logger.error(`Failed to run template set tests:\n${errorDetails(e)}`);
+        exitWithError();
+    });
+
+const snapshotTemplateSet = (tsPath, update, reporter) => templateTests.runSnapshots(tsPath, { update })
+    .then((results) => {
+        if (logger.isJSON) {
+            logger.log(results);
+        } else if (update && results.failed === 0) {
+            const tsName = path.basename(path.resolve(tsPath));
+            logger.log(
+                `Snapshots of template set "${tsName}" updated: `
+                + `${results.written.length} file(s) written, ${results.removed.length} removed`
+            );
+        } else {
+            logger.log((reporter === 'junit') ? templateTests.formatJUnit(results) : templateTests.formatTap(results));
+        }
+        if (results.failed > 0) {
+            exitWithError();
+        }
+    })
+    .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
+        logger.error(`Failed to check template set snapshots:\n${errorDetails(e)}`);
+        exitWithError();
+    });
+
+const fuzzTemplateFile = (templatePath, runs, seed, schemaPath) => Promise.all([
+    loadTemplate(templatePath),
+    schemaPath && fs.readFile(schemaPath, 'utf8')
+        .then(schemaData => yaml.load(schemaData))
+        .catch((e) => {
+            logger.error(`Failed to load the target schema:\n${errorDetails(e)}`);
+            exitWithError();
+        })
+])
+    .then(([tmpl, targetSchema]) => fuzzTemplate(tmpl, { runs, seed, targetSchema }))
+    .then((results) => {
+        if (logger.isJSON) {
+            logger.log(results);
+        } else if (!results.failure) {
+            logger.log(
+                `${results.passed} of ${results.runs} runs passed `
+                + `(${results.invalid} skipped with invalid parameters, seed ${results.seed})`
+            );
+        } else {
+            const failure = results.failure;
+            logger.error(
+                `Run ${failure.run} failed the ${failure.invariant} check `
+                + `(seed ${results.seed}):\n${failure.message}`
+            );
+            logger.error(`\nMinimal parameters (shrunk in ${failure.shrinkSteps} steps):`);
+            logger.error(JSON.stringify(failure.shrunkParameters, null, 2));
+        }
+        if (results.failure) {
+            exitWithError();
+        }
+    })
+    .catch((e) => {
+        if (e === commandFailed) {
+            throw e;
+        }
+        logger.error(`Failed to fuzz template:\n${errorDetails(e)}`);
+        exitWithError();
+    });
+
+const watchExtensions = ['.yaml', '.yml', '.mst', '.json', '.data'];
+
+const watchAndRun = (tsPath, extraFiles, run) => {
+    watching = true;
+
+    // Watch directories instead of files since editors often save by replacing the file
+    const filters = {};
+    const addFilter = (dir, filter) => {
+        filters[dir] = filters[dir] || [];
+        filters[dir].push(filter);
+    };
+    addFilter(path.resolve(tsPath), filename => watchExtensions.includes(path.extname(filename)));
+    extraFiles
+        .filter(file => file)
+        .forEach((file) => {
+            addFilter(path.dirname(path.resolve(file)), filename => filename === path.basename(file));
+        });
+
+    const runOnce = () => Promise.resolve()
+        .then(() => run())
+        .catch((e) => {
+            if (e !== commandFailed) {
+                logger.error(errorDetails(e));
+            }
+        });
+
+    let queue = runOnce();
+    let timer = null;
+    const changedFiles = new Set();
+    Object.keys(filters).forEach((dir) => {
+        fsWatch(dir, (eventType, filename) => {
+            if (!filename || !filters[dir].some(filter => filter(filename))) {
+                return;
+            }
+            changedFiles.add(path.join(dir, filename));
+
+            // Editors can emit several events for a single save
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const changed = Array.from(changedFiles);
+                changedFiles.clear();
+                queue = queue.then(() => {
+                    Object.keys(providers).forEach(key => providers[key].invalidateCache());
+                    logger.error(`\n${changed.join(', ')} changed, re-running`);
+                    return runOnce();
+                });
+            }, 100);
+        });
+    });
+    logger.error(`watching ${Object.keys(filters).join(', ')} for changes`);
+    return queue;
+};
+
+const watchOption = (yargs) => {
+    yargs
+        .option('watch', {
+            describe: 'watch the template set (and parameter file) for changes and re-run the command',
+            type: 'boolean'
+        })
+        .conflicts('watch', 'json-output');
+};
+
+const servePreview = (tsPath, port, host) => {
+    const server = new PreviewServer(tsPath, { port, host });
+    return server.start()
+        .then((serverUrl) => {
+            logger.log(`Serving template set "${server.tsName}" at ${serverUrl} (press Ctrl+C to stop)`);
+        })
+        .catch((e) => {
+            logger.error(`Failed to start the preview server: ${e.message}`);
+            exitWithError();
+        });
+};
+
+const startLanguageServer = () => {
+    const server = new LspServer(process.stdin, process.stdout);
+    server.on('exit', (code) => {
+        // Flush any pending responses before exiting
+        process.stdout.write('', () => process.exit(code));
+    });
+    server.listen();
+};
+
 /* eslint-disable-next-line no-unused-expressions */
 require('yargs')
     .option('json-output', {
@@ -257,7 +577,13 @@ require('yargs')
             .positional('file', {
                 describe: 'template source file to validate'
             });
-    }, argv => validateTemplate(argv.file))
+        watchOption(yargs);
+    }, (argv) => {
+        if (argv.watch) {
+            return watchAndRun(path.dirname(argv.file), [], () => validateTemplate(argv.file));
+        }
+        return validateTemplate(argv.file);
+    })
     .command('schema <file>', 'get template parameter schema for given template source file', (yargs) => {
         yargs
             .positional('file', {
@@ -286,14 +612,81 @@ require('yargs')
             })
             .positional('parameterFile', {
                 describe: 'optional file with template parameters to use in addition to any defined in the parameters in the template source file'
+            })
+            .option('example', {
+                describe: 'name of an example from the template to use as parameters (the parameter file overrides its values)',
+                type: 'string'
             });
-    }, argv => renderTemplate(argv.tmplFile, argv.parameterFile))
+        watchOption(yargs);
+    }, (argv) => {
+        if (argv.watch) {
+            return watchAndRun(
+                path.dirname(argv.tmplFile),
+                [argv.parameterFile],
+                () => renderTemplate(argv.tmplFile, argv.parameterFile, argv.example)
+            );
+        }
+        return renderTemplate(argv.tmplFile, argv.parameterFile, argv.example);
+    })
+    .command('sample <tmplFile>', 'generate a sample parameter file for given template source file', (yargs) => {
+        yargs
+            .positional('tmplFile', {
+                describe: 'template source file to generate parameters for'
+            })
+            .option('mode', {
+                describe: 'only include required parameters (minimal) or all of them (maximal)',
+                choices: ['minimal', 'maximal'],
+                default: 'maximal'
+            });
+    }, argv => generateSampleParameters(argv.tmplFile, argv.mode))
+    .command('fuzz <tmplFile>', 'render given template file with random parameters and check the results', (yargs) => {
+        yargs
+            .positional('tmplFile', {
+                describe: 'template source file to fuzz'
+            })
+            .option('runs', {
+                describe: 'number of random parameter sets to render',
+                type: 'number',
+                default: 100
+            })
+            .option('seed', {
+                describe: 'seed for the random parameters (to reproduce an earlier run)',
+                type: 'number'
+            })
+            .option('schema', {
+                describe: 'JSON schema (JSON or YAML file) the rendered output must pass',
+                type: 'string'
+            });
+    }, argv => fuzzTemplateFile(argv.tmplFile, argv.runs, argv.seed, argv.schema))
+    .command('diff <tmplFile> <oldParameterFile> <newParameterFile>', 'show the differences between rendering a template with two sets of parameters', (yargs) => {
+        yargs
+            .positional('tmplFile', {
+                describe: 'template source file to render'
+            })
+            .positional('oldParameterFile', {
+                describe: 'file with the original template parameters'
+            })
+            .positional('newParameterFile', {
+                describe: 'file with the updated template parameters'
+            })
+            .option('format', {
+                describe: 'output format for the differences',
+                choices: ['text', 'json-patch'],
+                default: 'text'
+            });
+    }, argv => diffTemplate(argv.tmplFile, argv.oldParameterFile, argv.newParameterFile, argv.format))
     .command('validateTemplateSet <templateSetPath>', 'validate supplied template set', (yargs) => {
         yargs
             .positional('templateSetPath', {
                 describe: 'path to the directory containing template sources'
             });
-    }, argv => validateTemplateSet(argv.templateSetPath))
+        watchOption(yargs);
+    }, (argv) => {
+        if (argv.watch) {
+            return watchAndRun(argv.templateSetPath, [], () => validateTemplateSet(argv.templateSetPath));
+        }
+        return validateTemplateSet(argv.templateSetPath);
+    })
     .command('htmlpreview <tmplFile> [parameterFile]', 'generate a static HTML file with a preview editor to standard out', (yargs) => {
         yargs
             .positional('tmplFile', {
@@ -301,8 +694,26 @@ require('yargs')
             })
             .positional('parameterFile', {
                 describe: 'optional file with template parameters to use in addition to any defined in the parameters in the template source file'
+            })
+            .option('offline', {
+                describe: 'inline stylesheets and scripts so the page works without network access',
+                type: 'boolean'
+            })
+            .option('example', {
+                describe: 'name of an example from the template to use as parameters (the parameter file overrides its values)',
+                type: 'string'
             });
-    }, argv => htmlPreview(argv.tmplFile, argv.parameterFile))
+        watchOption(yargs);
+    }, (argv) => {
+        if (argv.watch) {
+            return watchAndRun(
+                path.dirname(argv.tmplFile),
+                [argv.parameterFile],
+                () => htmlPreview(argv.tmplFile, argv.parameterFile, argv.offline, argv.example)
+            );
+        }
+        return htmlPreview(argv.tmplFile, argv.parameterFile, argv.offline, argv.example);
+    })
     .command('packageTemplateSet <templateSetPath> [dst]', 'build a package for a given template set', (yargs) => {
         yargs
             .positional('templateSetPath', {
@@ -310,8 +721,64 @@ require('yargs')
             })
             .positional('dst', {
                 describe: 'optional location for the built package (defaults to the current working directory)'
+            })
+            .option('signing-key', {
+                describe: 'sign the package with the Ed25519 or RSA private key in this PEM file',
+                type: 'string'
+            });
+    }, argv => packageTemplateSet(argv.templateSetPath, argv.dst, argv.signingKey))
+    .command('buildIndex <templateSetsPath> [dst]', 'build an index for publishing template sets to a web server', (yargs) => {
+        yargs
+            .positional('templateSetsPath', {
+                describe: 'path to the directory containing template set directories'
+            })
+            .positional('dst', {
+                describe: 'optional location for the index (defaults to index.json in templateSetsPath)'
+            });
+    }, argv => buildIndex(argv.templateSetsPath, argv.dst))
+    .command('test <templateSetPath>', 'render the test fixtures of a template set and compare the results', (yargs) => {
+        yargs
+            .positional('templateSetPath', {
+                describe: 'path to the directory containing template sources (fixtures are read from its tests directory)'
+            })
+            .option('reporter', {
+                describe: 'output format for the test results',
+                choices: ['tap', 'junit'],
+                default: 'tap'
+            });
+    }, argv => testTemplateSet(argv.templateSetPath, argv.reporter))
+    .command('snapshot <templateSetPath>', 'compare rendered templates with the snapshots stored in a template set', (yargs) => {
+        yargs
+            .positional('templateSetPath', {
+                describe: 'path to the directory containing template sources (snapshots are stored in tests/__snapshots__)'
+            })
+            .option('update', {
+                describe: 'rewrite the snapshots with the current rendered output',
+                type: 'boolean'
+            })
+            .option('reporter', {
+                describe: 'output format for the snapshot results',
+                choices: ['tap', 'junit'],
+                default: 'tap'
+            });
+    }, argv => snapshotTemplateSet(argv.templateSetPath, argv.update, argv.reporter))
+    .command('serve <templateSetPath>', 'run a local preview server that renders templates as parameters are edited', (yargs) => {
+        yargs
+            .positional('templateSetPath', {
+                describe: 'path to the directory containing template sources'
+            })
+            .option('port', {
+                describe: 'port to listen on',
+                type: 'number',
+                default: 8080
+            })
+            .option('host', {
+                describe: 'host name or address to listen on',
+                type: 'string',
+                default: 'localhost'
             });
-    }, argv => packageTemplateSet(argv.templateSetPath, argv.dst))
+    }, argv => servePreview(argv.templateSetPath, argv.port, argv.host))
+    .command('lsp', 'start a Language Server Protocol server for template files over stdio', () => {}, () => startLanguageServer())
     .demandCommand(1, 'A command is required')
     .wrap(120)
     .strict()
@@ -26,11 +26,21 @@ const {
     CompositeTemplateProvider
 } = require('./lib/template_provider');
 const { GitHubTemplateProvider, GitHubSchemaProvider } = require('./lib/github_provider');
+const { GitLabTemplateProvider, GitLabSchemaProvider } = require('./lib/gitlab_provider');
+const { BitbucketServerTemplateProvider, BitbucketServerSchemaProvider } = require('./lib/bitbucket_provider');
+const { GitTemplateProvider, GitSchemaProvider } = require('./lib/git_provider');
+const { HttpTemplateProvider, HttpSchemaProvider } = require('./lib/http_provider');
+const { ZipTemplateProvider, ZipSchemaProvider } = require('./lib/zip_provider');
 const {
     Template, mergeStrategies, postProcessStrategies, transformStrategies
 } = require('./lib/template');
 const guiUtils = require('./lib/gui_utils');
+const signing = require('./lib/signing');
+const templateTests = require('./lib/template_tests');
+const templateFuzz = require('./lib/template_fuzz');
 const TransactionLogger = require('./lib/transaction_logger');
+const { LspServer } = require('./lib/lsp_server');
+const { PreviewServer } = require('./lib/preview_server');
 
 module.exports = {
     FsSchemaProvider,
@@ -41,11 +51,26 @@ module.exports = {
     CompositeTemplateProvider,
     GitHubTemplateProvider,
     GitHubSchemaProvider,
+    GitLabTemplateProvider,
+    GitLabSchemaProvider,
+    BitbucketServerTemplateProvider,
+    BitbucketServerSchemaProvider,
+    GitTemplateProvider,
+    GitSchemaProvider,
+    HttpTemplateProvider,
+    HttpSchemaProvider,
+    ZipTemplateProvider,
+    ZipSchemaProvider,
     Template,
     mergeStrategies,
     postProcessStrategies,
     transformStrategies,
     guiUtils,
+    signing,
+    templateTests,
+    templateFuzz,
     dataStores,
-    TransactionLogger
+    TransactionLogger,
+    LspServer,
+    PreviewServer
 };
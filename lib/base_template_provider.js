@@ -0,0 +1,367 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const ResourceCache = require('./resource_cache').ResourceCache;
+const signing = require('./signing');
+const setManifest = require('./set_manifest');
+
+/**
+ * Abstract base class for TemplateProvider classes
+ */
+class BaseTemplateProvider {
+    /**
+     * @param {object} [supportedHashes={}] - an optional map of hash values to validate against
+     * @param {object} [options]
+     * @param {Array} [options.trustedKeys=[]] - public keys (PEM strings, Buffers, or KeyObjects) to accept
+     *     template set signatures from (see verifySet())
+     * @param {boolean} [options.strictSignatures=false] - refuse to load templates, schemas, and data files
+     *     from template sets that are not signed by a trusted key or do not match their signature
+     * @param {object} [options.cache] - options for the template cache (`maxSize`, `ttl`, and `sizeOf`, see
+     *     ResourceCache)
+     */
+    constructor(supportedHashes, options) {
+        if (new.target === BaseTemplateProvider) {
+            throw new TypeError('Cannot instantiate Abstract BaseTemplateProvider');
+        }
+
+        const abstractMethods = [
+            '_loadTemplate',
+            'listSets',
+            'removeSet',
+            'list',
+            'getSchemas',
+            'getDataFiles'
+        ];
+        abstractMethods.forEach((method) => {
+            if (this[method] === undefined) {
+                throw new TypeError(`Expected ${method} to be defined`);
+            }
+        });
+
+        options = options || {};
+        this.supportedHashes = supportedHashes || {};
+        this.trustedKeys = options.trustedKeys || [];
+        this.strictSignatures = !!options.strictSignatures;
+        this._signatureChecks = new Map();
+
+        this.cache = new ResourceCache((
+            tmplName => this._checkSignature(tmplName.split('/')[0])
+                .then(() => this._loadTemplate(tmplName))
+        ), options.cache);
+    }
+
+    /**
+     * Clear any cache associated with this provider
+     *
+     * The template cache is an LRU cache (see `ResourceCache`); its `maxSize` and `ttl` can be
+     * adjusted through the provider's `cache` property.
+     *
+     * @param {string} [key] - only remove the cached template with this key
+     */
+    invalidateCache(key) {
+        this.cache.invalidate(key);
+        if (typeof key === 'undefined') {
+            this._signatureChecks.clear();
+        }
+    }
+
+    /**
+     * Get hit, miss, and eviction counts for the template cache
+     *
+     * @returns {object}
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    /**
+     * Get the files of a template set that are covered by its signature (along with the signature file)
+     *
+     * Providers that support signed template sets override this.
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an object mapping file names to file contents
+     */
+    _getSetFiles(setName) {
+        return Promise.reject(new Error(
+            `failed to verify template set "${setName}": signatures are not supported by ${this.constructor.name}`
+        ));
+    }
+
+    /**
+     * Check the signature of a template set against the provider's trusted keys
+     *
+     * Signed template sets contain a `fast.sig` file (see `buildPackage()`) with a manifest of the sha256
+     * digest of each template, schema, and data file. The result has `signed` and `verified` booleans,
+     * the `keyId` of the signing key, and an `error` explaining why the template set could not be verified.
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an object
+     */
+    verifySet(setName) {
+        return this._getSetFiles(setName)
+            .then(files => signing.verifyTemplateSet(files, this.trustedKeys));
+    }
+
+    /**
+     * Get the contents of the manifest file of a template set
+     *
+     * Providers that support template set manifests override this.
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to a string (or `null` if the template set has no manifest)
+     */
+    _readManifest() {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Get the manifest of a template set
+     *
+     * Template sets can describe themselves with an optional `fast-set.yaml` file containing a `name`,
+     * semantic `version`, `description`, `author`, the oldest version of f5-fast-core they work with
+     * (`minCoreVersion`), and the schema they use from other template sets (`dependencies`).
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an object (or `null` if the template set has no manifest)
+     */
+    getManifest(setName) {
+        return this._readManifest(setName)
+            .then(text => ((text === null) ? null : setManifest.parseManifest(text)))
+            .catch(e => Promise.reject(new Error(
+                `failed to load manifest of template set "${setName}": ${e.message}`
+            )));
+    }
+
+    /**
+     * Check the manifest of a template set
+     *
+     * Besides the contents of the manifest, this checks the manifest name matches the template set name,
+     * the running version of f5-fast-core is new enough, and every dependency is known to this provider
+     * with a new enough version and the listed schema. Template sets without a manifest have no errors.
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an array of error messages
+     */
+    validateManifest(setName) {
+        return this.getManifest(setName)
+            .then(manifest => ((manifest === null) ? [] : setManifest.checkManifest(setName, manifest, this)))
+            .catch(e => [e.message]);
+    }
+
+    _checkSignature(setName) {
+        if (!this.strictSignatures) {
+            return Promise.resolve();
+        }
+        if (!this._signatureChecks.has(setName)) {
+            this._signatureChecks.set(setName, this.verifySet(setName)
+                .then((result) => {
+                    if (!result.verified) {
+                        return Promise.reject(new Error(
+                            `template set "${setName}" failed signature verification: ${result.error}`
+                        ));
+                    }
+                    return Promise.resolve();
+                })
+                .catch((e) => {
+                    this._signatureChecks.delete(setName);
+                    return Promise.reject(e);
+                }));
+        }
+        return this._signatureChecks.get(setName);
+    }
+
+    /**
+     * Get the template associated with the supplied key
+     *
+     * @param {string} key
+     * @returns {Promise} Promise resolves to `Template`
+     */
+    fetch(key) {
+        return this.cache.fetch(key);
+    }
+
+    /**
+     * Get the template set associated with the supplied ID
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an object containing template set information
+     */
+    fetchSet(setName) {
+        return this.list(setName)
+            .then(tmplList => Promise.all(tmplList.map(tmplName => Promise.all([
+                Promise.resolve(tmplName),
+                this.fetch(tmplName)
+                    .catch(e => Promise.reject(new Error(
+                        `Failed to load ${tmplName}: ${e.message}`
+                    )))
+            ]))))
+            .then(tmplList => tmplList.reduce((acc, curr) => {
+                const [tmplName, tmplData] = curr;
+                acc[tmplName] = tmplData;
+                return acc;
+            }, {}));
+    }
+
+    /**
+     * Determine if the provided template set ID is known to the provider
+     *
+     * @param {string} setid
+     */
+    hasSet(setid) {
+        return this.listSets()
+            .then(sets => sets.includes(setid));
+    }
+
+    /**
+     * Get an object with a count of each template source type known to the provider.
+     *
+     * This is an object with properties being each unique type found and the values
+     * are the number of times that type was found.
+     *
+     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
+     * @returns {Promise} Promise resolves to an object
+     */
+    getNumTemplateSourceTypes(filteredSetName) {
+        const sourceTypes = {};
+        const filteredSetList = (filteredSetName && [filteredSetName]) || [];
+        return this.list(filteredSetList)
+            .then(tmplList => Promise.all(tmplList.map(tmpl => this.fetch(tmpl))))
+            .then(tmplList => tmplList.forEach((tmpl) => {
+                if (!sourceTypes[tmpl.sourceType]) {
+                    sourceTypes[tmpl.sourceType] = 0;
+                }
+                sourceTypes[tmpl.sourceType] += 1;
+            }))
+            .then(() => sourceTypes);
+    }
+
+    /**
+     * Get the number of schema objects known to this provider
+     *
+     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
+     * @returns {Promise} Promise resolves to a number
+     */
+    getNumSchema(filteredSetName) {
+        return this.getSchemas(filteredSetName)
+            .then(schemas => Object.keys(schemas).length);
+    }
+
+    /**
+     * Get data associated with the given template set
+     *
+     * If the provider has trusted keys, the result of verifySet() is included as `signature`.
+     * If the template set has a manifest (see getManifest()), it is included as `manifest`. A manifest that
+     * fails to load is reported as `manifest: { errors: [...] }` instead (see validateManifest()).
+     * Each template includes its named parameter sets (`parameterExamples`) as `examples`.
+     *
+     * @returns {Promise} Promise resolves to an object
+     */
+    getSetData(setName) {
+        return Promise.all([
+            this.fetchSet(setName),
+            this.getSchemas(setName),
+            this.getDataFiles(setName),
+            (this.trustedKeys.length > 0) ? this.verifySet(setName) : null,
+            this.getManifest(setName)
+                .catch(e => ({ errors: [e.message] }))
+        ])
+            .then(([templates, schemas, dataFiles, signature, manifest]) => {
+                const tsHash = crypto.createHash('sha256');
+                const tmplHashes = Object.values(templates).map(x => x.sourceHash).sort();
+                tmplHashes.forEach((hash) => {
+                    tsHash.update(hash);
+                });
+                const schemaHashes = Object.values(schemas).map(x => x.hash).sort();
+                schemaHashes.forEach((hash) => {
+                    tsHash.update(hash);
+                });
+                const dataHashes = Object.values(dataFiles).map(x => x.hash).sort();
+                dataHashes.forEach((hash) => {
+                    tsHash.update(hash);
+                });
+
+                const tsHashDigest = tsHash.digest('hex');
+                const supported = (
+                    Object.keys(this.supportedHashes).includes(setName)
+                    && this.supportedHashes[setName].includes(tsHashDigest)
+                );
+                const setData = {
+                    name: setName,
+                    hash: tsHashDigest,
+                    supported,
+                    templates: Object.keys(templates).reduce((acc, curr) => {
+                        const tmpl = templates[curr];
+                        acc.push({
+                            name: curr,
+                            hash: tmpl.sourceHash,
+                            description: tmpl.description,
+                            title: tmpl.title,
+                            examples: tmpl.parameterExamples || {}
+                        });
+                        return acc;
+                    }, []),
+                    schemas: Object.keys(schemas).reduce((acc, curr) => {
+                        const schema = schemas[curr];
+                        acc.push({
+                            name: schema.name,
+                            hash: schema.hash
+                        });
+                        return acc;
+                    }, []),
+                    dataFiles: Object.keys(dataFiles).reduce((acc, curr) => {
+                        const data = dataFiles[curr];
+                        acc.push({
+                            name: data.name,
+                            hash: data.hash
+                        });
+                        return acc;
+                    }, [])
+                };
+                if (signature) {
+                    setData.signature = signature;
+                }
+                if (manifest) {
+                    setData.manifest = manifest;
+                }
+                return setData;
+            });
+    }
+
+    /**
+     * Determine if the provided file name has a supported template file extension
+     *
+     * The template set manifest (`fast-set.yaml`) is never treated as a template.
+     *
+     * @param {string} fileName - the file name to check
+     * @returns {boolean}
+     */
+    hasTemplateExtension(fileName) {
+        if (fileName === setManifest.manifestFileName) {
+            return false;
+        }
+        return fileName.endsWith('.yml')
+            || fileName.endsWith('.yaml')
+            || fileName.endsWith('.mst');
+    }
+}
+
+module.exports = {
+    BaseTemplateProvider
+};
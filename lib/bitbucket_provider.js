@@ -0,0 +1,180 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { BaseContentsApi } = require('./contents_api');
+const {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+} = require('./contents_api_provider');
+
+const browsePageSize = 1000;
+
+/**
+ * Client for the Bitbucket Server (and Bitbucket Data Center) REST API
+ *
+ * Shares the ETag caching, on-disk cache, and rate limit handling of BaseContentsApi with GitHubContentsApi.
+ */
+class BitbucketServerApi extends BaseContentsApi {
+    /**
+     * @param {string} repo - repository in `PROJECT/repo` form (project key and repository slug)
+     * @param {object} options - the options of BaseContentsApi along with:
+     * @param {string} options.baseUrl - URL of the Bitbucket Server instance
+     * @param {string} [options.apiToken] - HTTP access token or personal access token
+     */
+    constructor(repo, options) {
+        options = options || {};
+        if (!options.baseUrl) {
+            throw new Error('a baseUrl is required for Bitbucket Server');
+        }
+        const [projectKey, repoSlug] = repo.split('/');
+        const repoUrl = `${options.baseUrl.replace(/\/$/, '')}/rest/api/1.0/projects/${projectKey}/repos/${repoSlug}`;
+        const axiosConfig = {
+            baseURL: `${repoUrl}/`
+        };
+        if (options.apiToken) {
+            axiosConfig.headers = {
+                Authorization: `Bearer ${options.apiToken}`
+            };
+        }
+        super(repo, axiosConfig, options);
+
+        this.repoUrl = repoUrl;
+        this.apiName = 'Bitbucket Server API';
+    }
+
+    _errorMessage(data) {
+        return (data && data.errors) ? data.errors.map(x => x.message).join(', ') : data;
+    }
+
+    _fetchCommitSha(ref) {
+        return this._request(`commits/${encodeURIComponent(ref)}`, {}, `resolve ref ${ref}`, false)
+            .then(data => data.id);
+    }
+
+    _refConfig(config) {
+        return this.resolveRef()
+            .then(sha => ((sha) ? Object.assign({}, config, {
+                params: Object.assign({}, config.params, { at: sha })
+            }) : config));
+    }
+
+    _itemPath(itemPath) {
+        return itemPath.replace(/^\//, '').split('/').map(encodeURIComponent).join('/');
+    }
+
+    getContentsByType(dir, type) {
+        const itemType = (type === 'dir') ? 'DIRECTORY' : 'FILE';
+        const browseUrl = `browse/${this._itemPath(dir)}`.replace(/\/$/, '');
+        const getPage = (start, items) => this._refConfig({
+            params: {
+                start,
+                limit: browsePageSize
+            }
+        })
+            .then(config => this._request(browseUrl, config, `get items for ${dir}`, false))
+            .then((data) => {
+                const children = data.children || { values: [], isLastPage: true };
+                items = items.concat(children.values);
+                return (children.isLastPage) ? items : getPage(children.nextPageStart, items);
+            });
+
+        return getPage(0, [])
+            .then(items => items
+                .filter(x => x.type === itemType)
+                .map(x => x.path.name || x.path.toString));
+    }
+
+    getContentsData(contentPath) {
+        return this._refConfig({
+            responseType: 'text',
+            // Keep JSON files (e.g., schema) as text
+            transformResponse: [data => data]
+        })
+            .then(config => this._request(
+                `raw/${this._itemPath(contentPath)}`,
+                config,
+                `get contents for ${contentPath}`,
+                !!this.cacheDir
+            ))
+            .then(data => ((Buffer.isBuffer(data)) ? data.toString('utf8') : data));
+    }
+}
+
+/**
+ * SchemaProvider that fetches data from a Bitbucket Server repository
+ *
+ * Accepts the same arguments as ContentsApiSchemaProvider with a `PROJECT/repo` repository and the options of
+ * BitbucketServerTemplateProvider.
+ */
+class BitbucketServerSchemaProvider extends ContentsApiSchemaProvider {
+    _createContentsApi(repo, options) {
+        return new BitbucketServerApi(repo, options);
+    }
+}
+
+/**
+ * DataProvider that fetches data from a Bitbucket Server repository
+ *
+ * Accepts the same arguments as ContentsApiDataProvider with a `PROJECT/repo` repository and the options of
+ * BitbucketServerTemplateProvider.
+ */
+class BitbucketServerDataProvider extends ContentsApiDataProvider {
+    _createContentsApi(repo, options) {
+        return new BitbucketServerApi(repo, options);
+    }
+}
+
+/**
+ * TemplateProvider that fetches data from a Bitbucket Server (or Bitbucket Data Center) repository
+ *
+ * Template sets are directories at the root of the repository, the same as for GitHubTemplateProvider.
+ * The constructor accepts a repository in `PROJECT/repo` form (project key and repository slug) and an
+ * options object with:
+ *
+ * - `baseUrl`: URL of the Bitbucket Server instance (required)
+ * - `apiToken`: an HTTP access token or personal access token
+ * - `ref`: branch, tag, or commit SHA to load templates from (defaults to the default branch); branches and
+ *   tags are resolved to a commit once and used for the lifetime of the provider
+ * - `filteredSets`, `supportedHashes`, `trustedKeys`, `strictSignatures`, `cacheDir`, `maxRetries`, `retryDelay`,
+ *   and `maxRetryDelay`: the same as for GitHubTemplateProvider
+ */
+class BitbucketServerTemplateProvider extends ContentsApiTemplateProvider {
+    constructor(repo, options) {
+        super(repo, options);
+        this.repo = repo;
+    }
+
+    _createContentsApi(repo, options) {
+        return new BitbucketServerApi(repo, options);
+    }
+
+    _createSchemaProvider(tsName) {
+        return new BitbucketServerSchemaProvider(this.repo, tsName, { contentsApi: this._contentsApi });
+    }
+
+    _createDataProvider(tsName) {
+        return new BitbucketServerDataProvider(this.repo, tsName, { contentsApi: this._contentsApi });
+    }
+}
+
+module.exports = {
+    BitbucketServerApi,
+    BitbucketServerTemplateProvider,
+    BitbucketServerSchemaProvider,
+    BitbucketServerDataProvider
+};
@@ -0,0 +1,283 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const axios = require('axios');
+
+const { ResourceCache } = require('./resource_cache');
+
+const fullShaRegex = /^[0-9a-f]{40}$/i;
+const defaultEtagCacheSize = 10 * 1024 * 1024;
+
+// Approximate size of a cached response, so the ETag cache can be limited
+const responseSize = (data) => {
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+        return data.byteLength;
+    }
+    if (typeof data === 'string') {
+        return data.length;
+    }
+    return JSON.stringify(data).length;
+};
+
+const delay = ms => new Promise((resolve) => {
+    setTimeout(resolve, ms);
+});
+
+const readCacheFile = cachePath => new Promise((resolve) => {
+    fs.readFile(cachePath, 'utf8', (err, data) => {
+        if (err) {
+            return resolve(null);
+        }
+        try {
+            return resolve(JSON.parse(data));
+        } catch (e) {
+            // ignore corrupt cache files; they get replaced on the next successful request
+            return resolve(null);
+        }
+    });
+});
+
+const writeCacheFile = (cachePath, entry) => new Promise((resolve, reject) => {
+    fs.mkdir(path.dirname(cachePath), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+            return reject(mkdirErr);
+        }
+        return fs.writeFile(cachePath, JSON.stringify(entry), (err) => {
+            if (err) {
+                return reject(err);
+            }
+            return resolve();
+        });
+    });
+});
+
+/**
+ * Abstract base class for clients of a Git hosting service's REST API (e.g., GitHubContentsApi)
+ *
+ * Responses are cached by ETag so repeated requests are sent with `If-None-Match` (a `304 Not Modified`
+ * response does not count against the API rate limit). If `cacheDir` is set, fetched file contents are
+ * also stored on disk so they can be revalidated instead of downloaded again by later processes.
+ *
+ * Rate limited requests (`403` or `429` with `Retry-After` or an exhausted `X-RateLimit-Remaining`) are
+ * retried with backoff. If the rate limit resets further out than `maxRetryDelay`, the request fails instead.
+ *
+ * The in-memory ETag cache is an LRU cache limited to `etagCacheSize` bytes (or characters of JSON) of response
+ * data. Evicted responses are downloaded again, unless they are still stored in `cacheDir`.
+ *
+ * Subclasses pass the axios config (base URL and authentication headers) for their service and implement
+ * `getContentsByType()`, `getContentsData()`, `_refConfig()` (adds the resolved commit to a request config),
+ * and `_fetchCommitSha()`.
+ */
+class BaseContentsApi {
+    /**
+     * @param {string} repo - the repository as named by the service
+     * @param {object} axiosConfig - config for the axios instance requests are made with
+     * @param {object} [options]
+     * @param {string} [options.ref] - branch, tag, or commit SHA to read from (defaults to the default branch)
+     * @param {string} [options.cacheDir] - directory to store fetched file contents in
+     * @param {number} [options.etagCacheSize=10485760] - maximum size of response data to keep in memory
+     * @param {number} [options.maxRetries=3] - number of times to retry rate limited requests
+     * @param {number} [options.retryDelay=1000] - milliseconds to wait before the first retry if the service does
+     *     not say how long to wait (doubled after each retry)
+     * @param {number} [options.maxRetryDelay=60000] - the longest to wait (in milliseconds) for a rate limit to reset
+     */
+    constructor(repo, axiosConfig, options) {
+        if (new.target === BaseContentsApi) {
+            throw new TypeError('Cannot instantiate Abstract BaseContentsApi');
+        }
+
+        const abstractMethods = [
+            '_fetchCommitSha',
+            '_refConfig',
+            'getContentsByType',
+            'getContentsData'
+        ];
+        abstractMethods.forEach((method) => {
+            if (this[method] === undefined) {
+                throw new TypeError(`Expected ${method} to be defined`);
+            }
+        });
+
+        options = options || {};
+        this.repo = repo;
+        this.ref = options.ref;
+        this.apiName = 'API';
+        this.endpoint = axios.create(axiosConfig);
+        this.cacheDir = options.cacheDir;
+        this.maxRetries = (typeof options.maxRetries !== 'undefined') ? options.maxRetries : 3;
+        this.retryDelay = (typeof options.retryDelay !== 'undefined') ? options.retryDelay : 1000;
+        this.maxRetryDelay = (typeof options.maxRetryDelay !== 'undefined') ? options.maxRetryDelay : 60000;
+        this._etagCache = new ResourceCache(() => Promise.resolve(null), {
+            maxSize: (typeof options.etagCacheSize !== 'undefined') ? options.etagCacheSize : defaultEtagCacheSize,
+            sizeOf: entry => responseSize(entry.data)
+        });
+        this._rateLimitReset = 0;
+        this._resolvedRef = null;
+    }
+
+    _handleResponseError(err, task) {
+        if (err.response) {
+            const resp = err.response;
+            const errStr = `${resp.status}: ${this._errorMessage(resp.data)}`;
+            return Promise.reject(new Error(
+                `failed to ${task}: ${errStr}`
+            ));
+        }
+        return Promise.reject(err);
+    }
+
+    _errorMessage(data) {
+        return data.message;
+    }
+
+    _cachePath(contentPath) {
+        const hash = crypto.createHash('sha256');
+        hash.update(`${this.repo}/${contentPath}`);
+        return path.join(this.cacheDir, `${hash.digest('hex')}.json`);
+    }
+
+    _getCacheEntry(contentPath, useDisk) {
+        return this._etagCache.get(contentPath)
+            .then((entry) => {
+                if (entry || !useDisk) {
+                    return entry;
+                }
+                return readCacheFile(this._cachePath(contentPath));
+            });
+    }
+
+    _setCacheEntry(contentPath, entry, useDisk) {
+        this._etagCache.set(contentPath, entry);
+        if (!useDisk) {
+            return Promise.resolve();
+        }
+        return writeCacheFile(this._cachePath(contentPath), entry);
+    }
+
+    // Milliseconds to wait before retrying a rate limited response (or -1 if it is not rate limited)
+    _rateLimitDelay(resp, attempt) {
+        const headers = resp.headers || {};
+        if (![403, 429].includes(resp.status)) {
+            return -1;
+        }
+        if (headers['retry-after']) {
+            return Number(headers['retry-after']) * 1000;
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0);
+        }
+        if (resp.status === 429) {
+            return this.retryDelay * (2 ** attempt);
+        }
+        return -1;
+    }
+
+    _waitForRateLimit() {
+        const waitTime = this._rateLimitReset - Date.now();
+        if (waitTime <= 0) {
+            return Promise.resolve();
+        }
+        if (waitTime > this.maxRetryDelay) {
+            return Promise.reject(new Error(
+                `${this.apiName} rate limit exceeded (resets at ${new Date(this._rateLimitReset).toISOString()})`
+            ));
+        }
+        return delay(waitTime);
+    }
+
+    _request(contentPath, config, task, useDisk) {
+        const cacheKey = (config.params) ? `${contentPath}?${new URLSearchParams(config.params)}` : contentPath;
+        let cached = null;
+        const attempt = retryCount => this._waitForRateLimit()
+            .then(() => this._getCacheEntry(cacheKey, useDisk))
+            .then((entry) => {
+                cached = entry;
+                const headers = Object.assign({}, config.headers);
+                if (cached && cached.etag) {
+                    headers['If-None-Match'] = cached.etag;
+                }
+                return this.endpoint(contentPath, Object.assign({}, config, {
+                    headers,
+                    validateStatus: null
+                }));
+            })
+            .then((resp) => {
+                const respHeaders = resp.headers || {};
+                if (respHeaders['x-ratelimit-remaining'] === '0' && respHeaders['x-ratelimit-reset']) {
+                    this._rateLimitReset = Number(respHeaders['x-ratelimit-reset']) * 1000;
+                }
+
+                if (resp.status === 304 && cached) {
+                    this._etagCache.set(cacheKey, cached);
+                    return cached.data;
+                }
+
+                if (resp.status >= 200 && resp.status < 300) {
+                    if (!respHeaders.etag) {
+                        return resp.data;
+                    }
+                    return this._setCacheEntry(cacheKey, { etag: respHeaders.etag, data: resp.data }, useDisk)
+                        .then(() => resp.data);
+                }
+
+                const retryDelay = this._rateLimitDelay(resp, retryCount);
+                if (retryDelay >= 0 && retryCount < this.maxRetries && retryDelay <= this.maxRetryDelay) {
+                    return delay(retryDelay)
+                        .then(() => attempt(retryCount + 1));
+                }
+
+                const err = new Error(`request failed with status code ${resp.status}`);
+                err.response = resp;
+                return this._handleResponseError(err, task);
+            });
+
+        return attempt(0);
+    }
+
+    /**
+     * Get the commit SHA for the `ref` option (or `null` if no ref was given)
+     *
+     * Branches and tags are only resolved once so all requests made through this object see the same commit.
+     *
+     * @returns {Promise} Promise resolves to a commit SHA
+     */
+    resolveRef() {
+        if (!this.ref) {
+            return Promise.resolve(null);
+        }
+        if (!this._resolvedRef) {
+            this._resolvedRef = Promise.resolve()
+                .then(() => (
+                    fullShaRegex.test(this.ref) ? this.ref : this._fetchCommitSha(this.ref)
+                ))
+                .catch((e) => {
+                    // Try again on the next request
+                    this._resolvedRef = null;
+                    return Promise.reject(e);
+                });
+        }
+        return this._resolvedRef;
+    }
+}
+
+module.exports = {
+    BaseContentsApi
+};
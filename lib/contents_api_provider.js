@@ -0,0 +1,412 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const Template = require('./template').Template;
+const { BaseSchemaProvider } = require('./schema_provider');
+const { BaseDataProvider } = require('./data_provider');
+const { BaseTemplateProvider } = require('./base_template_provider');
+const signing = require('./signing');
+const { manifestFileName } = require('./set_manifest');
+const { stripExtension } = require('./utils');
+
+/*
+ * A contents API lists and reads the files of a repository-like source of template sets:
+ *
+ * - `getContentsByType(dir, type)`: resolves to the names of the items of type `file` or `dir` in a directory
+ * - `getContentsData(contentPath)`: resolves to the contents of a file as a string
+ * - `resolveRef()`: resolves to the commit SHA files are read from (or `null` for unversioned sources)
+ * - `invalidate()` (optional): drops anything the API keeps in memory so changes are picked up
+ *
+ * See GitHubContentsApi and GitRepoApi for examples.
+ */
+
+/**
+ * Abstract base class for SchemaProvider classes that read schema files through a contents API
+ *
+ * Subclasses define `_createContentsApi(source, options)`, unless the `contentsApi` option is always given.
+ */
+class ContentsApiSchemaProvider extends BaseSchemaProvider {
+    /**
+     * @param {*} source - the repository (or other source) to read from, as accepted by `_createContentsApi()`
+     * @param {string} schemaRootPath - a path to a directory containing schema files
+     * @param {object} [options] - options for `_createContentsApi()` along with:
+     * @param {object} [options.contentsApi] - an existing contents API to read from (e.g., to share one with a
+     *     template provider) instead of creating one from `source` and the other options
+     * @param {object} [options.cache] - options for the schema cache (see ResourceCache)
+     */
+    constructor(source, schemaRootPath, options) {
+        options = options || {};
+        super({ cache: options.cache });
+
+        if (!options.contentsApi && this._createContentsApi === undefined) {
+            throw new TypeError('Expected _createContentsApi to be defined');
+        }
+        this._rootDir = `/${schemaRootPath}`;
+        this._contentsApi = options.contentsApi || this._createContentsApi(source, options);
+    }
+
+    _loadSchema(schemaName) {
+        return Promise.resolve()
+            .then(() => this._contentsApi.getContentsData(`${this._rootDir}/${schemaName}.json`));
+    }
+
+    /**
+     * List all schema known to the provider
+     *
+     * @returns {string[]}
+     */
+    list() {
+        return Promise.resolve()
+            .then(() => this._contentsApi.getContentsByType(this._rootDir, 'file'))
+            .then(files => files
+                .filter(x => x.endsWith('.json'))
+                .map(x => stripExtension(x)));
+    }
+}
+
+/**
+ * Abstract base class for DataProvider classes that read data files through a contents API
+ *
+ * Subclasses define `_createContentsApi(source, options)`, unless the `contentsApi` option is always given.
+ */
+class ContentsApiDataProvider extends BaseDataProvider {
+    /**
+     * @param {*} source - the repository (or other source) to read from, as accepted by `_createContentsApi()`
+     * @param {string} dataRootPath - a path to a directory containing data files
+     * @param {object} [options] - options for `_createContentsApi()` along with:
+     * @param {object} [options.contentsApi] - an existing contents API to read from (e.g., to share one with a
+     *     template provider) instead of creating one from `source` and the other options
+     * @param {object} [options.cache] - options for the data cache (see ResourceCache)
+     */
+    constructor(source, dataRootPath, options) {
+        options = options || {};
+        super({ cache: options.cache });
+
+        if (!options.contentsApi && this._createContentsApi === undefined) {
+            throw new TypeError('Expected _createContentsApi to be defined');
+        }
+        this._rootDir = `/${dataRootPath}`;
+        this._contentsApi = options.contentsApi || this._createContentsApi(source, options);
+    }
+
+    _loadData(dataName) {
+        return Promise.resolve()
+            .then(() => this._contentsApi.getContentsData(`${this._rootDir}/${dataName}.data`));
+    }
+
+    /**
+     * List all data files known to the provider
+     *
+     * @returns {string[]}
+     */
+    list() {
+        return Promise.resolve()
+            .then(() => this._contentsApi.getContentsByType(this._rootDir, 'file'))
+            .then(files => files
+                .filter(x => x.endsWith('.data'))
+                .map(x => stripExtension(x)));
+    }
+}
+
+/**
+ * Abstract base class for TemplateProvider classes that read template sets through a contents API
+ *
+ * Template sets are the top-level directories of the source. Subclasses define `_createContentsApi(source,
+ * options)` along with `_createSchemaProvider(tsName)` and `_createDataProvider(tsName)`, which should pass
+ * the provider's contents API on as the `contentsApi` option so every file is read from the same commit.
+ */
+class ContentsApiTemplateProvider extends BaseTemplateProvider {
+    /**
+     * @param {*} source - the repository (or other source) to read from, as accepted by `_createContentsApi()`
+     * @param {object} [options] - options for `_createContentsApi()` along with:
+     * @param {string[]} [options.filteredSets] - only load template sets in this list (or all if list is empty)
+     * @param {object} [options.supportedHashes] - an optional map of hash values to validate against
+     * @param {Array} [options.trustedKeys] - public keys to accept template set signatures from
+     * @param {boolean} [options.strictSignatures=false] - only load template sets signed by a trusted key
+     * @param {object} [options.cache] - options for the template cache (`maxSize`, `ttl`, and `sizeOf`, see
+     *     ResourceCache)
+     */
+    constructor(source, options) {
+        if (new.target === ContentsApiTemplateProvider) {
+            throw new TypeError('Cannot instantiate Abstract ContentsApiTemplateProvider');
+        }
+
+        options = options || {};
+        super(options.supportedHashes, {
+            trustedKeys: options.trustedKeys,
+            strictSignatures: options.strictSignatures,
+            cache: options.cache
+        });
+
+        const abstractMethods = [
+            '_createContentsApi',
+            '_createSchemaProvider',
+            '_createDataProvider'
+        ];
+        abstractMethods.forEach((method) => {
+            if (this[method] === undefined) {
+                throw new TypeError(`Expected ${method} to be defined`);
+            }
+        });
+
+        this.filteredSets = new Set(options.filteredSets || []);
+
+        this._schemaProviders = {};
+        this._dataProviders = {};
+
+        this._contentsApi = this._createContentsApi(source, options);
+    }
+
+    /**
+     * Clear any cache associated with this provider
+     *
+     * Without a key, this also drops the schema and data providers of each template set and anything the
+     * contents API keeps in memory (e.g., a downloaded archive).
+     *
+     * @param {string} [key] - only remove the cached template with this key
+     */
+    invalidateCache(key) {
+        super.invalidateCache(key);
+        if (typeof key !== 'undefined') {
+            return;
+        }
+        this._schemaProviders = {};
+        this._dataProviders = {};
+        if (this._contentsApi.invalidate) {
+            this._contentsApi.invalidate();
+        }
+    }
+
+    _getSetFiles(setName) {
+        return this._contentsApi.getContentsByType(`/${setName}`, 'file')
+            .then(fileNames => Promise.all(fileNames
+                .filter(x => signing.isSignedFile(x) || x === signing.signatureFileName)
+                .map(fileName => this._contentsApi.getContentsData(`${setName}/${fileName}`)
+                    .then(data => [fileName, data]))))
+            .then(entries => entries.reduce((acc, [fileName, data]) => {
+                acc[fileName] = data;
+                return acc;
+            }, {}));
+    }
+
+    _readManifest(setName) {
+        return this._contentsApi.getContentsByType(`/${setName}`, 'file')
+            .then(fileNames => (
+                (fileNames.includes(manifestFileName))
+                    ? this._contentsApi.getContentsData(`${setName}/${manifestFileName}`)
+                    : null
+            ));
+    }
+
+    _loadTemplate(templatePath) {
+        const tmplParts = templatePath.split('/');
+        const tmplDir = tmplParts.slice(0, -1).join('/');
+        const tmplName = tmplParts[tmplParts.length - 1];
+
+        const schemaProvider = this._getSchemaProvider(tmplDir);
+        const dataProvider = this._getDataProvider(tmplDir);
+        return Promise.resolve()
+            .then(() => this._contentsApi.getContentsByType(tmplDir, 'file'))
+            .then((files) => {
+                let useMst = 0;
+                let fname;
+
+                if (files.includes(`${tmplName}.yml`)) {
+                    fname = `${tmplName}.yml`;
+                } else if (files.includes(`${tmplName}.yaml`)) {
+                    fname = `${tmplName}.yaml`;
+                } else if (files.includes(`${tmplName}.mst`)) {
+                    useMst = 1;
+                    fname = `${tmplName}.mst`;
+                } else {
+                    return Promise.reject(new Error(`could not find a template with name "${templatePath}"`));
+                }
+
+                fname = `${tmplDir}/${fname}`;
+
+                return Promise.resolve()
+                    .then(() => this._contentsApi.getContentsData(fname))
+                    .then(tmpldata => Template[useMst ? 'loadMst' : 'loadYaml'](tmpldata, {
+                        schemaProvider,
+                        dataProvider,
+                        templateProvider: this,
+                        sourceFile: fname,
+                        rootDir: tmplDir
+                    }));
+            });
+    }
+
+    _getSchemaProvider(tsName) {
+        if (!this._schemaProviders[tsName]) {
+            this._schemaProviders[tsName] = this._createSchemaProvider(tsName);
+        }
+
+        return this._schemaProviders[tsName];
+    }
+
+    _getDataProvider(tsName) {
+        if (!this._dataProviders[tsName]) {
+            this._dataProviders[tsName] = this._createDataProvider(tsName);
+        }
+
+        return this._dataProviders[tsName];
+    }
+
+    /**
+     * Get the commit SHA templates are loaded from (or `null` if the provider was not given a `ref`)
+     *
+     * @returns {Promise} Promise resolves to a commit SHA
+     */
+    getCommit() {
+        return this._contentsApi.resolveRef();
+    }
+
+    /**
+     * Get data associated with the given template set
+     *
+     * If the provider was given a `ref`, the resolved commit SHA is included as `commit`.
+     *
+     * @returns {Promise} Promise resolves to an object
+     */
+    getSetData(setName) {
+        return Promise.all([
+            super.getSetData(setName),
+            this.getCommit()
+        ])
+            .then(([setData, commit]) => {
+                if (commit) {
+                    setData.commit = commit;
+                }
+                return setData;
+            });
+    }
+
+    /**
+     * Get a list of set names known to the provider
+     *
+     * @returns {Promise} Promise resolves to a string array
+     */
+    listSets() {
+        return Promise.resolve()
+            .then(() => this._contentsApi.getContentsByType('', 'dir'))
+            .then(items => items.filter(
+                x => this.filteredSets.size === 0 || this.filteredSets.has(x)
+            ));
+    }
+
+    /**
+     * List all templates known to the provider (optionally filtered by the supplied list of set names)
+     *
+     * @param {string[]} [setList=[]]
+     * @returns {Promise} Promise resolves to a string array
+     */
+    list(setList) {
+        setList = setList || [];
+        if (typeof setList === 'string') {
+            setList = [setList];
+        }
+
+        return this.listSets()
+            .then(sets => sets.filter(x => setList.length === 0 || setList.includes(x)))
+            .then(sets => Promise.all(sets.map(
+                setName => this._contentsApi.getContentsByType(`/${setName}`, 'file')
+                    .then(data => data
+                        .filter(x => this.hasTemplateExtension(x))
+                        .map(x => `${setName}/${stripExtension(x)}`))
+            )))
+            .then(sets => sets.reduce((acc, curr) => acc.concat(curr), []));
+    }
+
+    /**
+     * Delete the template set associated with the supplied set ID.
+     *
+     * Not implemented for FsSchemaProvider.
+     *
+     * @returns {Promise}
+     */
+    removeSet() {
+        return Promise.reject(new Error('Set removal not implemented'));
+    }
+
+    /**
+     * Get all schema known to the provider (optionally filtered by the supplied set name)
+     *
+     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
+     * @returns {Promise} Promise resolves to an object containing schema
+     */
+    getSchemas(filteredSetName) {
+        const schemas = {};
+        return Promise.resolve()
+            .then(() => (filteredSetName ? [filteredSetName] : this.listSets()))
+            .then(setList => Promise.all(setList.map(
+                tsName => this._checkSignature(tsName)
+                    .then(() => this._getSchemaProvider(tsName).list())
+                    .then(schemaList => Promise.all(schemaList.map(
+                        schemaName => this._getSchemaProvider(tsName).fetch(schemaName)
+                            .then((schemaData) => {
+                                const name = `${tsName}/${schemaName}`;
+                                const schemaHash = crypto.createHash('sha256');
+                                schemaHash.update(schemaData);
+                                schemas[name] = {
+                                    name,
+                                    data: schemaData,
+                                    hash: schemaHash.digest('hex')
+                                };
+                            })
+                    )))
+            )))
+            .then(() => schemas);
+    }
+
+    /**
+     * Get all data files known to the provider (optionally filtered by the supplied set name)
+     *
+     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
+     * @returns {Promise} Promise resolves to an object containing data files
+     */
+    getDataFiles(filteredSetName) {
+        const dataFiles = {};
+        return Promise.resolve()
+            .then(() => (filteredSetName ? [filteredSetName] : this.listSets()))
+            .then(setList => Promise.all(setList.map(
+                tsName => this._checkSignature(tsName)
+                    .then(() => this._getDataProvider(tsName).list())
+                    .then(dataFileList => Promise.all(dataFileList.map(
+                        dataName => this._getDataProvider(tsName).fetch(dataName)
+                            .then((data) => {
+                                const name = `${tsName}/${dataName}`;
+                                const dataHash = crypto.createHash('sha256');
+                                dataHash.update(data);
+                                dataFiles[name] = {
+                                    name,
+                                    data,
+                                    hash: dataHash.digest('hex')
+                                };
+                            })
+                    )))
+            )))
+            .then(() => dataFiles);
+    }
+}
+
+module.exports = {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+};
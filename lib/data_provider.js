@@ -23,7 +23,12 @@ const ResourceCache = require('./resource_cache').ResourceCache;
  * Abstract base class for DataProvider classes
  */
 class BaseDataProvider {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.cache] - options for the data file cache (`maxSize`, `ttl`, and `sizeOf`, see
+     *     ResourceCache)
+     */
+    constructor(options) {
         if (new.target === BaseDataProvider) {
             throw new TypeError('Cannot instantiate Abstract BaseDataProvider');
         }
@@ -38,7 +43,8 @@ class BaseDataProvider {
             }
         });
 
-        this.cache = new ResourceCache(dataName => this._loadData(dataName));
+        options = options || {};
+        this.cache = new ResourceCache(dataName => this._loadData(dataName), options.cache);
     }
 
     /**
@@ -50,6 +56,15 @@ class BaseDataProvider {
     fetch(key) {
         return this.cache.fetch(key);
     }
+
+    /**
+     * Get hit, miss, and eviction counts for the data file cache
+     *
+     * @returns {object}
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
 }
 
 /**
@@ -58,9 +73,10 @@ class BaseDataProvider {
 class FsDataProvider extends BaseDataProvider {
     /**
      * @param {string} dataRootPath - a path to a directory containing data files
+     * @param {object} [options] - see BaseDataProvider
      */
-    constructor(dataRootPath) {
-        super();
+    constructor(dataRootPath, options) {
+        super(options);
 
         this.dataPath = dataRootPath;
     }
@@ -99,9 +115,10 @@ class DataStoreDataProvider extends BaseDataProvider {
     /**
      * @param {object} datastore - an atg-storage DataStore
      * @param {string} tsName - the key to use to access the data file contents in the provided DataStore
+     * @param {object} [options] - see BaseDataProvider
      */
-    constructor(datastore, tsName) {
-        super();
+    constructor(datastore, tsName, options) {
+        super(options);
 
         this.storage = datastore;
         this.tsName = tsName;
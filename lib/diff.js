@@ -0,0 +1,220 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapePointerToken = token => `${token}`.replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unescapePointerToken = token => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Get the value at the supplied JSON pointer (RFC 6901)
+ *
+ * @param {*} doc
+ * @param {string} pointer
+ * @returns {*} the value or undefined if the pointer does not resolve
+ */
+function getPointer(doc, pointer) {
+    if (pointer === '') {
+        return doc;
+    }
+    return pointer.split('/').slice(1)
+        .map(unescapePointerToken)
+        .reduce((acc, token) => {
+            if (acc === null || typeof acc !== 'object') {
+                return undefined;
+            }
+            return acc[token];
+        }, doc);
+}
+
+/**
+ * Generate a JSON Patch (RFC 6902) that transforms oldDoc into newDoc
+ *
+ * Arrays are compared by index.
+ *
+ * @param {*} oldDoc
+ * @param {*} newDoc
+ * @param {string} [basePath='']
+ * @returns {object[]} a list of JSON Patch operations
+ */
+function diffObjects(oldDoc, newDoc, basePath) {
+    basePath = basePath || '';
+    const patch = [];
+
+    if (isEqual(oldDoc, newDoc)) {
+        return patch;
+    }
+
+    if (isObject(oldDoc) && isObject(newDoc)) {
+        Object.keys(oldDoc).forEach((key) => {
+            const keyPath = `${basePath}/${escapePointerToken(key)}`;
+            if (!Object.prototype.hasOwnProperty.call(newDoc, key)) {
+                patch.push({ op: 'remove', path: keyPath });
+            } else {
+                patch.push(...diffObjects(oldDoc[key], newDoc[key], keyPath));
+            }
+        });
+        Object.keys(newDoc).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(oldDoc, key)) {
+                patch.push({ op: 'add', path: `${basePath}/${escapePointerToken(key)}`, value: newDoc[key] });
+            }
+        });
+        return patch;
+    }
+
+    if (Array.isArray(oldDoc) && Array.isArray(newDoc)) {
+        const commonLength = Math.min(oldDoc.length, newDoc.length);
+        for (let i = 0; i < commonLength; i += 1) {
+            patch.push(...diffObjects(oldDoc[i], newDoc[i], `${basePath}/${i}`));
+        }
+        // Remove from the end so earlier indices stay valid
+        for (let i = oldDoc.length - 1; i >= commonLength; i -= 1) {
+            patch.push({ op: 'remove', path: `${basePath}/${i}` });
+        }
+        for (let i = commonLength; i < newDoc.length; i += 1) {
+            patch.push({ op: 'add', path: `${basePath}/-`, value: newDoc[i] });
+        }
+        return patch;
+    }
+
+    patch.push({ op: 'replace', path: basePath, value: newDoc });
+    return patch;
+}
+
+/**
+ * Generate a line diff between two strings using the longest common subsequence of lines
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {object[]} a list of `{ type, line, oldLine, newLine }` entries where type is one of
+ *     `equal`, `remove`, or `add` and the line numbers are 1-based
+ */
+function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+
+    // lcs[i][j] holds the LCS length of oldLines[i:] and newLines[j:]
+    const lcs = [];
+    for (let i = oldLines.length; i >= 0; i -= 1) {
+        lcs[i] = [];
+        for (let j = newLines.length; j >= 0; j -= 1) {
+            if (i === oldLines.length || j === newLines.length) {
+                lcs[i][j] = 0;
+            } else if (oldLines[i] === newLines[j]) {
+                lcs[i][j] = lcs[i + 1][j + 1] + 1;
+            } else {
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            changes.push({
+                type: 'equal', line: oldLines[i], oldLine: i + 1, newLine: j + 1
+            });
+            i += 1;
+            j += 1;
+        } else if (i < oldLines.length && (j === newLines.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            changes.push({ type: 'remove', line: oldLines[i], oldLine: i + 1 });
+            i += 1;
+        } else {
+            changes.push({ type: 'add', line: newLines[j], newLine: j + 1 });
+            j += 1;
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Convert a line diff from diffLines() into a JSON Patch (RFC 6902) against an array of lines
+ *
+ * @param {object[]} changes
+ * @returns {object[]} a list of JSON Patch operations
+ */
+function lineDiffToPatch(changes) {
+    const patch = [];
+    let index = 0;
+    changes.forEach((change) => {
+        if (change.type === 'equal') {
+            index += 1;
+        } else if (change.type === 'remove') {
+            patch.push({ op: 'remove', path: `/${index}` });
+        } else {
+            patch.push({ op: 'add', path: `/${index}`, value: change.line });
+            index += 1;
+        }
+    });
+    return patch;
+}
+
+/**
+ * Format a line diff from diffLines() as human-readable text, showing only changed lines
+ *
+ * @param {object[]} changes
+ * @returns {string}
+ */
+function formatLineDiff(changes) {
+    return changes
+        .filter(change => change.type !== 'equal')
+        .map((change) => {
+            if (change.type === 'remove') {
+                return `-${change.oldLine}: ${change.line}`;
+            }
+            return `+${change.newLine}: ${change.line}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Format a JSON Patch from diffObjects() as human-readable text
+ *
+ * @param {object[]} patch
+ * @param {*} oldDoc - the document the patch applies to (used to show replaced and removed values)
+ * @returns {string}
+ */
+function formatPatch(patch, oldDoc) {
+    const fmt = value => JSON.stringify(value);
+    return patch
+        .map((op) => {
+            const path = op.path || '/';
+            if (op.op === 'add') {
+                return `+ ${path}: ${fmt(op.value)}`;
+            }
+            if (op.op === 'remove') {
+                return `- ${path}: ${fmt(getPointer(oldDoc, op.path))}`;
+            }
+            return `~ ${path}: ${fmt(getPointer(oldDoc, op.path))} -> ${fmt(op.value)}`;
+        })
+        .join('\n');
+}
+
+module.exports = {
+    getPointer,
+    diffObjects,
+    diffLines,
+    lineDiffToPatch,
+    formatLineDiff,
+    formatPatch
+};
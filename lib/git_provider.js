@@ -0,0 +1,230 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const childProcess = require('child_process');
+const path = require('path');
+
+const {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+} = require('./contents_api_provider');
+
+const maxBlobSize = 64 * 1024 * 1024;
+
+/**
+ * Reads directory listings and file contents from the objects of a local git repository
+ *
+ * Implements the contents API interface (see contents_api_provider.js). Nothing is checked out: the tree
+ * of the resolved commit is listed once with `git ls-tree` and files are read with `git cat-file`, so bare
+ * repositories work as well as working copies (uncommitted changes are ignored).
+ */
+class GitRepoApi {
+    /**
+     * @param {string} repoPath - path to the repository (a working copy or a bare repository)
+     * @param {object} [options]
+     * @param {string} [options.ref='HEAD'] - branch, tag, or commit to read from
+     */
+    constructor(repoPath, options) {
+        options = options || {};
+        this.repoPath = repoPath;
+        this.ref = options.ref;
+        this._resolvedRef = null;
+        this._tree = null;
+    }
+
+    _git(args, task) {
+        return new Promise((resolve, reject) => {
+            childProcess.execFile(
+                'git',
+                ['-C', this.repoPath].concat(args),
+                { encoding: 'buffer', maxBuffer: maxBlobSize },
+                (err, stdout, stderr) => {
+                    if (err) {
+                        const message = (stderr && stderr.toString('utf8').trim()) || err.message;
+                        return reject(new Error(`failed to ${task}: ${message}`));
+                    }
+                    return resolve(stdout);
+                }
+            );
+        });
+    }
+
+    /**
+     * Get the commit SHA for the `ref` option (or `HEAD` if no ref was given)
+     *
+     * The ref is only resolved once so all reads made through this object see the same commit.
+     *
+     * @returns {Promise} Promise resolves to a commit SHA
+     */
+    resolveRef() {
+        if (!this._resolvedRef) {
+            const ref = this.ref || 'HEAD';
+            const args = ['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`];
+            this._resolvedRef = this._git(args, `resolve ref ${ref}`)
+                .then(stdout => stdout.toString('utf8').trim())
+                .catch((e) => {
+                    // Try again on the next request
+                    this._resolvedRef = null;
+                    return Promise.reject(e);
+                });
+        }
+        return this._resolvedRef;
+    }
+
+    /**
+     * Drop the listed tree so the next request lists it again
+     *
+     * If no `ref` was given, `HEAD` is also resolved again so new commits are picked up.
+     */
+    invalidate() {
+        if (!this.ref) {
+            this._resolvedRef = null;
+            this._tree = null;
+        }
+    }
+
+    _loadTree() {
+        if (!this._tree) {
+            this._tree = this.resolveRef()
+                .then(sha => this._git(['ls-tree', '-r', '-t', '-z', '--full-tree', sha], `list files in ${sha}`))
+                .then((stdout) => {
+                    const files = new Map();
+                    const dirs = new Map([['', new Set()]]);
+
+                    // Each entry is `<mode> <type> <object>\t<path>`, with parent trees listed before their contents
+                    stdout.toString('utf8').split('\0')
+                        .filter(x => x !== '')
+                        .forEach((entry) => {
+                            const tabIndex = entry.indexOf('\t');
+                            const [, type, object] = entry.slice(0, tabIndex).split(' ');
+                            const entryPath = entry.slice(tabIndex + 1);
+                            const parent = path.posix.dirname(entryPath);
+                            const parentItems = dirs.get((parent === '.') ? '' : parent);
+
+                            if (type === 'tree') {
+                                dirs.set(entryPath, new Set());
+                                parentItems.add(`dir:${path.posix.basename(entryPath)}`);
+                            } else if (type === 'blob') {
+                                files.set(entryPath, object);
+                                parentItems.add(`file:${path.posix.basename(entryPath)}`);
+                            }
+                        });
+                    return { files, dirs };
+                })
+                .catch((e) => {
+                    this._tree = null;
+                    return Promise.reject(e);
+                });
+        }
+        return this._tree;
+    }
+
+    getContentsByType(dir, type) {
+        const dirPath = dir.replace(/^\//, '');
+        return this._loadTree()
+            .then((tree) => {
+                const items = tree.dirs.get(dirPath);
+                if (!items) {
+                    return Promise.reject(new Error(`failed to get items for ${dir}: 404: Not Found`));
+                }
+                return Array.from(items)
+                    .filter(x => x.startsWith(`${type}:`))
+                    .map(x => x.slice(type.length + 1))
+                    .sort();
+            });
+    }
+
+    getContentsData(contentPath) {
+        return this._loadTree()
+            .then((tree) => {
+                const object = tree.files.get(contentPath.replace(/^\//, ''));
+                if (!object) {
+                    return Promise.reject(new Error(`failed to get contents for ${contentPath}: 404: Not Found`));
+                }
+                return this._git(['cat-file', 'blob', object], `get contents for ${contentPath}`);
+            })
+            .then(stdout => stdout.toString('utf8'));
+    }
+}
+
+/**
+ * SchemaProvider that reads data from a local git repository
+ *
+ * Accepts the same arguments as ContentsApiSchemaProvider with a repository path as the source and
+ * the options of GitTemplateProvider.
+ */
+class GitSchemaProvider extends ContentsApiSchemaProvider {
+    _createContentsApi(repoPath, options) {
+        return new GitRepoApi(repoPath, options);
+    }
+}
+
+/**
+ * DataProvider that reads data from a local git repository
+ *
+ * Accepts the same arguments as ContentsApiDataProvider with a repository path as the source and
+ * the options of GitTemplateProvider.
+ */
+class GitDataProvider extends ContentsApiDataProvider {
+    _createContentsApi(repoPath, options) {
+        return new GitRepoApi(repoPath, options);
+    }
+}
+
+/**
+ * TemplateProvider that reads data from a local git repository at a given ref
+ *
+ * Template sets are directories at the root of the repository, the same as for GitHubTemplateProvider.
+ * Files are read from the git objects rather than the working copy, so any commit can be loaded without
+ * checking it out. The commit templates are loaded from is always included as `commit` in getSetData().
+ */
+class GitTemplateProvider extends ContentsApiTemplateProvider {
+    /**
+     * @param {string} repoPath - path to the repository (a working copy or a bare repository)
+     * @param {object} [options]
+     * @param {string[]} [options.filteredSets] - only load template sets in this list (or all if list is empty)
+     * @param {object} [options.supportedHashes] - an optional map of hash values to validate against
+     * @param {Array} [options.trustedKeys] - public keys to accept template set signatures from
+     * @param {boolean} [options.strictSignatures=false] - only load template sets signed by a trusted key
+     * @param {string} [options.ref='HEAD'] - branch, tag, or commit to load templates from; it is resolved to a
+     *     commit once and used for the lifetime of the provider (`HEAD` is resolved again by invalidateCache())
+     */
+    constructor(repoPath, options) {
+        super(path.resolve(repoPath), options);
+        this.repoPath = path.resolve(repoPath);
+    }
+
+    _createContentsApi(repoPath, options) {
+        return new GitRepoApi(repoPath, options);
+    }
+
+    _createSchemaProvider(tsName) {
+        return new GitSchemaProvider(this.repoPath, tsName, { contentsApi: this._contentsApi });
+    }
+
+    _createDataProvider(tsName) {
+        return new GitDataProvider(this.repoPath, tsName, { contentsApi: this._contentsApi });
+    }
+}
+
+module.exports = {
+    GitRepoApi,
+    GitTemplateProvider,
+    GitSchemaProvider,
+    GitDataProvider
+};
@@ -15,316 +15,272 @@
 
 'use strict';
 
-const crypto = require('crypto');
+const AdmZip = require('adm-zip');
 
-const axios = require('axios');
+const { BaseContentsApi } = require('./contents_api');
+const {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+} = require('./contents_api_provider');
 
-const Template = require('./template').Template;
-const { BaseSchemaProvider } = require('./schema_provider');
-const { BaseDataProvider } = require('./data_provider');
-const { BaseTemplateProvider } = require('./template_provider');
-const { stripExtension } = require('./utils');
-
-class GitHubContentsApi {
+/**
+ * Thin wrapper around the GitHub Contents API
+ *
+ * Shares the ETag caching, on-disk cache, and rate limit handling of BaseContentsApi.
+ */
+class GitHubContentsApi extends BaseContentsApi {
+    /**
+     * @param {string} repo - GitHub repository in `owner/name` form
+     * @param {object} [options] - the options of BaseContentsApi along with:
+     * @param {string} [options.apiToken] - GitHub API token
+     * @param {string} [options.baseUrl='https://api.github.com'] - URL of the GitHub API (e.g., for GitHub Enterprise)
+     */
     constructor(repo, options) {
+        options = options || {};
+        const repoUrl = `${(options.baseUrl || 'https://api.github.com').replace(/\/$/, '')}/repos/${repo}`;
         const axiosConfig = {
-            baseURL: `https://api.github.com/repos/${repo}/contents/`
+            baseURL: `${repoUrl}/contents/`
         };
         if (options.apiToken) {
             axiosConfig.headers = {
                 Authorization: `Token ${options.apiToken}`
             };
         }
-        this.endpoint = axios.create(axiosConfig);
+        super(repo, axiosConfig, options);
+
+        this.repoUrl = repoUrl;
+        this.apiName = 'GitHub API';
     }
 
-    _handleResponseError(err, task) {
-        if (err.response) {
-            const resp = err.response;
-            const errStr = `${resp.status}: ${resp.data.message}`;
-            return Promise.reject(new Error(
-                `failed to ${task}: ${errStr}`
-            ));
-        }
-        return Promise.reject(err);
+    _fetchCommitSha(ref) {
+        return this._request(
+            `${this.repoUrl}/commits/${encodeURIComponent(ref)}`,
+            {},
+            `resolve ref ${ref}`,
+            false
+        )
+            .then(data => data.sha);
+    }
+
+    _refConfig(config) {
+        return this.resolveRef()
+            .then(sha => ((sha) ? Object.assign({}, config, { params: { ref: sha } }) : config));
     }
 
     getContentsByType(dir, type) {
-        return Promise.resolve()
-            .then(() => this.endpoint.get(dir))
-            .catch(e => this._handleResponseError(e, `get items for ${dir}`))
-            .then(resp => resp.data)
+        return this._refConfig({})
+            .then(config => this._request(dir, config, `get items for ${dir}`, false))
             .then(data => data
                 .filter(x => x.type === type)
                 .map(x => x.name));
     }
 
     getContentsData(contentPath) {
-        return Promise.resolve()
-            .then(() => this.endpoint(contentPath, {
-                responseType: 'text',
-                headers: {
-                    Accept: 'application/vnd.github.v3+raw'
-                }
-            }))
-            .catch(e => this._handleResponseError(e, `get contents for ${contentPath}`))
-            .then(resp => resp.data.content)
+        return this._refConfig({
+            responseType: 'text',
+            headers: {
+                Accept: 'application/vnd.github.v3+raw'
+            }
+        })
+            .then(config => this._request(contentPath, config, `get contents for ${contentPath}`, !!this.cacheDir))
+            .then(data => data.content)
             .then(data => Buffer.from(data, 'base64').toString('utf8'));
     }
 }
 
 /**
- * SchemaProvider that fetches data from a GitHub repository
+ * Drop-in replacement for GitHubContentsApi that serves directory listings and file contents from
+ * a single download of the repository's zip archive
+ *
+ * The archive is downloaded on first use and kept in memory until `invalidate()` is called.
  */
-class GitHubSchemaProvider extends BaseSchemaProvider {
-    constructor(repo, schemaRootPath, options) {
-        super();
-
-        options = options || {};
-
-        this._rootDir = `/${schemaRootPath}`;
-        this._contentsApi = new GitHubContentsApi(repo, {
-            apiToken: options.apiToken
-        });
-    }
-
-    _loadSchema(schemaName) {
-        return Promise.resolve()
-            .then(() => this._contentsApi.getContentsData(`${this._rootDir}/${schemaName}.json`));
-    }
-
+class GitHubArchiveApi {
     /**
-     * List all schema known to the provider
-     *
-     * @returns {string[]}
+     * @param {string} repo - GitHub repository in `owner/name` form
+     * @param {object} [options] - same options as GitHubContentsApi
      */
-    list() {
-        return Promise.resolve()
-            .then(() => this._contentsApi.getContentsByType(this._rootDir, 'file'))
-            .then(files => files
-                .filter(x => x.endsWith('.json'))
-                .map(x => stripExtension(x)));
+    constructor(repo, options) {
+        this.repo = repo;
+        this._contentsApi = new GitHubContentsApi(repo, options);
+        this._archive = null;
     }
-}
 
-/**
- * DataProvider that fetches data from a GitHub repository
- */
-class GitHubDataProvider extends BaseDataProvider {
     /**
-     * @param {string} dataRootPath - a path to a directory containing data files
+     * Get the commit SHA for the `ref` option (or `null` if no ref was given)
+     *
+     * @returns {Promise} Promise resolves to a commit SHA
      */
-    constructor(repo, dataRootPath, options) {
-        super();
-        options = options || {};
-
-        this._rootDir = `/${dataRootPath}`;
-        this._contentsApi = new GitHubContentsApi(repo, {
-            apiToken: options.apiToken
-        });
-    }
-
-    _loadData(dataName) {
-        return Promise.resolve()
-            .then(() => this._contentsApi.getContentsData(`${this._rootDir}/${dataName}.data`));
+    resolveRef() {
+        return this._contentsApi.resolveRef();
     }
 
     /**
-     * List all data files known to the provider
+     * Drop the downloaded archive so the next request downloads it again
      *
-     * @returns {string[]}
+     * Has no effect when pinned to a ref, since the archive would not change.
      */
-    list() {
-        return Promise.resolve()
-            .then(() => this._contentsApi.getContentsByType(this._rootDir, 'file'))
-            .then(files => files
-                .filter(x => x.endsWith('.data'))
-                .map(x => stripExtension(x)));
+    invalidate() {
+        if (!this._contentsApi.ref) {
+            this._archive = null;
+        }
     }
-}
-
-/**
- * TemplateProvider that fetches data from a GitHub repository
- */
-class GitHubTemplateProvider extends BaseTemplateProvider {
-    constructor(repo, options) {
-        options = options || {};
-
-        super(options.supportedHashes);
-
-        this.filteredSets = new Set(options.filteredSets || []);
-
-        this.repo = repo;
-        this._apiToken = options.apiToken;
-
-        this._schemaProviders = {};
-        this._dataProviders = {};
 
-        this._contentsApi = new GitHubContentsApi(this.repo, {
-            apiToken: this._apiToken
-        });
+    _loadArchive() {
+        if (!this._archive) {
+            this._archive = this.resolveRef()
+                .then((sha) => {
+                    const archiveUrl = `${this._contentsApi.repoUrl}/zipball${(sha) ? `/${sha}` : ''}`;
+                    return this._contentsApi._request(
+                        archiveUrl,
+                        { responseType: 'arraybuffer' },
+                        'download archive',
+                        false
+                    );
+                })
+                .then((data) => {
+                    const files = new Map();
+                    const dirs = new Map([['', new Set()]]);
+                    const addToDir = (itemPath, type) => {
+                        const parts = itemPath.split('/');
+                        const parent = parts.slice(0, -1).join('/');
+                        if (!dirs.has(parent)) {
+                            addToDir(parent, 'dir');
+                            dirs.set(parent, new Set());
+                        }
+                        dirs.get(parent).add(`${type}:${parts[parts.length - 1]}`);
+                    };
+
+                    // Entries are nested under a single top-level directory named after the repo and commit
+                    new AdmZip(Buffer.from(data)).getEntries()
+                        .map(entry => ({
+                            entry,
+                            entryPath: entry.entryName.split('/').slice(1).join('/').replace(/\/$/, '')
+                        }))
+                        .filter(x => x.entryPath !== '')
+                        .forEach(({ entry, entryPath }) => {
+                            if (entry.isDirectory) {
+                                if (!dirs.has(entryPath)) {
+                                    addToDir(entryPath, 'dir');
+                                    dirs.set(entryPath, new Set());
+                                }
+                            } else {
+                                addToDir(entryPath, 'file');
+                                files.set(entryPath, entry.getData());
+                            }
+                        });
+                    return { files, dirs };
+                })
+                .catch((e) => {
+                    this._archive = null;
+                    return Promise.reject(e);
+                });
+        }
+        return this._archive;
     }
 
-    _loadTemplate(templatePath) {
-        const tmplParts = templatePath.split('/');
-        const tmplDir = tmplParts.slice(0, -1).join('/');
-        const tmplName = tmplParts[tmplParts.length - 1];
-
-        const schemaProvider = this._getSchemaProvider(tmplDir);
-        const dataProvider = this._getDataProvider(tmplDir);
-        return Promise.resolve()
-            .then(() => this._contentsApi.getContentsByType(tmplDir, 'file'))
-            .then((files) => {
-                let useMst = 0;
-                let fname;
-
-                if (files.includes(`${tmplName}.yml`)) {
-                    fname = `${tmplName}.yml`;
-                } else if (files.includes(`${tmplName}.yaml`)) {
-                    fname = `${tmplName}.yaml`;
-                } else if (files.includes(`${tmplName}.mst`)) {
-                    useMst = 1;
-                    fname = `${tmplName}.mst`;
-                } else {
-                    return Promise.reject(new Error(`could not find a template with name "${templatePath}"`));
+    getContentsByType(dir, type) {
+        const dirPath = dir.replace(/^\//, '');
+        return this._loadArchive()
+            .then((archive) => {
+                const items = archive.dirs.get(dirPath);
+                if (!items) {
+                    return Promise.reject(new Error(`failed to get items for ${dir}: 404: Not Found`));
                 }
-
-                fname = `${tmplDir}/${fname}`;
-
-                return Promise.resolve()
-                    .then(() => this._contentsApi.getContentsData(fname))
-                    .then(tmpldata => Template[useMst ? 'loadMst' : 'loadYaml'](tmpldata, {
-                        schemaProvider,
-                        dataProvider,
-                        templateProvider: this,
-                        rootDir: tmplDir
-                    }));
+                // The contents API lists items sorted by name
+                return Array.from(items)
+                    .filter(x => x.startsWith(`${type}:`))
+                    .map(x => x.slice(type.length + 1))
+                    .sort();
             });
     }
 
-    _getSchemaProvider(tsName) {
-        if (!this._schemaProviders[tsName]) {
-            this._schemaProviders[tsName] = new GitHubSchemaProvider(this.repo, tsName, { apiToken: this._apiToken });
-        }
-
-        return this._schemaProviders[tsName];
+    getContentsData(contentPath) {
+        return this._loadArchive()
+            .then((archive) => {
+                const data = archive.files.get(contentPath.replace(/^\//, ''));
+                if (!data) {
+                    return Promise.reject(new Error(`failed to get contents for ${contentPath}: 404: Not Found`));
+                }
+                return data.toString('utf8');
+            });
     }
+}
 
-    _getDataProvider(tsName) {
-        if (!this._dataProviders[tsName]) {
-            this._dataProviders[tsName] = new GitHubDataProvider(this.repo, tsName, { apiToken: this._apiToken });
-        }
-
-        return this._dataProviders[tsName];
+/**
+ * SchemaProvider that fetches data from a GitHub repository
+ *
+ * Accepts a GitHub repository in `owner/name` form as the source (see ContentsApiSchemaProvider) and the
+ * options of GitHubContentsApi.
+ */
+class GitHubSchemaProvider extends ContentsApiSchemaProvider {
+    _createContentsApi(repo, options) {
+        return new GitHubContentsApi(repo, options);
     }
+}
 
-    /**
-     * Get a list of set names known to the provider
-     *
-     * @returns {Promise} Promise resolves to a string array
-     */
-    listSets() {
-        return Promise.resolve()
-            .then(() => this._contentsApi.getContentsByType('', 'dir'))
-            .then(items => items.filter(
-                x => this.filteredSets.size === 0 || this.filteredSets.has(x)
-            ));
+/**
+ * DataProvider that fetches data from a GitHub repository
+ *
+ * Accepts a GitHub repository in `owner/name` form as the source (see ContentsApiDataProvider) and the
+ * options of GitHubContentsApi.
+ */
+class GitHubDataProvider extends ContentsApiDataProvider {
+    _createContentsApi(repo, options) {
+        return new GitHubContentsApi(repo, options);
     }
+}
 
+/**
+ * TemplateProvider that fetches data from a GitHub repository
+ */
+class GitHubTemplateProvider extends ContentsApiTemplateProvider {
     /**
-     * List all templates known to the provider (optionally filtered by the supplied list of set names)
-     *
-     * @param {string[]} [setList=[]]
-     * @returns {Promise} Promise resolves to a string array
+     * @param {string} repo - GitHub repository in `owner/name` form
+     * @param {object} [options]
+     * @param {string[]} [options.filteredSets] - only load template sets in this list (or all if list is empty)
+     * @param {object} [options.supportedHashes] - an optional map of hash values to validate against
+     * @param {string} [options.apiToken] - GitHub API token
+     * @param {string} [options.baseUrl='https://api.github.com'] - URL of the GitHub API (e.g., for GitHub Enterprise)
+     * @param {string} [options.ref] - branch, tag, or commit SHA to load templates from (defaults to the default
+     *     branch); branches and tags are resolved to a commit once and used for the lifetime of the provider
+     * @param {boolean} [options.archive=false] - download the repository as a single zip archive (instead of
+     *     making a request for each directory and file) and load everything from it
+     * @param {string} [options.cacheDir] - directory to store fetched files in so they can be revalidated with ETags
+     * @param {number} [options.etagCacheSize=10485760] - maximum size of fetched data to keep in memory for
+     *     revalidating with ETags (least recently used files are evicted first)
+     * @param {number} [options.maxRetries=3] - number of times to retry rate limited requests
+     * @param {number} [options.retryDelay=1000] - milliseconds to wait before the first retry of a rate limited request
+     * @param {number} [options.maxRetryDelay=60000] - the longest to wait (in milliseconds) for a rate limit to reset
+     * @param {Array} [options.trustedKeys] - public keys to accept template set signatures from
+     * @param {boolean} [options.strictSignatures=false] - only load template sets signed by a trusted key
+     * @param {object} [options.cache] - options for the template cache (`maxSize`, `ttl`, and `sizeOf`, see
+     *     ResourceCache)
      */
-    list(setList) {
-        setList = setList || [];
-        if (typeof setList === 'string') {
-            setList = [setList];
-        }
+    constructor(repo, options) {
+        options = options || {};
+        super(repo, options);
 
-        return this.listSets()
-            .then(sets => sets.filter(x => setList.length === 0 || setList.includes(x)))
-            .then(sets => Promise.all(sets.map(
-                setName => this._contentsApi.getContentsByType(`/${setName}`, 'file')
-                    .then(data => data
-                        .filter(x => this.hasTemplateExtension(x))
-                        .map(x => `${setName}/${stripExtension(x)}`))
-            )))
-            .then(sets => sets.reduce((acc, curr) => acc.concat(curr), []));
+        this.repo = repo;
+        this._apiToken = options.apiToken;
     }
 
-    /**
-     * Delete the template set associated with the supplied set ID.
-     *
-     * Not implemented for FsSchemaProvider.
-     *
-     * @returns {Promise}
-     */
-    removeSet() {
-        return Promise.reject(new Error('Set removal not implemented'));
+    _createContentsApi(repo, options) {
+        return (options.archive) ? new GitHubArchiveApi(repo, options) : new GitHubContentsApi(repo, options);
     }
 
-    /**
-     * Get all schema known to the provider (optionally filtered by the supplied set name)
-     *
-     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
-     * @returns {Promise} Promise resolves to an object containing schema
-     */
-    getSchemas(filteredSetName) {
-        const schemas = {};
-        return Promise.resolve()
-            .then(() => (filteredSetName ? [filteredSetName] : this.listSets()))
-            .then(setList => Promise.all(setList.map(
-                tsName => this._getSchemaProvider(tsName).list()
-                    .then(schemaList => Promise.all(schemaList.map(
-                        schemaName => this._getSchemaProvider(tsName).fetch(schemaName)
-                            .then((schemaData) => {
-                                const name = `${tsName}/${schemaName}`;
-                                const schemaHash = crypto.createHash('sha256');
-                                schemaHash.update(schemaData);
-                                schemas[name] = {
-                                    name,
-                                    data: schemaData,
-                                    hash: schemaHash.digest('hex')
-                                };
-                            })
-                    )))
-            )))
-            .then(() => schemas);
+    _createSchemaProvider(tsName) {
+        return new GitHubSchemaProvider(this.repo, tsName, { contentsApi: this._contentsApi });
     }
 
-    /**
-     * Get all data files known to the provider (optionally filtered by the supplied set name)
-     *
-     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
-     * @returns {Promise} Promise resolves to an object containing data files
-     */
-    getDataFiles(filteredSetName) {
-        const dataFiles = {};
-        return Promise.resolve()
-            .then(() => (filteredSetName ? [filteredSetName] : this.listSets()))
-            .then(setList => Promise.all(setList.map(
-                tsName => this._getDataProvider(tsName).list()
-                    .then(dataFileList => Promise.all(dataFileList.map(
-                        dataName => this._getDataProvider(tsName).fetch(dataName)
-                            .then((data) => {
-                                const name = `${tsName}/${dataName}`;
-                                const dataHash = crypto.createHash('sha256');
-                                dataHash.update(data);
-                                dataFiles[name] = {
-                                    name,
-                                    data,
-                                    hash: dataHash.digest('hex')
-                                };
-                            })
-                    )))
-            )))
-            .then(() => dataFiles);
+    _createDataProvider(tsName) {
+        return new GitHubDataProvider(this.repo, tsName, { contentsApi: this._contentsApi });
     }
 }
 
 module.exports = {
+    GitHubContentsApi,
     GitHubTemplateProvider,
-    GitHubSchemaProvider
+    GitHubSchemaProvider,
+    GitHubDataProvider
 };
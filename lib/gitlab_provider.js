@@ -0,0 +1,188 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { BaseContentsApi } = require('./contents_api');
+const {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+} = require('./contents_api_provider');
+
+const treePageSize = 100;
+
+/**
+ * Client for the GitLab repository files and tree API
+ *
+ * Shares the ETag caching, on-disk cache, and rate limit handling of BaseContentsApi with GitHubContentsApi.
+ */
+class GitLabFilesApi extends BaseContentsApi {
+    /**
+     * @param {string} project - GitLab project ID or path (e.g., `group/project`)
+     * @param {object} [options] - the options of BaseContentsApi along with:
+     * @param {string} [options.baseUrl='https://gitlab.com'] - URL of the GitLab instance
+     * @param {string} [options.apiToken] - GitLab personal, project, or group access token
+     */
+    constructor(project, options) {
+        options = options || {};
+        const baseUrl = (options.baseUrl || 'https://gitlab.com').replace(/\/$/, '');
+        const projectUrl = `${baseUrl}/api/v4/projects/${encodeURIComponent(project)}`;
+        const axiosConfig = {
+            baseURL: `${projectUrl}/repository/`
+        };
+        if (options.apiToken) {
+            axiosConfig.headers = {
+                'PRIVATE-TOKEN': options.apiToken
+            };
+        }
+        super(project, axiosConfig, options);
+
+        this.projectUrl = projectUrl;
+        this.apiName = 'GitLab API';
+        this._defaultBranch = null;
+    }
+
+    _errorMessage(data) {
+        return (data && (data.message || data.error)) || data;
+    }
+
+    _fetchCommitSha(ref) {
+        return this._request(`commits/${encodeURIComponent(ref)}`, {}, `resolve ref ${ref}`, false)
+            .then(data => data.id);
+    }
+
+    // The files API requires a ref, so fall back to the project's default branch
+    _refConfig(config) {
+        return this.resolveRef()
+            .then((sha) => {
+                if (sha) {
+                    return sha;
+                }
+                if (!this._defaultBranch) {
+                    this._defaultBranch = this._request(this.projectUrl, {}, 'get project', false)
+                        .then(data => data.default_branch)
+                        .catch((e) => {
+                            this._defaultBranch = null;
+                            return Promise.reject(e);
+                        });
+                }
+                return this._defaultBranch;
+            })
+            .then(ref => Object.assign({}, config, {
+                params: Object.assign({}, config.params, { ref })
+            }));
+    }
+
+    getContentsByType(dir, type) {
+        const dirPath = dir.replace(/^\//, '');
+        const itemType = (type === 'dir') ? 'tree' : 'blob';
+        const getPage = (page, items) => this._refConfig({
+            params: Object.assign((dirPath) ? { path: dirPath } : {}, {
+                per_page: treePageSize,
+                page
+            })
+        })
+            .then(config => this._request('tree', config, `get items for ${dir}`, false))
+            .then((data) => {
+                items = items.concat(data);
+                return (data.length < treePageSize) ? items : getPage(page + 1, items);
+            });
+
+        return getPage(1, [])
+            .then(items => items
+                .filter(x => x.type === itemType)
+                .map(x => x.name));
+    }
+
+    getContentsData(contentPath) {
+        const filePath = contentPath.replace(/^\//, '');
+        return this._refConfig({
+            responseType: 'text',
+            // Keep JSON files (e.g., schema) as text
+            transformResponse: [data => data]
+        })
+            .then(config => this._request(
+                `files/${encodeURIComponent(filePath)}/raw`,
+                config,
+                `get contents for ${contentPath}`,
+                !!this.cacheDir
+            ))
+            .then(data => ((Buffer.isBuffer(data)) ? data.toString('utf8') : data));
+    }
+}
+
+/**
+ * SchemaProvider that fetches data from a GitLab repository
+ *
+ * Accepts the same arguments as ContentsApiSchemaProvider with a GitLab project ID or path
+ * (e.g., `group/project`) as the source and the options of GitLabTemplateProvider.
+ */
+class GitLabSchemaProvider extends ContentsApiSchemaProvider {
+    _createContentsApi(project, options) {
+        return new GitLabFilesApi(project, options);
+    }
+}
+
+/**
+ * DataProvider that fetches data from a GitLab repository
+ *
+ * Accepts the same arguments as ContentsApiDataProvider with a GitLab project ID or path
+ * (e.g., `group/project`) as the source and the options of GitLabTemplateProvider.
+ */
+class GitLabDataProvider extends ContentsApiDataProvider {
+    _createContentsApi(project, options) {
+        return new GitLabFilesApi(project, options);
+    }
+}
+
+/**
+ * TemplateProvider that fetches data from a GitLab repository
+ *
+ * Template sets are directories at the root of the repository, the same as for GitHubTemplateProvider.
+ * The constructor accepts a GitLab project ID or path (e.g., `group/project`) and an options object with:
+ *
+ * - `baseUrl`: URL of the GitLab instance (defaults to `https://gitlab.com`)
+ * - `apiToken`: a GitLab personal, project, or group access token
+ * - `ref`: branch, tag, or commit SHA to load templates from (defaults to the default branch); branches and
+ *   tags are resolved to a commit once and used for the lifetime of the provider
+ * - `filteredSets`, `supportedHashes`, `trustedKeys`, `strictSignatures`, `cacheDir`, `maxRetries`, `retryDelay`,
+ *   and `maxRetryDelay`: the same as for GitHubTemplateProvider
+ */
+class GitLabTemplateProvider extends ContentsApiTemplateProvider {
+    constructor(project, options) {
+        super(project, options);
+        this.repo = project;
+    }
+
+    _createContentsApi(project, options) {
+        return new GitLabFilesApi(project, options);
+    }
+
+    _createSchemaProvider(tsName) {
+        return new GitLabSchemaProvider(this.repo, tsName, { contentsApi: this._contentsApi });
+    }
+
+    _createDataProvider(tsName) {
+        return new GitLabDataProvider(this.repo, tsName, { contentsApi: this._contentsApi });
+    }
+}
+
+module.exports = {
+    GitLabFilesApi,
+    GitLabTemplateProvider,
+    GitLabSchemaProvider,
+    GitLabDataProvider
+};
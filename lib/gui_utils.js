@@ -15,10 +15,15 @@
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+
 const Mustache = require('mustache');
 const mergeWith = require('merge-lite');
+const mustacheVersion = require('mustache/package.json').version;
 
 const htmlStub = require('./html_stub');
+const { transformStrategies } = require('./template');
 
 // Disable HTML escaping
 Mustache.escape = function escape(text) {
@@ -232,12 +237,119 @@ const filterExtraProperties = (view, schema) => Object.keys(view).reduce((acc, c
     return acc;
 }, {});
 
-const generateHtmlPreview = (schema, view) => {
+// Assets needed by the preview page: vendored copies in lib/vendor are inlined for offline pages
+const editorAssets = [
+    {
+        type: 'style',
+        file: 'bootstrap.min.css',
+        url: 'https://cdn.jsdelivr.net/npm/bootstrap@4.5.3/dist/css/bootstrap.min.css',
+        integrity: 'sha384-TX8t27EcRE3e/ihU7zmQxVncDAy5uIKz4rEkgIXeMed4M0jlfIDPvg6uqKI2xXr2'
+    },
+    {
+        type: 'script',
+        file: 'jquery.slim.min.js',
+        url: 'https://code.jquery.com/jquery-3.5.1.slim.min.js',
+        integrity: 'sha384-DfXdz2htPH0lsSSs5nCTpuj/zy4C+OGpamoFVy38MVBnE+IbbVYUew+OrCXaRkfj'
+    },
+    {
+        type: 'script',
+        file: 'bootstrap.bundle.min.js',
+        url: 'https://cdn.jsdelivr.net/npm/bootstrap@4.5.3/dist/js/bootstrap.bundle.min.js',
+        integrity: 'sha384-ho+j7jyWK8fNQe+A12Hb8AhRq26LrZ/JpcUGGOn+Y7RsweNrtN/tE3MoK7ZeZDyx'
+    },
+    {
+        type: 'script',
+        file: 'jsoneditor.min.js',
+        url: 'https://cdn.jsdelivr.net/npm/@json-editor/json-editor@2.5.1/dist/jsoneditor.min.js'
+    }
+].map(asset => Object.assign({ path: path.join(__dirname, 'vendor', asset.file) }, asset));
+
+// Mustache re-renders the output in the page, using the version installed for this package
+const mustacheAsset = {
+    type: 'script',
+    path: require.resolve('mustache/mustache.min.js'),
+    url: `https://cdn.jsdelivr.net/npm/mustache@${mustacheVersion}/mustache.min.js`
+};
+
+const assetToHtml = (asset, offline) => {
+    if (offline) {
+        const content = fs.readFileSync(asset.path, 'utf8')
+            .replace(/^\/[/*][#@] sourceMappingURL=.*$/mg, '')
+            .replace(/<\/(script|style)/gi, '<\\/$1');
+        return (asset.type === 'style') ? `<style>${content}</style>` : `<script>${content}</script>`;
+    }
+    const integrity = (asset.integrity) ? ` integrity="${asset.integrity}" crossorigin="anonymous"` : '';
+    return (asset.type === 'style')
+        ? `<link rel="stylesheet" href="${asset.url}"${integrity}>`
+        : `<script src="${asset.url}"${integrity}></script>`;
+};
+
+// Make JSON safe to embed in a script tag
+const jsonForScript = data => JSON.stringify(data).replace(/</g, '\\u003c');
+
+const renderForPage = (tmpl, view) => {
+    try {
+        return { rendered: tmpl.render(view) };
+    } catch (e) {
+        return { message: e.message, validationErrors: e.validationErrors };
+    }
+};
+
+// What the page needs to render the template text with Mustache (sub-templates need the merge strategies,
+// so templates with them keep the output rendered when the page was generated)
+const renderPlanForPage = (tmpl, view) => {
+    if (tmpl._allOf.length + tmpl._anyOf.length + tmpl._oneOf.length > 0) {
+        return null;
+    }
+    return {
+        template: tmpl._cleanTemplateText(tmpl.templateText || ''),
+        partials: tmpl._partials,
+        properties: tmpl.getParametersSchema().properties || {},
+        defaults: tmpl.getCombinedParameters(view),
+        json: tmpl.contentType === 'application/json'
+    };
+};
+
+// Transform strategies are embedded by their source, so they cannot use anything outside of the function
+const transformForPage = (tmpl) => {
+    const transform = transformStrategies[tmpl.contentType];
+    return (transform) ? transform.toString().replace(/<\/script/gi, '<\\/script') : 'null';
+};
+
+/**
+ * Generate an HTML page with a form for editing the parameters of a template
+ *
+ * @param {object} schema - template parameters schema
+ * @param {object} view - initial parameter values
+ * @param {object} [options]
+ * @param {boolean} [options.offline=false] - inline the page's stylesheets and scripts instead of using a CDN
+ * @param {Template} [options.template] - show the output of this template, re-rendered with Mustache in the page
+ *     as the form is edited (templates with `allOf`, `anyOf`, or `oneOf` only show the output for `view`)
+ *
+ * @returns {string} HTML page
+ */
+const generateHtmlPreview = (schema, view, options) => {
+    options = options || {};
     schema = modSchemaForJSONEditor(schema);
+    const assets = editorAssets.concat((options.template) ? [mustacheAsset] : []);
     const htmlView = {
-        schema_data: JSON.stringify(schema),
-        default_view: JSON.stringify(filterExtraProperties(view, schema))
+        styles: assets
+            .filter(asset => asset.type === 'style')
+            .map(asset => assetToHtml(asset, options.offline))
+            .join('\n'),
+        scripts: assets
+            .filter(asset => asset.type === 'script')
+            .map(asset => assetToHtml(asset, options.offline))
+            .join('\n'),
+        schema_data: jsonForScript(schema),
+        default_view: jsonForScript(filterExtraProperties(view, schema)),
+        has_output: !!options.template
     };
+    if (options.template) {
+        htmlView.render_result = jsonForScript(renderForPage(options.template, view));
+        htmlView.render_plan = jsonForScript(renderPlanForPage(options.template, view));
+        htmlView.render_transform = transformForPage(options.template);
+    }
     return Mustache.render(htmlStub.htmlData, htmlView);
 };
 
@@ -23,17 +23,31 @@ const htmlData = `
 <head>
     <meta charset="utf-8">
     <title>Template Preview</title>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@4.5.3/dist/css/bootstrap.min.css" integrity="sha384-TX8t27EcRE3e/ihU7zmQxVncDAy5uIKz4rEkgIXeMed4M0jlfIDPvg6uqKI2xXr2" crossorigin="anonymous">
+    {{{styles}}}
+    <style>
+        #rendered { white-space: pre-wrap; }
+    </style>
 </head>
 
 <body>
-    <div id="editor"></div>
-    <script src="https://code.jquery.com/jquery-3.5.1.slim.min.js" integrity="sha384-DfXdz2htPH0lsSSs5nCTpuj/zy4C+OGpamoFVy38MVBnE+IbbVYUew+OrCXaRkfj" crossorigin="anonymous"></script>
-    <script src="https://cdn.jsdelivr.net/npm/bootstrap@4.5.3/dist/js/bootstrap.bundle.min.js" integrity="sha384-ho+j7jyWK8fNQe+A12Hb8AhRq26LrZ/JpcUGGOn+Y7RsweNrtN/tE3MoK7ZeZDyx" crossorigin="anonymous"></script>
-    <script src="https://cdn.jsdelivr.net/npm/@json-editor/json-editor@2.5.1/dist/jsoneditor.min.js"></script>
+    <div class="container-fluid">
+        <div class="row">
+            <div class="{{#has_output}}col-6{{/has_output}}{{^has_output}}col-12{{/has_output}}">
+                <div id="editor"></div>
+            </div>
+            {{#has_output}}
+            <div class="col-6">
+                <h5 class="mt-3">Rendered Output</h5>
+                <div id="errors" class="alert alert-danger d-none"></div>
+                <pre id="rendered" class="border p-2" aria-readonly="true"></pre>
+            </div>
+            {{/has_output}}
+        </div>
+    </div>
+    {{{scripts}}}
     <script>
-        const schema = {{schema_data}};
-        const defaults = {{default_view}};
+        const schema = {{{schema_data}}};
+        const defaults = {{{default_view}}};
         const editor = new JSONEditor(document.getElementById('editor'), {
             schema,
             startval: defaults,
@@ -46,10 +60,238 @@ const htmlData = `
             theme: 'bootstrap4'
         });
     </script>
+    {{#has_output}}
+    <script>
+        // Rendered by Template.render() when the page was generated
+        const renderResult = {{{render_result}}};
+        // Renders the template text with Mustache as the form is edited (null for templates with sub-templates)
+        const renderPlan = {{{render_plan}}};
+        const transform = {{{render_transform}}};
+        let initialValue = null;
+
+        const showResult = (result) => {
+            const errorsElem = document.getElementById('errors');
+            errorsElem.textContent = '';
+            const lines = (result.message) ? [result.message] : [];
+            (result.validationErrors || []).forEach((error) => {
+                lines.push((error.dataPath || error.instancePath || '') + ' ' + error.message);
+            });
+            lines.forEach((line) => {
+                const lineElem = document.createElement('div');
+                lineElem.textContent = line;
+                errorsElem.appendChild(lineElem);
+            });
+            if (lines.length > 0) {
+                errorsElem.classList.remove('d-none');
+            } else {
+                errorsElem.classList.add('d-none');
+            }
+            document.getElementById('rendered').textContent = result.rendered || '';
+        };
+
+        const renderParameters = (parameters) => {
+            try {
+                const view = Object.keys(parameters).reduce((acc, key) => {
+                    const propSchema = renderPlan.properties[key];
+                    acc[key] = (propSchema && transform) ? transform(propSchema, parameters[key]) : parameters[key];
+                    return acc;
+                }, {});
+                let rendered = Mustache.render(renderPlan.template, view, renderPlan.partials, {
+                    escape: text => text
+                });
+                if (renderPlan.json) {
+                    rendered = JSON.stringify(JSON.parse((rendered.trim() === '') ? '""' : rendered), null, 2);
+                }
+                return { rendered };
+            } catch (e) {
+                return { message: e.message };
+            }
+        };
+
+        const updateOutput = () => {
+            const value = JSON.stringify(editor.getValue());
+            if (!renderPlan || value === initialValue) {
+                showResult(renderResult);
+            } else {
+                showResult(renderParameters(Object.assign({}, renderPlan.defaults, editor.getValue())));
+            }
+        };
+
+        editor.on('ready', () => {
+            initialValue = JSON.stringify(editor.getValue());
+            updateOutput();
+        });
+        editor.on('change', updateOutput);
+    </script>
+    {{/has_output}}
+</body>
+</html>
+`;
+
+const serverHtmlData = `
+<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Template Preview Server</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@4.5.3/dist/css/bootstrap.min.css" integrity="sha384-TX8t27EcRE3e/ihU7zmQxVncDAy5uIKz4rEkgIXeMed4M0jlfIDPvg6uqKI2xXr2" crossorigin="anonymous">
+    <style>
+        #rendered { white-space: pre-wrap; }
+    </style>
+</head>
+
+<body>
+    <div class="container-fluid mt-3">
+        <div class="row">
+            <div class="col-2">
+                <h5>Templates</h5>
+                <div id="templates" class="list-group"></div>
+            </div>
+            <div class="col-5">
+                <select id="examples" class="form-control mb-2 d-none"></select>
+                <div id="editor"></div>
+            </div>
+            <div class="col-5">
+                <h5>Rendered Output</h5>
+                <div id="errors" class="alert alert-danger d-none"></div>
+                <pre id="rendered" class="border p-2"></pre>
+            </div>
+        </div>
+    </div>
+    <script src="https://code.jquery.com/jquery-3.5.1.slim.min.js" integrity="sha384-DfXdz2htPH0lsSSs5nCTpuj/zy4C+OGpamoFVy38MVBnE+IbbVYUew+OrCXaRkfj" crossorigin="anonymous"></script>
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@4.5.3/dist/js/bootstrap.bundle.min.js" integrity="sha384-ho+j7jyWK8fNQe+A12Hb8AhRq26LrZ/JpcUGGOn+Y7RsweNrtN/tE3MoK7ZeZDyx" crossorigin="anonymous"></script>
+    <script src="https://cdn.jsdelivr.net/npm/@json-editor/json-editor@2.5.1/dist/jsoneditor.min.js"></script>
+    <script>
+        let editor = null;
+        let currentTemplate = null;
+        let currentParameters = {};
+        let currentExamples = {};
+        let renderTimer = null;
+
+        const api = (path, body) => fetch(path, body ? {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        } : {}).then(res => res.json());
+
+        const showErrors = (result) => {
+            const errorsElem = document.getElementById('errors');
+            errorsElem.textContent = '';
+            if (!result.message) {
+                errorsElem.classList.add('d-none');
+                return;
+            }
+            errorsElem.classList.remove('d-none');
+            const lines = [result.message].concat((result.validationErrors || []).map((error) => {
+                const location = [error.file, error.line, error.column].filter(x => x).join(':');
+                const details = (error.details) ? ' (' + error.details + ')' : '';
+                return ((location) ? location + ': ' : '') + error.message + details;
+            }));
+            lines.forEach((line) => {
+                const lineElem = document.createElement('div');
+                lineElem.textContent = line;
+                errorsElem.appendChild(lineElem);
+            });
+        };
+
+        const renderTemplate = () => {
+            if (!editor || !currentTemplate) {
+                return;
+            }
+            api('/api/templates/' + currentTemplate + '/render', { parameters: editor.getValue() })
+                .then((result) => {
+                    showErrors(result);
+                    document.getElementById('rendered').textContent = result.rendered || '';
+                });
+        };
+
+        const showExamples = () => {
+            const selectElem = document.getElementById('examples');
+            selectElem.textContent = '';
+            const names = Object.keys(currentExamples);
+            selectElem.classList.toggle('d-none', names.length === 0);
+            [''].concat(names).forEach((exampleName) => {
+                const optionElem = document.createElement('option');
+                optionElem.value = exampleName;
+                optionElem.textContent = exampleName || 'Default parameters';
+                selectElem.appendChild(optionElem);
+            });
+        };
+
+        document.getElementById('examples').addEventListener('change', (event) => {
+            if (!editor) {
+                return;
+            }
+            const exampleName = event.target.value;
+            editor.setValue(Object.assign({}, (exampleName) ? currentExamples[exampleName] : currentParameters));
+        });
+
+        const loadTemplate = (name, keepValues) => {
+            const values = (keepValues && editor) ? editor.getValue() : null;
+            currentTemplate = name;
+            Array.from(document.querySelectorAll('#templates a')).forEach((elem) => {
+                elem.classList.toggle('active', elem.dataset.name === name);
+            });
+            return api('/api/templates/' + name)
+                .then((result) => {
+                    showErrors(result);
+                    if (editor) {
+                        editor.destroy();
+                        editor = null;
+                    }
+                    document.getElementById('rendered').textContent = '';
+                    currentParameters = result.parameters || {};
+                    currentExamples = result.examples || {};
+                    showExamples();
+                    if (!result.schema) {
+                        return;
+                    }
+                    editor = new JSONEditor(document.getElementById('editor'), {
+                        schema: result.schema,
+                        startval: Object.assign({}, result.parameters, values),
+                        compact: true,
+                        show_errors: 'always',
+                        disable_edit_json: true,
+                        disable_properties: true,
+                        disable_collapse: true,
+                        array_controls_top: true,
+                        theme: 'bootstrap4'
+                    });
+                    editor.on('change', () => {
+                        clearTimeout(renderTimer);
+                        renderTimer = setTimeout(renderTemplate, 250);
+                    });
+                });
+        };
+
+        const loadTemplateList = () => api('/api/templates')
+            .then((result) => {
+                const listElem = document.getElementById('templates');
+                listElem.textContent = '';
+                result.templates.forEach((name) => {
+                    const itemElem = document.createElement('a');
+                    itemElem.href = '#' + name;
+                    itemElem.dataset.name = name;
+                    itemElem.className = 'list-group-item list-group-item-action';
+                    itemElem.textContent = name;
+                    itemElem.addEventListener('click', () => loadTemplate(name));
+                    listElem.appendChild(itemElem);
+                });
+                const selected = currentTemplate || decodeURIComponent(window.location.hash.slice(1));
+                if (result.templates.includes(selected)) {
+                    return loadTemplate(selected, true);
+                }
+                return (result.templates.length > 0) ? loadTemplate(result.templates[0]) : null;
+            });
+
+        loadTemplateList();
+        new EventSource('/api/events').addEventListener('reload', () => loadTemplateList());
+    </script>
 </body>
 </html>
 `;
 
 module.exports = {
-    htmlData
+    htmlData,
+    serverHtmlData
 };
@@ -0,0 +1,356 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const axios = require('axios');
+
+const {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+} = require('./contents_api_provider');
+const { signatureFileName } = require('./signing');
+const { manifestFileName, setNameRegex } = require('./set_manifest');
+const { stripExtension } = require('./utils');
+
+const indexFileTypes = ['templates', 'schemas', 'dataFiles', 'signatureFiles', 'manifestFiles'];
+const sha256Regex = /^[0-9a-f]{64}$/;
+
+const sha256 = (data) => {
+    const hash = crypto.createHash('sha256');
+    hash.update(data);
+    return hash.digest('hex');
+};
+
+const readDir = dirPath => new Promise((resolve, reject) => {
+    fs.readdir(dirPath, (err, files) => {
+        if (err) return reject(err);
+        return resolve(files.sort());
+    });
+});
+
+const readFile = filePath => new Promise((resolve, reject) => {
+    fs.readFile(filePath, (err, data) => {
+        if (err) return reject(err);
+        return resolve(data);
+    });
+});
+
+const validateIndex = (index) => {
+    if (!index || typeof index.sets !== 'object' || Array.isArray(index.sets)) {
+        return 'expected a "sets" object';
+    }
+    let error = null;
+    Object.keys(index.sets).some((setName) => {
+        const setIndex = index.sets[setName];
+        if (!setNameRegex.test(setName)) {
+            error = `invalid set name "${setName}"`;
+            return true;
+        }
+        return indexFileTypes.some((fileType) => {
+            const entries = setIndex[fileType] || [];
+            if (!Array.isArray(entries)) {
+                error = `expected "${fileType}" of set "${setName}" to be an array`;
+                return true;
+            }
+            const badEntry = entries.find(entry => (
+                typeof entry.file !== 'string' || !setNameRegex.test(entry.file) || !sha256Regex.test(entry.hash)
+            ));
+            if (badEntry) {
+                error = `invalid entry in "${fileType}" of set "${setName}": ${JSON.stringify(badEntry)}`;
+                return true;
+            }
+            return false;
+        });
+    });
+    return error;
+};
+
+/**
+ * Serves directory listings and file contents from a template set index published on a web server
+ *
+ * Implements the contents API interface (see contents_api_provider.js). The index is downloaded on first
+ * use and kept in memory until `invalidate()` is called. Files are downloaded relative to the index URL
+ * (`<set>/<file>`) and rejected if they do not match the sha256 hash in the index.
+ */
+class HttpIndexApi {
+    /**
+     * @param {string} indexUrl - URL of the template set index
+     * @param {object} [options]
+     * @param {object} [options.headers] - extra headers to send with each request (e.g., `Authorization`)
+     * @param {number} [options.timeout=0] - request timeout in milliseconds
+     */
+    constructor(indexUrl, options) {
+        options = options || {};
+        this.indexUrl = indexUrl;
+        this.endpoint = axios.create({
+            headers: options.headers,
+            timeout: options.timeout || 0,
+            responseType: 'arraybuffer',
+            validateStatus: null
+        });
+        this._index = null;
+    }
+
+    /**
+     * Template set indexes are not versioned, so there is never a commit to report
+     *
+     * @returns {Promise} Promise resolves to `null`
+     */
+    resolveRef() {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Drop the downloaded index so the next request downloads it again
+     */
+    invalidate() {
+        this._index = null;
+    }
+
+    _download(url, task) {
+        return this.endpoint.get(url)
+            .catch(e => Promise.reject(new Error(`failed to ${task}: ${e.message}`)))
+            .then((resp) => {
+                if (resp.status >= 400) {
+                    return Promise.reject(new Error(`failed to ${task}: ${resp.status}: ${resp.statusText}`));
+                }
+                return Buffer.from(resp.data);
+            });
+    }
+
+    _loadIndex() {
+        if (!this._index) {
+            this._index = this._download(this.indexUrl, `get template set index ${this.indexUrl}`)
+                .then((data) => {
+                    let index;
+                    try {
+                        index = JSON.parse(data.toString('utf8'));
+                    } catch (e) {
+                        return Promise.reject(new Error(`invalid template set index ${this.indexUrl}: ${e.message}`));
+                    }
+                    const error = validateIndex(index);
+                    if (error) {
+                        return Promise.reject(new Error(`invalid template set index ${this.indexUrl}: ${error}`));
+                    }
+
+                    const files = new Map();
+                    const dirs = new Map([['', new Set()]]);
+                    Object.keys(index.sets).forEach((setName) => {
+                        dirs.get('').add(`dir:${setName}`);
+                        dirs.set(setName, new Set());
+                        indexFileTypes.forEach((fileType) => {
+                            (index.sets[setName][fileType] || []).forEach((entry) => {
+                                dirs.get(setName).add(`file:${entry.file}`);
+                                files.set(`${setName}/${entry.file}`, entry.hash);
+                            });
+                        });
+                    });
+                    return { files, dirs };
+                })
+                .catch((e) => {
+                    this._index = null;
+                    return Promise.reject(e);
+                });
+        }
+        return this._index;
+    }
+
+    getContentsByType(dir, type) {
+        const dirPath = dir.replace(/^\//, '');
+        return this._loadIndex()
+            .then((index) => {
+                const items = index.dirs.get(dirPath);
+                if (!items) {
+                    return Promise.reject(new Error(`failed to get items for ${dir}: 404: Not Found`));
+                }
+                return Array.from(items)
+                    .filter(x => x.startsWith(`${type}:`))
+                    .map(x => x.slice(type.length + 1))
+                    .sort();
+            });
+    }
+
+    getContentsData(contentPath) {
+        const filePath = contentPath.replace(/^\//, '');
+        return this._loadIndex()
+            .then((index) => {
+                const expectedHash = index.files.get(filePath);
+                if (!expectedHash) {
+                    return Promise.reject(new Error(`failed to get contents for ${contentPath}: 404: Not Found`));
+                }
+                const fileUrl = new URL(filePath.split('/').map(encodeURIComponent).join('/'), this.indexUrl).href;
+                return this._download(fileUrl, `get contents for ${contentPath}`)
+                    .then((data) => {
+                        const hash = sha256(data);
+                        if (hash !== expectedHash) {
+                            return Promise.reject(new Error(
+                                `failed to verify ${contentPath}: expected sha256 ${expectedHash} but got ${hash}`
+                            ));
+                        }
+                        return data.toString('utf8');
+                    });
+            });
+    }
+}
+
+/**
+ * SchemaProvider that fetches data listed in a template set index
+ *
+ * Accepts the same arguments as ContentsApiSchemaProvider with the index URL as the source and the
+ * options of HttpTemplateProvider.
+ */
+class HttpSchemaProvider extends ContentsApiSchemaProvider {
+    _createContentsApi(indexUrl, options) {
+        return new HttpIndexApi(indexUrl, options);
+    }
+}
+
+/**
+ * DataProvider that fetches data listed in a template set index
+ *
+ * Accepts the same arguments as ContentsApiDataProvider with the index URL as the source and the
+ * options of HttpTemplateProvider.
+ */
+class HttpDataProvider extends ContentsApiDataProvider {
+    _createContentsApi(indexUrl, options) {
+        return new HttpIndexApi(indexUrl, options);
+    }
+}
+
+/**
+ * TemplateProvider that fetches template sets from a static web server
+ *
+ * The server hosts a JSON index (see `HttpTemplateProvider.buildIndex()`) next to the template set
+ * directories. Every file is checked against the sha256 hash listed in the index before it is used.
+ */
+class HttpTemplateProvider extends ContentsApiTemplateProvider {
+    /**
+     * @param {string} indexUrl - URL of the template set index (e.g., `https://example.com/templates/index.json`)
+     * @param {object} [options]
+     * @param {string[]} [options.filteredSets] - only load template sets in this list (or all if list is empty)
+     * @param {object} [options.supportedHashes] - an optional map of hash values to validate against
+     * @param {Array} [options.trustedKeys] - public keys to accept template set signatures from
+     * @param {boolean} [options.strictSignatures=false] - only load template sets signed by a trusted key
+     * @param {object} [options.headers] - extra headers to send with each request (e.g., `Authorization`)
+     * @param {number} [options.timeout=0] - request timeout in milliseconds
+     */
+    constructor(indexUrl, options) {
+        super(new URL(indexUrl).href, options);
+        this.indexUrl = new URL(indexUrl).href;
+    }
+
+    _createContentsApi(indexUrl, options) {
+        return new HttpIndexApi(indexUrl, options);
+    }
+
+    _createSchemaProvider(tsName) {
+        return new HttpSchemaProvider(this.indexUrl, tsName, { contentsApi: this._contentsApi });
+    }
+
+    _createDataProvider(tsName) {
+        return new HttpDataProvider(this.indexUrl, tsName, { contentsApi: this._contentsApi });
+    }
+
+    /**
+     * Build a template set index for the template sets of an FsTemplateProvider
+     *
+     * The index lists the template, schema, and data files of each set with their sha256 hashes:
+     *
+     * ```json
+     * {
+     *     "sets": {
+     *         "<set>": {
+     *             "templates": [{ "name": "<set>/<template>", "file": "<template>.yaml", "hash": "<sha256>" }],
+     *             "schemas": [{ "name": "<set>/<schema>", "file": "<schema>.json", "hash": "<sha256>" }],
+     *             "dataFiles": [{ "name": "<set>/<data>", "file": "<data>.data", "hash": "<sha256>" }],
+     *             "signatureFiles": [{ "name": "<set>/fast", "file": "fast.sig", "hash": "<sha256>" }],
+     *             "manifestFiles": [{ "name": "<set>/fast-set", "file": "fast-set.yaml", "hash": "<sha256>" }]
+     *         }
+     *     }
+     * }
+     * ```
+     *
+     * `signatureFiles` is only populated for signed template sets (see `FsTemplateProvider.buildPackage()`)
+     * and `manifestFiles` for template sets with a manifest (see `getManifest()`).
+     * Names and hashes match the ones reported by getSetData(). Write the index to the root directory of
+     * the template sets so the whole directory can be published as is.
+     *
+     * @param {FsTemplateProvider} fsProvider
+     * @returns {Promise} Promise resolves to the index object
+     */
+    static buildIndex(fsProvider) {
+        const rootPath = fsProvider.config_template_path;
+        const fileTypeOf = (fileName) => {
+            if (fileName === signatureFileName) {
+                return 'signatureFiles';
+            }
+            if (fileName === manifestFileName) {
+                return 'manifestFiles';
+            }
+            if (fsProvider.hasTemplateExtension(fileName)) {
+                return 'templates';
+            }
+            if (fileName.endsWith('.json')) {
+                return 'schemas';
+            }
+            if (fileName.endsWith('.data')) {
+                return 'dataFiles';
+            }
+            return null;
+        };
+
+        return fsProvider.listSets()
+            .then(sets => Promise.all(sets.sort().map(
+                setName => readDir(path.join(rootPath, setName))
+                    .then(files => Promise.all(files
+                        .filter(fileName => fileTypeOf(fileName))
+                        .map(fileName => readFile(path.join(rootPath, setName, fileName))
+                            .then(data => ({
+                                fileType: fileTypeOf(fileName),
+                                entry: {
+                                    name: `${setName}/${stripExtension(fileName)}`,
+                                    file: fileName,
+                                    hash: sha256(data)
+                                }
+                            })))))
+                    .then(entries => entries.reduce((acc, curr) => {
+                        acc[curr.fileType].push(curr.entry);
+                        return acc;
+                    }, {
+                        templates: [], schemas: [], dataFiles: [], signatureFiles: [], manifestFiles: []
+                    }))
+                    .then(setIndex => ({ setName, setIndex }))
+            )))
+            .then(setIndexes => ({
+                sets: setIndexes.reduce((acc, curr) => {
+                    acc[curr.setName] = curr.setIndex;
+                    return acc;
+                }, {})
+            }));
+    }
+}
+
+module.exports = {
+    HttpIndexApi,
+    HttpTemplateProvider,
+    HttpSchemaProvider,
+    HttpDataProvider
+};
@@ -0,0 +1,539 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const { Template } = require('./template');
+const { FsTemplateProvider } = require('./template_provider');
+const { FsSchemaProvider } = require('./schema_provider');
+const { FsDataProvider } = require('./data_provider');
+const { offsetToPosition, getYamlPositions } = require('./source_positions');
+const tmplSchema = require('../schema/template.json');
+
+// Values from the Language Server Protocol specification
+const TextDocumentSyncKind = { Full: 1 };
+const DiagnosticSeverity = { Error: 1 };
+const CompletionItemKind = {
+    Variable: 6,
+    Class: 7,
+    Module: 9,
+    Property: 10,
+    Snippet: 15
+};
+const ErrorCodes = {
+    ParseError: -32700,
+    MethodNotFound: -32601,
+    InternalError: -32603
+};
+
+const primitiveTypes = ['boolean', 'object', 'number', 'string', 'integer', 'array', 'text', 'hidden'];
+
+// Top-level template properties from the template meta-schema
+const templateProperties = tmplSchema.oneOf[0].allOf[1].properties;
+
+const templateExtensions = ['.yaml', '.yml', '.mst'];
+
+const uriToPath = uri => url.fileURLToPath(uri);
+const pathToUri = filePath => url.pathToFileURL(filePath).href;
+
+/**
+ * Find the Mustache tag surrounding a position in a line of text
+ *
+ * @param {string} line
+ * @param {number} character
+ * @returns {object} `{ sigil, typed, name, fullName }` or null if the position is not in a tag, where
+ *     `typed` is the tag text before the position and `fullName` includes any `:schema:type` suffix
+ */
+function getTagAtPosition(line, character) {
+    const prefix = line.slice(0, character);
+    const open = prefix.lastIndexOf('{{');
+    if (open === -1 || prefix.lastIndexOf('}}') > open) {
+        return null;
+    }
+    const close = line.indexOf('}}', open);
+    const tagText = (close === -1) ? line.slice(open + 2) : line.slice(open + 2, close);
+    const typedText = prefix.slice(open + 2);
+    const match = typedText.match(/^\s*([#^/>&{]?)\s*(.*)$/);
+    const fullMatch = tagText.match(/^\s*[#^/>&{]?\s*([^\s}]*)/);
+    return {
+        sigil: match[1],
+        typed: match[2],
+        name: fullMatch[1].split(':')[0],
+        fullName: fullMatch[1]
+    };
+}
+
+/**
+ * A Language Server Protocol server for FAST template files
+ *
+ * Messages are read from `input` and written to `output` using the base protocol (Content-Length
+ * framed JSON-RPC), so the server can be run over stdio. Templates are expected to be in a template
+ * set directory (e.g., `templates/<set>/<template>.yaml`) so that schema files, data files, and
+ * `$ref`s can be resolved the same way `FsTemplateProvider` does.
+ *
+ * Emits `exit` once the client sends an exit notification.
+ */
+class LspServer extends EventEmitter {
+    /**
+     * @param {stream.Readable} input
+     * @param {stream.Writable} output
+     */
+    constructor(input, output) {
+        super();
+
+        this.input = input;
+        this.output = output;
+        this.documents = {};
+        this.templates = {};
+        this.shutdownRequested = false;
+        this._buffer = Buffer.alloc(0);
+        this._queue = Promise.resolve();
+
+        this._requestHandlers = {
+            initialize: () => this._initialize(),
+            shutdown: () => {
+                this.shutdownRequested = true;
+                return null;
+            },
+            'textDocument/completion': params => this._completion(params),
+            'textDocument/hover': params => this._hover(params),
+            'textDocument/definition': params => this._definition(params)
+        };
+        this._notificationHandlers = {
+            exit: () => this.emit('exit', this.shutdownRequested ? 0 : 1),
+            'textDocument/didOpen': params => this._didOpen(params),
+            'textDocument/didChange': params => this._didChange(params),
+            'textDocument/didClose': params => this._didClose(params)
+        };
+    }
+
+    /**
+     * Start reading messages from the input stream
+     */
+    listen() {
+        this.input.on('data', chunk => this._onData(chunk));
+        this.input.on('end', () => this.emit('exit', this.shutdownRequested ? 0 : 1));
+    }
+
+    _onData(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+        let body = this._readMessageBody();
+        while (body !== null) {
+            let msg;
+            try {
+                msg = JSON.parse(body);
+            } catch (e) {
+                this._send({ id: null, error: { code: ErrorCodes.ParseError, message: e.message } });
+            }
+            if (msg) {
+                // Handle messages in order so responses and document updates do not race each other
+                this._queue = this._queue.then(() => this._handleMessage(msg));
+            }
+            body = this._readMessageBody();
+        }
+    }
+
+    _readMessageBody() {
+        const headerEnd = this._buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            return null;
+        }
+        const headers = this._buffer.slice(0, headerEnd).toString('ascii');
+        const lengthMatch = headers.match(/Content-Length: *(\d+)/i);
+        const bodyStart = headerEnd + 4;
+        const bodyEnd = bodyStart + ((lengthMatch) ? Number(lengthMatch[1]) : 0);
+        if (this._buffer.length < bodyEnd) {
+            return null;
+        }
+        const body = this._buffer.slice(bodyStart, bodyEnd).toString('utf8');
+        this._buffer = this._buffer.slice(bodyEnd);
+        return body;
+    }
+
+    _send(msg) {
+        const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, msg));
+        this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+    }
+
+    _notify(method, params) {
+        this._send({ method, params });
+    }
+
+    _handleMessage(msg) {
+        const isRequest = typeof msg.id !== 'undefined';
+
+        if (!isRequest) {
+            const handler = this._notificationHandlers[msg.method];
+            return Promise.resolve()
+                .then(() => handler && handler(msg.params))
+                .catch(() => {});
+        }
+
+        const handler = this._requestHandlers[msg.method];
+        if (!handler) {
+            this._send({
+                id: msg.id,
+                error: { code: ErrorCodes.MethodNotFound, message: `unsupported method: ${msg.method}` }
+            });
+            return Promise.resolve();
+        }
+
+        return Promise.resolve()
+            .then(() => handler(msg.params))
+            .then(result => this._send({ id: msg.id, result: (typeof result === 'undefined') ? null : result }))
+            .catch(e => this._send({
+                id: msg.id,
+                error: { code: ErrorCodes.InternalError, message: e.message }
+            }));
+    }
+
+    _initialize() {
+        return {
+            capabilities: {
+                textDocumentSync: TextDocumentSyncKind.Full,
+                completionProvider: {
+                    triggerCharacters: ['{', ':', '>', '#', '^']
+                },
+                hoverProvider: true,
+                definitionProvider: true
+            },
+            serverInfo: {
+                name: 'fast'
+            }
+        };
+    }
+
+    _didOpen(params) {
+        const doc = params.textDocument;
+        this.documents[doc.uri] = doc.text;
+        return this._validateDocument(doc.uri);
+    }
+
+    _didChange(params) {
+        const changes = params.contentChanges;
+        this.documents[params.textDocument.uri] = changes[changes.length - 1].text;
+        return this._validateDocument(params.textDocument.uri);
+    }
+
+    _didClose(params) {
+        const uri = params.textDocument.uri;
+        delete this.documents[uri];
+        delete this.templates[uri];
+        this._notify('textDocument/publishDiagnostics', { uri, diagnostics: [] });
+    }
+
+    _getSetInfo(uri) {
+        const filePath = uriToPath(uri);
+        const setDir = path.dirname(filePath);
+        return {
+            filePath,
+            setDir,
+            setName: path.basename(setDir),
+            templatesDir: path.dirname(setDir)
+        };
+    }
+
+    _loadTemplate(uri, text) {
+        const info = this._getSetInfo(uri);
+        const schemaProvider = new FsSchemaProvider(info.setDir);
+        const dataProvider = new FsDataProvider(info.setDir);
+
+        if (path.extname(info.filePath) === '.mst') {
+            return Template.loadMst(text, schemaProvider, dataProvider);
+        }
+
+        return Template.loadYaml(text, {
+            schemaProvider,
+            dataProvider,
+            templateProvider: new FsTemplateProvider(info.templatesDir, [info.setName]),
+            rootDir: info.setDir,
+            sourceFile: info.filePath
+        });
+    }
+
+    _validateDocument(uri) {
+        if (!templateExtensions.includes(path.extname(uri))) {
+            return Promise.resolve();
+        }
+
+        const text = this.documents[uri];
+        return Promise.resolve()
+            .then(() => this._loadTemplate(uri, text))
+            .then((tmpl) => {
+                if (this.documents[uri] === text) {
+                    this.templates[uri] = tmpl;
+                }
+                return [];
+            })
+            .catch(e => this._errorToDiagnostics(e, text))
+            .then((diagnostics) => {
+                if (this.documents[uri] === text) {
+                    this._notify('textDocument/publishDiagnostics', { uri, diagnostics });
+                }
+            });
+    }
+
+    _errorToDiagnostics(e, text) {
+        const lines = text.split('\n');
+        const lineRange = (line, character) => ({
+            start: { line, character },
+            end: { line, character: Math.max((lines[line] || '').length, character) }
+        });
+
+        if (e.validationErrors) {
+            return e.validationErrors.map((error) => {
+                const line = (error.line) ? error.line - 1 : 0;
+                const character = (error.column) ? error.column - 1 : 0;
+                return {
+                    range: lineRange(line, character),
+                    severity: DiagnosticSeverity.Error,
+                    source: 'fast',
+                    message: (error.details) ? `${error.message}\n${error.details}` : error.message
+                };
+            });
+        }
+
+        // Drop stack traces from wrapped errors (e.g., $ref parsing failures)
+        const message = e.message.split('\n')
+            .filter(x => !x.match(/^\s+at /))
+            .join('\n');
+
+        // Point at the offending tag for errors like "Failed to find the specified schema: foo (name, x:foo:y)"
+        let position = { line: 1, column: 1 };
+        const tagMatch = message.match(/\((?:name|#|>|\^), (.+)\)$/m);
+        if (tagMatch && text.indexOf(tagMatch[1]) !== -1) {
+            position = offsetToPosition(text, text.indexOf(tagMatch[1]));
+        }
+
+        return [{
+            range: lineRange(position.line - 1, position.column - 1),
+            severity: DiagnosticSeverity.Error,
+            source: 'fast',
+            message
+        }];
+    }
+
+    _getLine(uri, line) {
+        const text = this.documents[uri] || '';
+        return text.split('\n')[line] || '';
+    }
+
+    _getParameterProperties(uri) {
+        const tmpl = this.templates[uri];
+        if (!tmpl) {
+            return {};
+        }
+        // Include properties from sub-templates (allOf, anyOf, oneOf)
+        const collect = schema => ['allOf', 'anyOf', 'oneOf'].reduce(
+            (acc, xOf) => (schema[xOf] || []).reduce((xOfAcc, sub) => Object.assign(collect(sub), xOfAcc), acc),
+            Object.assign({}, schema.properties)
+        );
+        return collect(tmpl.getParametersSchema());
+    }
+
+    _completion(params) {
+        const uri = params.textDocument.uri;
+        const line = this._getLine(uri, params.position.line);
+        const tag = getTagAtPosition(line, params.position.character);
+
+        if (!tag) {
+            const prefix = line.slice(0, params.position.character);
+            if (!prefix.match(/^[_a-zA-Z]*$/)) {
+                return [];
+            }
+            return Object.keys(templateProperties).map(key => ({
+                label: key,
+                kind: CompletionItemKind.Property,
+                documentation: templateProperties[key].description
+            }));
+        }
+
+        if (tag.sigil === '>') {
+            const tmpl = this.templates[uri];
+            return Object.keys((tmpl && tmpl._partials) || {}).map(name => ({
+                label: name,
+                kind: CompletionItemKind.Snippet
+            }));
+        }
+
+        const parts = tag.typed.split(':');
+        if (parts.length === 1) {
+            const props = this._getParameterProperties(uri);
+            const items = Object.keys(props).map(name => ({
+                label: name,
+                kind: CompletionItemKind.Variable,
+                detail: props[name].type,
+                documentation: props[name].description || props[name].title
+            }));
+            if (tag.sigil === '#') {
+                Template.getHelperNames().forEach((name) => {
+                    items.push({ label: name, kind: CompletionItemKind.Snippet, detail: 'helper' });
+                });
+            }
+            return items;
+        }
+
+        if (parts.length === 2) {
+            return this._listSchemas(uri)
+                .then(schemaNames => schemaNames.map(name => ({
+                    label: name,
+                    kind: CompletionItemKind.Module
+                })));
+        }
+
+        if (parts[1] === '') {
+            return primitiveTypes.map(name => ({
+                label: name,
+                kind: CompletionItemKind.Class
+            }));
+        }
+
+        return this._fetchSchema(uri, parts[1])
+            .then((schema) => {
+                const definitions = (schema && schema.definitions) || {};
+                return Object.keys(definitions).map(name => ({
+                    label: name,
+                    kind: CompletionItemKind.Class,
+                    detail: definitions[name].type,
+                    documentation: definitions[name].description || definitions[name].title
+                }));
+            });
+    }
+
+    _listSchemas(uri) {
+        return new FsSchemaProvider(this._getSetInfo(uri).setDir).list()
+            .catch(() => []);
+    }
+
+    _fetchSchema(uri, schemaName) {
+        return new FsSchemaProvider(this._getSetInfo(uri).setDir).fetch(schemaName)
+            .then(schema => JSON.parse(schema))
+            .catch(() => null);
+    }
+
+    _hover(params) {
+        const uri = params.textDocument.uri;
+        const line = this._getLine(uri, params.position.line);
+        const tag = getTagAtPosition(line, params.position.character);
+        const props = this._getParameterProperties(uri);
+        const schemaHover = (title, schema) => ({
+            contents: {
+                kind: 'markdown',
+                value: `**${title}**\n\n\`\`\`json\n${JSON.stringify(schema, null, 2)}\n\`\`\``
+            }
+        });
+
+        if (tag) {
+            if (tag.sigil !== '>' && props[tag.name]) {
+                return schemaHover(tag.name, props[tag.name]);
+            }
+            return null;
+        }
+
+        const keyMatch = line.match(/^(\s*)([_a-zA-Z0-9]+)\s*:/);
+        if (!keyMatch || params.position.character > keyMatch[0].length) {
+            return null;
+        }
+        const key = keyMatch[2];
+
+        if (keyMatch[1] === '') {
+            const tmpl = this.templates[uri];
+            if (key === 'template' && tmpl) {
+                return schemaHover('parameters schema', tmpl.getParametersSchema());
+            }
+            if (templateProperties[key] && templateProperties[key].description) {
+                return { contents: { kind: 'markdown', value: templateProperties[key].description } };
+            }
+            return null;
+        }
+
+        // Parameter definitions (e.g., `definitions: { foo: ... }`)
+        const positions = getYamlPositions(this.documents[uri] || '');
+        const pointer = `/definitions/${key}`;
+        if (positions[pointer] && positions[pointer].line === params.position.line + 1 && props[key]) {
+            return schemaHover(key, props[key]);
+        }
+        return null;
+    }
+
+    _definition(params) {
+        const uri = params.textDocument.uri;
+        const line = this._getLine(uri, params.position.line);
+        const tag = getTagAtPosition(line, params.position.character);
+        const info = this._getSetInfo(uri);
+
+        if (tag) {
+            const [name, schemaName, type] = tag.fullName.split(':');
+            if (schemaName) {
+                const schemaPath = path.join(info.setDir, `${schemaName}.json`);
+                return this._locationInFile(schemaPath, (text) => {
+                    const offset = text.indexOf(`"${type}"`);
+                    return (offset !== -1) ? offsetToPosition(text, offset) : null;
+                });
+            }
+            return this._locationInFile(info.filePath, (text) => {
+                const pos = getYamlPositions(text)[`/definitions/${name}`];
+                return pos || null;
+            }, true);
+        }
+
+        const refMatch = line.match(/\$ref:\s*['"]?([^'"#\s]*)(#[^'"\s]*)?/);
+        if (refMatch) {
+            const refPath = (refMatch[1]) ? path.resolve(info.setDir, refMatch[1]) : info.filePath;
+            const pointer = (refMatch[2] || '#').slice(1);
+            return this._locationInFile(refPath, (text) => {
+                if (pointer === '') {
+                    return null;
+                }
+                return getYamlPositions(text)[pointer] || null;
+            });
+        }
+
+        return null;
+    }
+
+    _locationInFile(filePath, findPosition, required) {
+        const fileUri = pathToUri(filePath);
+        let text = this.documents[fileUri];
+        if (typeof text === 'undefined') {
+            try {
+                text = fs.readFileSync(filePath, 'utf8');
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const pos = findPosition(text);
+        if (!pos && required) {
+            return null;
+        }
+        const position = (pos)
+            ? { line: pos.line - 1, character: pos.column - 1 }
+            : { line: 0, character: 0 };
+        return {
+            uri: fileUri,
+            range: { start: position, end: position }
+        };
+    }
+}
+
+module.exports = {
+    LspServer
+};
@@ -0,0 +1,265 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { FsTemplateProvider } = require('./template_provider');
+const guiUtils = require('./gui_utils');
+const htmlStub = require('./html_stub');
+
+const watchExtensions = ['.yaml', '.yml', '.mst', '.json', '.data'];
+
+const maxBodySize = 10 * 1024 * 1024;
+
+const errorToResult = e => ({
+    message: e.message,
+    validationErrors: e.validationErrors
+});
+
+/**
+ * A local HTTP server for previewing the templates in a template set
+ *
+ * The server provides a page with a form for each template (generated from the parameters schema) that
+ * renders the template as the user types. The page is backed by a small JSON API:
+ *
+ * - `GET /api/templates`: list the templates in the set
+ * - `GET /api/templates/<set>/<template>`: get the form schema, default parameters, and the parameters of each
+ *   named example (`parameterExamples`) for a template
+ * - `POST /api/templates/<set>/<template>/render`: render a template with `{ "parameters": {...} }`
+ * - `GET /api/events`: a Server-Sent Events stream that sends a `reload` event when files in the set change
+ *
+ * Errors are returned as `{ message, validationErrors }` with a 4xx status code.
+ */
+class PreviewServer {
+    /**
+     * @param {string} tsPath - path to the template set directory
+     * @param {object} [options]
+     * @param {number} [options.port=8080]
+     * @param {string} [options.host='localhost']
+     * @param {boolean} [options.watch=true] - reload when files in the template set change
+     */
+    constructor(tsPath, options) {
+        options = options || {};
+        this.tsPath = path.resolve(tsPath);
+        this.tsName = path.basename(this.tsPath);
+        this.port = (typeof options.port !== 'undefined') ? options.port : 8080;
+        this.host = options.host || 'localhost';
+        this.watch = options.watch !== false;
+        this.provider = new FsTemplateProvider(path.dirname(this.tsPath), [this.tsName]);
+        this.server = http.createServer((req, res) => this._handleRequest(req, res));
+        this._eventClients = new Set();
+        this._watcher = null;
+        this._reloadTimer = null;
+    }
+
+    /**
+     * Start listening for requests
+     *
+     * @returns {Promise} Promise resolves to the URL of the server
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                if (this.watch) {
+                    this._watcher = fs.watch(this.tsPath, (eventType, filename) => {
+                        if (filename && watchExtensions.includes(path.extname(filename))) {
+                            this._scheduleReload();
+                        }
+                    });
+                }
+                resolve(`http://${this.host}:${this.server.address().port}`);
+            });
+        });
+    }
+
+    /**
+     * Stop the server
+     *
+     * @returns {Promise}
+     */
+    stop() {
+        clearTimeout(this._reloadTimer);
+        if (this._watcher) {
+            this._watcher.close();
+            this._watcher = null;
+        }
+        this._eventClients.forEach(res => res.end());
+        this._eventClients.clear();
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Clear cached templates and tell connected pages to reload
+     */
+    reload() {
+        this.provider.invalidateCache();
+        this._eventClients.forEach(res => res.write('event: reload\ndata: {}\n\n'));
+    }
+
+    _scheduleReload() {
+        // Editors can emit several events for a single save
+        clearTimeout(this._reloadTimer);
+        this._reloadTimer = setTimeout(() => this.reload(), 100);
+    }
+
+    _sendJson(res, statusCode, data) {
+        const body = JSON.stringify(data);
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    _readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBodySize) {
+                    reject(new Error('request body is too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let body;
+                try {
+                    body = (text) ? JSON.parse(text) : {};
+                } catch (e) {
+                    reject(new Error(`failed to parse request body: ${e.message}`));
+                    return;
+                }
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(new Error('expected the request body to be a JSON object'));
+                    return;
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    _handleRequest(req, res) {
+        return Promise.resolve()
+            .then(() => {
+                let reqPath;
+                try {
+                    reqPath = decodeURIComponent(req.url.split('?')[0]);
+                } catch (e) {
+                    return this._sendJson(res, 400, { message: `failed to decode request path: ${e.message}` });
+                }
+                const templateMatch = reqPath.match(/^\/api\/templates\/([^/]+\/[^/]+?)(\/render)?$/);
+
+                if (req.method === 'GET' && reqPath === '/') {
+                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                    return res.end(htmlStub.serverHtmlData);
+                }
+                if (req.method === 'GET' && reqPath === '/api/events') {
+                    return this._handleEvents(req, res);
+                }
+                if (req.method === 'GET' && reqPath === '/api/templates') {
+                    return this.provider.list()
+                        .then(templates => this._sendJson(res, 200, { templates }));
+                }
+                if (templateMatch && req.method === 'GET' && !templateMatch[2]) {
+                    return this._getTemplate(res, templateMatch[1]);
+                }
+                if (templateMatch && req.method === 'POST' && templateMatch[2]) {
+                    return this._renderTemplate(req, res, templateMatch[1]);
+                }
+                return this._sendJson(res, 404, { message: `${req.method} ${reqPath} not found` });
+            })
+            .catch(e => this._sendJson(res, 500, errorToResult(e)));
+    }
+
+    _handleEvents(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        this._eventClients.add(res);
+        req.on('close', () => this._eventClients.delete(res));
+    }
+
+    _fetchTemplate(res, templateName) {
+        return this.provider.list()
+            .then((templates) => {
+                if (!templates.includes(templateName)) {
+                    this._sendJson(res, 404, { message: `could not find a template with name "${templateName}"` });
+                    return null;
+                }
+                return this.provider.fetch(templateName)
+                    .catch((e) => {
+                        this._sendJson(res, 422, errorToResult(e));
+                        return null;
+                    });
+            });
+    }
+
+    _getTemplate(res, templateName) {
+        return this._fetchTemplate(res, templateName)
+            .then((tmpl) => {
+                if (!tmpl) {
+                    return;
+                }
+                const schema = guiUtils.modSchemaForJSONEditor(tmpl.getParametersSchema());
+                const examples = tmpl.parameterExamples || {};
+                this._sendJson(res, 200, {
+                    name: templateName,
+                    title: tmpl.title,
+                    description: tmpl.description,
+                    schema,
+                    parameters: guiUtils.filterExtraProperties(tmpl.getCombinedParameters({}), schema),
+                    examples: Object.keys(examples).reduce((acc, name) => {
+                        acc[name] = guiUtils.filterExtraProperties(tmpl.getCombinedParameters(examples[name]), schema);
+                        return acc;
+                    }, {})
+                });
+            });
+    }
+
+    _renderTemplate(req, res, templateName) {
+        return this._readJsonBody(req)
+            .then(body => this._fetchTemplate(res, templateName)
+                .then((tmpl) => {
+                    if (!tmpl) {
+                        return;
+                    }
+                    try {
+                        this._sendJson(res, 200, { rendered: tmpl.render(body.parameters || {}) });
+                    } catch (e) {
+                        this._sendJson(res, 422, errorToResult(e));
+                    }
+                }), e => this._sendJson(res, 400, errorToResult(e)));
+    }
+}
+
+module.exports = {
+    PreviewServer
+};
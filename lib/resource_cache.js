@@ -15,32 +15,178 @@
 
 'use strict';
 
+/**
+ * An LRU cache for resources loaded with an async fetch function
+ *
+ * Concurrent fetches for the same key share a single request. Failed fetches are not cached.
+ * The cache limit applies to the total size of the cached resources, which is the number of
+ * entries unless a `sizeOf` function is provided.
+ */
 class ResourceCache {
-    constructor(asyncFetch) {
-        // used for caching AS3 TemplateEngine objects
-        this.cached = {};
-        this.cache_limit = 100;
+    /**
+     * @param {function} asyncFetch - accepts a key and returns a Promise that resolves to the resource
+     * @param {object} [options]
+     * @param {number} [options.maxSize=100] - evict the least recently used resources when the total size exceeds this
+     * @param {number} [options.ttl=0] - milliseconds to keep a cached resource before fetching it again (0 to keep it)
+     * @param {function} [options.sizeOf] - a function that accepts a resource and returns its size (defaults to 1)
+     */
+    constructor(asyncFetch, options) {
+        options = options || {};
         this.asyncFetch = asyncFetch;
+        this.maxSize = (typeof options.maxSize !== 'undefined') ? options.maxSize : 100;
+        this.ttl = options.ttl || 0;
+        this.sizeOf = options.sizeOf || (() => 1);
+
+        // Map iteration order doubles as the recency order (least recently used first)
+        this.entries = new Map();
+        this.size = 0;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0
+        };
     }
 
+    get cache_limit() {
+        return this.maxSize;
+    }
+
+    set cache_limit(value) {
+        this.maxSize = value;
+    }
+
+    /**
+     * Get the resource associated with the supplied key, fetching it if it is not cached
+     *
+     * @param {string} key
+     * @returns {Promise} Promise resolves to the resource
+     */
     fetch(key) {
-        return (() => {
-            if (!this.cached[key]) {
-                this.cached[key] = this.asyncFetch(key)
-                    .then((resource) => {
-                        this.cached[key] = resource;
-                        const allKeys = Object.keys(this.cached);
-                        const oldestKey = allKeys.shift();
-                        if (allKeys.length > this.cache_limit) delete this.cached[oldestKey];
-                        return resource;
-                    });
-            }
-            return Promise.resolve(this.cached[key]);
-        })();
+        const cached = this.entries.get(key);
+        if (cached && !(cached.expires && cached.expires <= Date.now())) {
+            this.stats.hits += 1;
+            this.entries.delete(key);
+            this.entries.set(key, cached);
+            return cached.promise;
+        }
+
+        this.stats.misses += 1;
+        if (cached) {
+            this._remove(key);
+        }
+
+        const entry = {
+            promise: null,
+            pending: true,
+            size: 0,
+            expires: 0
+        };
+        entry.promise = Promise.resolve()
+            .then(() => this.asyncFetch(key))
+            .then((resource) => {
+                if (this.entries.get(key) === entry) {
+                    entry.pending = false;
+                    entry.size = this.sizeOf(resource);
+                    entry.expires = (this.ttl > 0) ? Date.now() + this.ttl : 0;
+                    this.size += entry.size;
+                    this._evict(key);
+                }
+                return resource;
+            })
+            .catch((e) => {
+                if (this.entries.get(key) === entry) {
+                    this.entries.delete(key);
+                }
+                return Promise.reject(e);
+            });
+        this.entries.set(key, entry);
+        return entry.promise;
     }
 
-    invalidate() {
-        this.cached = {};
+    /**
+     * Get a cached resource without fetching it
+     *
+     * @param {string} key
+     * @returns {Promise} Promise resolves to the resource (or `null` if it is not cached)
+     */
+    get(key) {
+        const cached = this.entries.get(key);
+        if (!cached || (cached.expires && cached.expires <= Date.now())) {
+            this.stats.misses += 1;
+            this._remove(key);
+            return Promise.resolve(null);
+        }
+        this.stats.hits += 1;
+        this.entries.delete(key);
+        this.entries.set(key, cached);
+        return cached.promise;
+    }
+
+    /**
+     * Add a resource to the cache, replacing any cached resource with the same key
+     *
+     * @param {string} key
+     * @param {*} resource
+     */
+    set(key, resource) {
+        this._remove(key);
+        const entry = {
+            promise: Promise.resolve(resource),
+            pending: false,
+            size: this.sizeOf(resource),
+            expires: (this.ttl > 0) ? Date.now() + this.ttl : 0
+        };
+        this.entries.set(key, entry);
+        this.size += entry.size;
+        this._evict(key);
+    }
+
+    /**
+     * Remove the resource associated with the supplied key from the cache (or all resources if no key is supplied)
+     *
+     * @param {string} [key]
+     */
+    invalidate(key) {
+        if (typeof key === 'undefined') {
+            this.entries.clear();
+            this.size = 0;
+            return;
+        }
+        this._remove(key);
+    }
+
+    /**
+     * Get cache statistics
+     *
+     * @returns {object} an object with the `hits`, `misses`, and `evictions` counters along with the
+     *     current number of `entries` and their total `size`
+     */
+    getStats() {
+        return Object.assign({}, this.stats, {
+            entries: this.entries.size,
+            size: this.size
+        });
+    }
+
+    _remove(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.size -= entry.size;
+            this.entries.delete(key);
+        }
+    }
+
+    _evict(newKey) {
+        const keys = Array.from(this.entries.keys());
+        while (this.size > this.maxSize && keys.length > 0) {
+            const key = keys.shift();
+            const entry = this.entries.get(key);
+            // Keep the resource that was just added and anything still being fetched
+            if (key !== newKey && !entry.pending) {
+                this._remove(key);
+                this.stats.evictions += 1;
+            }
+        }
     }
 }
 
@@ -0,0 +1,555 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { getPointer } = require('./diff');
+
+const sampleModes = ['minimal', 'maximal', 'random'];
+
+// Values for string formats known to ajv (uses documentation address ranges and domains)
+const formatSamples = {
+    ipv4: '192.0.2.1',
+    ipv6: '2001:db8::1',
+    hostname: 'example.com',
+    email: 'user@example.com',
+    uri: 'https://example.com/',
+    'uri-reference': 'https://example.com/',
+    url: 'https://example.com/',
+    date: '2021-01-01',
+    time: '00:00:00Z',
+    'date-time': '2021-01-01T00:00:00Z',
+    uuid: '00000000-0000-4000-8000-000000000000',
+    regex: '.*',
+    'json-pointer': '/example'
+};
+
+const defaultString = 'example';
+
+// Strings that tend to break YAML and JSON output when rendered into it unquoted or unescaped
+const trickyStrings = [
+    '', ' ', 'true', 'null', '0', '-1', '~', 'yes', 'a: b', '- a', '"', '\'', '\\', '{}', '[]', '#',
+    '&a', '*a', '!a', '|', '>', '%', '@', '`', '\n', '{{a}}', '\u00e9', '\ud83d\ude00'
+];
+
+const randomChars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 "\'\\:#{}[],-&*!|>%@`\n\t\u00e9';
+
+// Give up on schema nested deeper than this (e.g., recursive $refs)
+const maxDepth = 32;
+
+// Printable ASCII characters to pick character class samples from (letters and digits first)
+const classCandidates = [/[a-z]/, /[A-Z0-9]/, /[^a-zA-Z0-9]/]
+    .map(charRegex => Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i))
+        .filter(c => charRegex.test(c)))
+    .reduce((acc, chars) => acc.concat(chars), []);
+
+const escapeSamples = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    f: '\f',
+    v: '\v',
+    0: '\0'
+};
+
+const clone = value => ((typeof value === 'undefined') ? value : JSON.parse(JSON.stringify(value)));
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Pick the first entry of a list, or a random one for random samples
+const pick = (options, list) => list[(options.random) ? Math.floor(options.random() * list.length) : 0];
+
+const chance = (options, probability) => options.random() < probability;
+
+/**
+ * Parse a regular expression into a tree of alternatives, sequences, and quantified atoms
+ *
+ * Only as much of the syntax is understood as is needed to build a matching string: lookarounds,
+ * anchors, word boundaries, and back references are treated as empty.
+ */
+function parsePattern(pattern) {
+    let pos = 0;
+
+    const peek = () => pattern[pos];
+
+    const parseQuantifier = () => {
+        const rest = pattern.slice(pos);
+        let match = rest.match(/^[*+?]/);
+        let quantifier = null;
+        if (match) {
+            quantifier = {
+                '*': { min: 0, max: Infinity },
+                '+': { min: 1, max: Infinity },
+                '?': { min: 0, max: 1 }
+            }[match[0]];
+        } else {
+            match = rest.match(/^\{(\d+)(,(\d*))?\}/);
+            if (match) {
+                const min = Number(match[1]);
+                let max = min;
+                if (match[2]) {
+                    max = (match[3]) ? Number(match[3]) : Infinity;
+                }
+                quantifier = { min, max };
+            }
+        }
+        if (!quantifier) {
+            return { min: 1, max: 1 };
+        }
+        pos += match[0].length;
+        if (peek() === '?') {
+            pos += 1;
+        }
+        return quantifier;
+    };
+
+    const parseClass = () => {
+        const start = pos;
+        pos += 1;
+        if (peek() === '^') {
+            pos += 1;
+        }
+        if (peek() === ']') {
+            pos += 1;
+        }
+        while (pos < pattern.length && peek() !== ']') {
+            pos += (peek() === '\\') ? 2 : 1;
+        }
+        pos += 1;
+        const classRegex = new RegExp(`^${pattern.slice(start, pos)}$`);
+        return { type: 'chars', chars: classCandidates.filter(c => classRegex.test(c)) };
+    };
+
+    const parseEscape = () => {
+        const c = pattern[pos + 1];
+        pos += 2;
+        if (c === 'b' || c === 'B' || /[1-9]/.test(c)) {
+            return { type: 'text', value: '' };
+        }
+        if (/[dDwWsS]/.test(c)) {
+            const classRegex = new RegExp(`^\\${c}$`);
+            return { type: 'chars', chars: classCandidates.filter(x => classRegex.test(x)) };
+        }
+        if (c === 'x' || c === 'u') {
+            const length = (c === 'x') ? 2 : 4;
+            const code = pattern.slice(pos, pos + length);
+            pos += length;
+            return { type: 'text', value: String.fromCharCode(parseInt(code, 16)) };
+        }
+        return { type: 'text', value: (escapeSamples[c] !== undefined) ? escapeSamples[c] : c };
+    };
+
+    let parseAlternatives;
+
+    const parseGroup = () => {
+        pos += 1;
+        let discard = false;
+        const prefix = pattern.slice(pos).match(/^\?(:|=|!|<=|<!|<[^>]+>)/);
+        if (prefix) {
+            pos += prefix[0].length;
+            discard = ['=', '!', '<=', '<!'].includes(prefix[1]);
+        }
+        const alternatives = parseAlternatives();
+        pos += 1;
+        return (discard) ? { type: 'text', value: '' } : { type: 'group', alternatives };
+    };
+
+    const parseAtom = () => {
+        const c = peek();
+        if (c === '[') {
+            return parseClass();
+        }
+        if (c === '(') {
+            return parseGroup();
+        }
+        if (c === '\\') {
+            return parseEscape();
+        }
+        pos += 1;
+        if (c === '^' || c === '$') {
+            return { type: 'text', value: '' };
+        }
+        return (c === '.') ? { type: 'chars', chars: classCandidates } : { type: 'text', value: c };
+    };
+
+    const parseSequence = () => {
+        const sequence = [];
+        while (pos < pattern.length && peek() !== '|' && peek() !== ')') {
+            const atom = parseAtom();
+            sequence.push(Object.assign({ atom }, parseQuantifier()));
+        }
+        return sequence;
+    };
+
+    parseAlternatives = () => {
+        const alternatives = [parseSequence()];
+        while (peek() === '|') {
+            pos += 1;
+            alternatives.push(parseSequence());
+        }
+        return alternatives;
+    };
+
+    return parseAlternatives();
+}
+
+function buildFromSequence(sequence, extra, options) {
+    const buildAtom = (atom) => {
+        if (atom.type === 'group') {
+            return buildFromSequence(pick(options, atom.alternatives), extra, options);
+        }
+        if (atom.type === 'chars') {
+            return pick(options, atom.chars) || '';
+        }
+        return atom.value;
+    };
+    return sequence
+        .map((item) => {
+            let count = Math.min(item.min + extra, item.max);
+            if (options.random) {
+                count = item.min + Math.floor(options.random() * (Math.min(item.max, item.min + 4) - item.min + 1));
+            }
+            return Array.from({ length: count }, () => buildAtom(item.atom)).join('');
+        })
+        .join('');
+}
+
+/**
+ * Build a string matching a regular expression (and the supplied check)
+ *
+ * Each top-level alternative is tried with increasing repetition counts for quantified atoms. If no
+ * attempt passes, the shortest string built from the first alternative is returned. With a `random`
+ * function, a few random strings are tried first.
+ *
+ * @param {string} pattern
+ * @param {function} check - returns whether a candidate string is acceptable
+ * @param {function} [random] - a function returning random numbers in [0, 1) like `Math.random()`
+ * @returns {string}
+ */
+function sampleFromPattern(pattern, check, random) {
+    const regex = new RegExp(pattern);
+    const alternatives = parsePattern(pattern);
+    const isValid = candidate => regex.test(candidate) && check(candidate);
+    if (random) {
+        for (let attempt = 0; attempt < 10; attempt += 1) {
+            const candidate = buildFromSequence(pick({ random }, alternatives), 0, { random });
+            if (isValid(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    for (let i = 0; i < alternatives.length; i += 1) {
+        for (let extra = 0; extra <= 8; extra += 1) {
+            const candidate = buildFromSequence(alternatives[i], extra, {});
+            if (isValid(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return buildFromSequence(alternatives[0], 0, {});
+}
+
+function resolveRef(root, ref) {
+    const resolved = (ref.startsWith('#')) ? getPointer(root, decodeURIComponent(ref.slice(1))) : undefined;
+    if (typeof resolved === 'undefined') {
+        throw new Error(`could not resolve $ref "${ref}"`);
+    }
+    return resolved;
+}
+
+function mergeSchemas(target, source) {
+    Object.keys(source).forEach((key) => {
+        if (key === 'properties' || key === 'dependencies') {
+            target[key] = Object.assign({}, target[key], source[key]);
+        } else if (key === 'required') {
+            target.required = Array.from(new Set((target.required || []).concat(source.required)));
+        } else if (typeof target[key] === 'undefined') {
+            target[key] = source[key];
+        }
+    });
+    return target;
+}
+
+/**
+ * Resolve $refs and fold allOf, a branch of oneOf, and some branches of anyOf into a single schema
+ *
+ * Random samples use a random branch of oneOf and a random subset of the anyOf branches. Otherwise the first
+ * branch of oneOf and the first (or, for maximal samples, every) branch of anyOf are used.
+ */
+function flattenSchema(root, schema, options, depth) {
+    if (depth > maxDepth) {
+        throw new Error('schema is nested too deeply (is there a circular $ref?)');
+    }
+    if (!isObject(schema)) {
+        return {};
+    }
+    if (schema.$ref) {
+        return flattenSchema(root, resolveRef(root, schema.$ref), options, depth + 1);
+    }
+
+    const flat = Object.assign({}, schema);
+    delete flat.allOf;
+    delete flat.oneOf;
+    delete flat.anyOf;
+    const oneOf = schema.oneOf || [];
+    let anyOf = schema.anyOf || [];
+    if (options.random) {
+        const subset = anyOf.filter(() => chance(options, 0.5));
+        anyOf = (subset.length > 0 || anyOf.length === 0) ? subset : [pick(options, anyOf)];
+    } else if (options.mode !== 'maximal') {
+        anyOf = anyOf.slice(0, 1);
+    }
+    const parts = (schema.allOf || [])
+        .concat((oneOf.length > 0) ? [pick(options, oneOf)] : [])
+        .concat(anyOf);
+    return parts.reduce((acc, part) => mergeSchemas(acc, flattenSchema(root, part, options, depth + 1)), flat);
+}
+
+function getType(schema) {
+    const types = [].concat(schema.type || []);
+    const type = types.find(x => x !== 'null') || types[0];
+    if (type) {
+        return type;
+    }
+    if (schema.properties || schema.required) {
+        return 'object';
+    }
+    if (schema.items) {
+        return 'array';
+    }
+    if (['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'].some(x => x in schema)) {
+        return 'number';
+    }
+    return 'string';
+}
+
+function randomString(options) {
+    if (options.pool.length > 0 && chance(options, 0.2)) {
+        // Re-use earlier values to find collisions (e.g., duplicate keys)
+        return pick(options, options.pool);
+    }
+    if (chance(options, 0.3)) {
+        return pick(options, trickyStrings);
+    }
+    const length = Math.floor(options.random() * 13);
+    return Array.from({ length }, () => pick(options, randomChars)).join('');
+}
+
+function sampleString(schema, index, options) {
+    const minLength = schema.minLength || 0;
+    const maxLength = (typeof schema.maxLength === 'number') ? schema.maxLength : Infinity;
+    const fitsLength = value => value.length >= minLength && value.length <= maxLength;
+    const fitLength = value => `${value}${'x'.repeat(Math.max(minLength - value.length, 0))}`.slice(0, maxLength);
+
+    let value = formatSamples[schema.format];
+    if (schema.pattern && !(value && new RegExp(schema.pattern).test(value) && fitsLength(value))) {
+        return sampleFromPattern(schema.pattern, fitsLength, options.random);
+    }
+    if (options.random) {
+        if (schema.format === 'ipv4') {
+            value = Array.from({ length: 4 }, () => Math.floor(options.random() * 256)).join('.');
+        } else if (!value) {
+            value = fitLength(randomString(options));
+            options.pool.push(value);
+        }
+        return value;
+    }
+    value = value || defaultString;
+    if (index > 0 && !schema.format) {
+        // Keep items of arrays with uniqueItems distinct
+        value = `${value}${index}`;
+    }
+    return fitLength(value);
+}
+
+function sampleNumber(schema, isInteger, index, options) {
+    const step = (isInteger) ? 1 : 0.5;
+    let lower = schema.minimum;
+    let upper = schema.maximum;
+    // Draft-04 uses booleans for the exclusive keywords
+    if (schema.exclusiveMinimum === true && typeof lower === 'number') {
+        lower += step;
+    } else if (typeof schema.exclusiveMinimum === 'number') {
+        lower = Math.max((typeof lower === 'number') ? lower : -Infinity, schema.exclusiveMinimum + step);
+    }
+    if (schema.exclusiveMaximum === true && typeof upper === 'number') {
+        upper -= step;
+    } else if (typeof schema.exclusiveMaximum === 'number') {
+        upper = Math.min((typeof upper === 'number') ? upper : Infinity, schema.exclusiveMaximum - step);
+    }
+
+    let value = 0;
+    if (options.random) {
+        let low = lower;
+        if (typeof low !== 'number') {
+            low = ((typeof upper === 'number') ? Math.min(upper, 0) : 0) - 1000;
+        }
+        const high = (typeof upper === 'number') ? upper : low + 2000;
+        const boundaries = [low, high, 0, 1, -1].filter(x => x >= low && x <= high);
+        value = (chance(options, 0.3))
+            ? pick(options, boundaries)
+            : low + options.random() * (high - low + ((isInteger) ? 1 : 0));
+        value = (isInteger) ? Math.min(Math.floor(value), Math.floor(high)) : value;
+    } else if (typeof lower === 'number') {
+        value = lower;
+    } else if (typeof upper === 'number' && upper < 0) {
+        value = upper;
+    }
+    value += (options.random) ? 0 : index;
+    if (isInteger) {
+        value = Math.ceil(value);
+    }
+    if (schema.multipleOf) {
+        value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+    }
+    if (typeof upper === 'number' && value > upper) {
+        value = (schema.multipleOf) ? Math.floor(upper / schema.multipleOf) * schema.multipleOf : upper;
+    }
+    return value;
+}
+
+let sampleValue;
+
+function sampleArray(root, schema, options, depth) {
+    const minItems = schema.minItems || 0;
+    const maxItems = (typeof schema.maxItems === 'number') ? schema.maxItems : Infinity;
+    const isTuple = Array.isArray(schema.items);
+    const itemSchemas = (isTuple) ? schema.items : [];
+    const extraSchema = (isTuple) ? schema.additionalItems : schema.items;
+
+    let count = minItems;
+    if (options.random) {
+        count = minItems + Math.floor(options.random() * 4);
+    } else if (options.mode === 'maximal') {
+        count = Math.max(minItems, itemSchemas.length, 1);
+    }
+    if (isTuple && !isObject(extraSchema)) {
+        count = Math.min(count, Math.max(itemSchemas.length, minItems));
+    }
+    count = Math.min(count, maxItems);
+
+    return Array.from({ length: count }, (_, i) => sampleValue(
+        root,
+        itemSchemas[i] || (isObject(extraSchema) ? extraSchema : {}),
+        options,
+        depth + 1,
+        (schema.uniqueItems) ? i : 0
+    ));
+}
+
+function sampleObject(root, schema, options, depth, defaults) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const dependencies = schema.dependencies || {};
+
+    let keys = required.slice();
+    if (options.random) {
+        keys = keys.concat(Object.keys(properties).filter(key => !keys.includes(key) && chance(options, 0.5)));
+    } else if (options.mode === 'maximal') {
+        keys = Array.from(new Set(Object.keys(properties).concat(required)));
+    }
+
+    // Include the properties that the chosen ones depend on
+    for (let i = 0; i < keys.length; i += 1) {
+        const dependency = dependencies[keys[i]];
+        if (Array.isArray(dependency)) {
+            dependency
+                .filter(key => !keys.includes(key))
+                .forEach(key => keys.push(key));
+        }
+    }
+
+    return keys.reduce((acc, key) => {
+        const useDefault = defaults && typeof defaults[key] !== 'undefined' && (!options.random || chance(options, 0.5));
+        if (useDefault) {
+            acc[key] = clone(defaults[key]);
+        } else {
+            acc[key] = sampleValue(root, properties[key] || {}, options, depth + 1, 0);
+        }
+        return acc;
+    }, {});
+}
+
+sampleValue = (root, schema, options, depth, index, defaults) => {
+    schema = flattenSchema(root, schema, options, depth);
+
+    if (typeof schema.default !== 'undefined' && (!options.random || chance(options, 0.5))) {
+        return clone(schema.default);
+    }
+    if (typeof schema.const !== 'undefined') {
+        return clone(schema.const);
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return clone((options.random) ? pick(options, schema.enum) : schema.enum[index % schema.enum.length]);
+    }
+
+    const type = getType(schema);
+    if (type === 'object') {
+        return sampleObject(root, schema, options, depth, defaults);
+    }
+    if (type === 'array') {
+        return sampleArray(root, schema, options, depth);
+    }
+    if (type === 'integer' || type === 'number') {
+        return sampleNumber(schema, type === 'integer', index, options);
+    }
+    if (type === 'boolean') {
+        return (options.random) ? chance(options, 0.5) : false;
+    }
+    if (type === 'null') {
+        return null;
+    }
+    return sampleString(schema, index, options);
+};
+
+/**
+ * Generate a sample value that is valid against the supplied JSON schema
+ *
+ * `$ref`s are resolved against the schema itself (e.g., `#/definitions/foo`), `allOf` subschemas are
+ * merged, and the first branch of `oneOf` is used. Maximal samples merge every branch of `anyOf` while
+ * minimal samples only use the first. Values come from (in order of preference)
+ * `default`, `const`, the first `enum` entry, or are generated from the type and its constraints (string
+ * `format`, `pattern`, lengths, number ranges, and array `items`).
+ *
+ * Random samples make each of these choices at random instead: optional properties, branches, array
+ * lengths, and whether to use defaults. Strings without a format or pattern are random text that favors
+ * characters with a special meaning in YAML and JSON, and may repeat other strings in the sample.
+ *
+ * @param {object} schema
+ * @param {object} [options]
+ * @param {string} [options.mode='maximal'] - `minimal` to only include required properties, `maximal` to
+ *     include every known property (and at least one item in each array), or `random`
+ * @param {function} [options.random=Math.random] - source of random numbers for random samples
+ * @param {object} [options.defaults] - values to use for the top-level properties instead of generating them
+ * @returns {*} the sample value
+ */
+function generateSample(schema, options) {
+    options = Object.assign({ mode: 'maximal' }, options);
+    if (!sampleModes.includes(options.mode)) {
+        throw new Error(`unknown sample mode "${options.mode}" (expected one of ${sampleModes.join(', ')})`);
+    }
+    const state = {
+        mode: options.mode,
+        random: (options.mode === 'random') ? (options.random || Math.random) : null,
+        pool: []
+    };
+    return sampleValue(schema, schema, state, 0, 0, options.defaults);
+}
+
+module.exports = {
+    sampleModes,
+    generateSample,
+    sampleFromPattern
+};
@@ -23,7 +23,12 @@ const ResourceCache = require('./resource_cache').ResourceCache;
  * Abstract base class for SchemaProvider classes
  */
 class BaseSchemaProvider {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.cache] - options for the schema cache (`maxSize`, `ttl`, and `sizeOf`, see
+     *     ResourceCache)
+     */
+    constructor(options) {
         if (new.target === BaseSchemaProvider) {
             throw new TypeError('Cannot instantiate Abstract BaseSchemaProvider');
         }
@@ -38,7 +43,8 @@ class BaseSchemaProvider {
             }
         });
 
-        this.cache = new ResourceCache(schemaName => this._loadSchema(schemaName));
+        options = options || {};
+        this.cache = new ResourceCache(schemaName => this._loadSchema(schemaName), options.cache);
     }
 
     /**
@@ -50,6 +56,15 @@ class BaseSchemaProvider {
     fetch(key) {
         return this.cache.fetch(key);
     }
+
+    /**
+     * Get hit, miss, and eviction counts for the schema cache
+     *
+     * @returns {object}
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
 }
 
 /**
@@ -58,9 +73,10 @@ class BaseSchemaProvider {
 class FsSchemaProvider extends BaseSchemaProvider {
     /**
      * @param {string} schemaRootPath - a path to a directory containing schema files
+     * @param {object} [options] - see BaseSchemaProvider
      */
-    constructor(schemaRootPath) {
-        super();
+    constructor(schemaRootPath, options) {
+        super(options);
 
         this.schemaPath = schemaRootPath;
     }
@@ -107,9 +123,10 @@ class DataStoreSchemaProvider extends BaseSchemaProvider {
     /**
      * @param {object} datastore - an atg-storage DataStore
      * @param {string} tsName - the key to use to access the schema in the provided DataStore
+     * @param {object} [options] - see BaseSchemaProvider
      */
-    constructor(datastore, tsName) {
-        super();
+    constructor(datastore, tsName, options) {
+        super(options);
 
         this.storage = datastore;
         this.tsName = tsName;
@@ -0,0 +1,204 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const coreVersion = require('../package.json').version;
+
+/**
+ * Name of the optional manifest file in a template set directory
+ */
+const manifestFileName = 'fast-set.yaml';
+
+/**
+ * Valid template set names (used as a directory or path segment, so no separators or `.` and `..`)
+ */
+const setNameRegex = /^(?!\.\.?$)[^/\\]+$/;
+
+// https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
+const semverRegex = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+const semverSchema = {
+    type: 'string',
+    pattern: semverRegex.source
+};
+
+const manifestSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: setNameRegex.source },
+        version: semverSchema,
+        description: { type: 'string' },
+        author: { type: 'string' },
+        minCoreVersion: semverSchema,
+        dependencies: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    minVersion: semverSchema,
+                    schemas: {
+                        type: 'array',
+                        items: { type: 'string' }
+                    }
+                },
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['name', 'version'],
+    additionalProperties: false
+};
+
+const validateManifestSchema = new Ajv({ allErrors: true }).compile(manifestSchema);
+
+/**
+ * Compare two semantic versions
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} a negative number if `a` is older than `b`, a positive number if it is newer, or 0
+ */
+function compareVersions(a, b) {
+    const [, ...partsA] = a.match(semverRegex);
+    const [, ...partsB] = b.match(semverRegex);
+    const compareIds = (x, y) => {
+        const numX = /^\d+$/.test(x);
+        const numY = /^\d+$/.test(y);
+        if (numX && numY) {
+            return Number(x) - Number(y);
+        }
+        if (numX !== numY) {
+            // Numeric identifiers have lower precedence than alphanumeric ones
+            return (numX) ? -1 : 1;
+        }
+        return (x < y) ? -1 : Number(x > y);
+    };
+
+    const coreDiff = [0, 1, 2]
+        .map(i => Number(partsA[i]) - Number(partsB[i]))
+        .find(x => x !== 0);
+    if (coreDiff) {
+        return coreDiff;
+    }
+
+    // A pre-release version is older than the release
+    const preA = partsA[3];
+    const preB = partsB[3];
+    if (!preA || !preB) {
+        return Number(!preA) - Number(!preB);
+    }
+    const idsA = preA.split('.');
+    const idsB = preB.split('.');
+    const idDiff = idsA
+        .slice(0, Math.min(idsA.length, idsB.length))
+        .map((id, i) => compareIds(id, idsB[i]))
+        .find(x => x !== 0);
+    return idDiff || idsA.length - idsB.length;
+}
+
+/**
+ * Parse and validate the contents of a template set manifest
+ *
+ * A manifest is a YAML file with the following properties:
+ *
+ * - `name` (required): name of the template set
+ * - `version` (required): semantic version of the template set
+ * - `description`, `author`: optional strings
+ * - `minCoreVersion`: the oldest version of f5-fast-core the template set works with
+ * - `dependencies`: a map of other template set names to `{ minVersion, schemas }` where `minVersion` is the
+ *   oldest version of the other set and `schemas` lists the names of schema used from the other set
+ *
+ * @param {string} text - the contents of the manifest
+ * @returns {object} the manifest
+ */
+function parseManifest(text) {
+    let manifest;
+    try {
+        manifest = yaml.load(text);
+    } catch (e) {
+        throw new Error(`failed to parse ${manifestFileName}: ${e.message}`);
+    }
+    if (!validateManifestSchema(manifest)) {
+        const errors = validateManifestSchema.errors
+            .map(e => `${e.dataPath || 'manifest'} ${e.message}`)
+            .join(', ');
+        throw new Error(`invalid ${manifestFileName}: ${errors}`);
+    }
+    return manifest;
+}
+
+/**
+ * Check a template set manifest against the running version of f5-fast-core and the other template sets
+ *
+ * @param {string} setName - the template set the manifest belongs to
+ * @param {object} manifest
+ * @param {BaseTemplateProvider} provider - a TemplateProvider for looking up dependencies
+ * @returns {Promise} Promise resolves to an array of error messages (empty if there are no problems)
+ */
+function checkManifest(setName, manifest, provider) {
+    const errors = [];
+    if (manifest.name !== setName) {
+        errors.push(`manifest name "${manifest.name}" does not match the template set name "${setName}"`);
+    }
+    if (manifest.minCoreVersion && compareVersions(coreVersion, manifest.minCoreVersion) < 0) {
+        errors.push(`requires f5-fast-core ${manifest.minCoreVersion} or newer (found ${coreVersion})`);
+    }
+
+    const dependencies = manifest.dependencies || {};
+    return Promise.all(Object.keys(dependencies).map((depName) => {
+        const dep = dependencies[depName];
+        return provider.hasSet(depName)
+            .then((found) => {
+                if (!found) {
+                    errors.push(`depends on missing template set "${depName}"`);
+                    return Promise.resolve();
+                }
+                return Promise.all([
+                    provider.getManifest(depName),
+                    provider.getSchemas(depName)
+                ])
+                    .then(([depManifest, schemas]) => {
+                        if (dep.minVersion) {
+                            const depVersion = (depManifest) ? depManifest.version : null;
+                            if (!depVersion || compareVersions(depVersion, dep.minVersion) < 0) {
+                                errors.push(
+                                    `depends on template set "${depName}" ${dep.minVersion} or newer `
+                                    + `(found ${depVersion || 'no version'})`
+                                );
+                            }
+                        }
+                        (dep.schemas || [])
+                            .filter(schemaName => !schemas[`${depName}/${schemaName}`])
+                            .forEach((schemaName) => {
+                                errors.push(`depends on missing schema "${schemaName}" in template set "${depName}"`);
+                            });
+                    });
+            });
+    }))
+        .then(() => errors);
+}
+
+module.exports = {
+    manifestFileName,
+    setNameRegex,
+    coreVersion,
+    compareVersions,
+    parseManifest,
+    checkManifest
+};
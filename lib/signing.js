@@ -0,0 +1,178 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Name of the file in a template set directory (or package) that holds the signed manifest
+ */
+const signatureFileName = 'fast.sig';
+
+const sha256 = (data) => {
+    const hash = crypto.createHash('sha256');
+    hash.update(data);
+    return hash.digest('hex');
+};
+
+// Ed25519 (and Ed448) keys sign the data directly, RSA and EC keys sign a SHA-256 digest
+const signAlgorithm = key => (['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256');
+
+const toPublicKey = key => (
+    (key instanceof crypto.KeyObject && key.type === 'public') ? key : crypto.createPublicKey(key)
+);
+
+/**
+ * Determine if a file is covered by a template set signature (templates, schema, and data files)
+ *
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isSignedFile(fileName) {
+    return ['.yml', '.yaml', '.mst', '.json', '.data'].some(ext => fileName.endsWith(ext));
+}
+
+/**
+ * Get the ID of a key (the sha256 digest of its DER encoded public key)
+ *
+ * @param {string|Buffer|KeyObject} key - a public or private key
+ * @returns {string}
+ */
+function getKeyId(key) {
+    return sha256(toPublicKey(key).export({ type: 'spki', format: 'der' }));
+}
+
+/**
+ * Create the contents of a signature file for the files of a template set
+ *
+ * The signature file contains a manifest of the sha256 digest of each template, schema, and data file,
+ * the ID of the signing key, and the signature of the manifest.
+ *
+ * @param {object} files - a map of file names to file contents (strings or Buffers)
+ * @param {string|Buffer|KeyObject} privateKey - an Ed25519 or RSA private key
+ * @returns {string}
+ */
+function signTemplateSet(files, privateKey) {
+    const key = crypto.createPrivateKey(privateKey);
+    const manifest = JSON.stringify({
+        files: Object.keys(files)
+            .filter(isSignedFile)
+            .sort()
+            .reduce((acc, fileName) => {
+                acc[fileName] = sha256(files[fileName]);
+                return acc;
+            }, {})
+    });
+    return JSON.stringify({
+        manifest,
+        keyId: getKeyId(key),
+        signature: crypto.sign(signAlgorithm(key), Buffer.from(manifest), key).toString('base64')
+    }, null, 2);
+}
+
+/**
+ * Check the signature of a template set against a list of trusted public keys
+ *
+ * The result has the following properties:
+ *
+ * - `signed`: the template set has a signature file
+ * - `verified`: the signature was made by a trusted key and every file matches the manifest
+ * - `keyId`: the ID of the signing key (if signed)
+ * - `error`: the reason verification failed (if not verified)
+ *
+ * @param {object} files - a map of file names to file contents (including the signature file)
+ * @param {Array} trustedKeys - public keys (PEM strings, Buffers, or KeyObjects) to accept signatures from
+ * @returns {object}
+ */
+function verifyTemplateSet(files, trustedKeys) {
+    const result = {
+        signed: typeof files[signatureFileName] !== 'undefined',
+        verified: false
+    };
+    if (!result.signed) {
+        result.error = 'template set is not signed';
+        return result;
+    }
+
+    let signature;
+    let manifest;
+    try {
+        signature = JSON.parse(files[signatureFileName].toString());
+        if (typeof signature.manifest !== 'string' || typeof signature.signature !== 'string') {
+            throw new Error('expected manifest and signature strings');
+        }
+        manifest = JSON.parse(signature.manifest);
+    } catch (e) {
+        result.error = `failed to parse ${signatureFileName}: ${e.message}`;
+        return result;
+    }
+    result.keyId = signature.keyId;
+
+    const trustedKey = (trustedKeys || [])
+        .map(toPublicKey)
+        .find(key => getKeyId(key) === signature.keyId);
+    if (!trustedKey) {
+        result.error = `template set is signed by an untrusted key (${signature.keyId})`;
+        return result;
+    }
+    let validSignature;
+    try {
+        validSignature = crypto.verify(
+            signAlgorithm(trustedKey),
+            Buffer.from(signature.manifest),
+            trustedKey,
+            Buffer.from(signature.signature, 'base64')
+        );
+    } catch (e) {
+        validSignature = false;
+    }
+    if (!validSignature) {
+        result.error = 'invalid signature';
+        return result;
+    }
+
+    const manifestFiles = manifest.files || {};
+    const setFiles = Object.keys(files).filter(isSignedFile);
+    const fileError = setFiles
+        .map((fileName) => {
+            if (typeof manifestFiles[fileName] === 'undefined') {
+                return `${fileName} is not in the manifest`;
+            }
+            if (manifestFiles[fileName] !== sha256(files[fileName])) {
+                return `${fileName} does not match the manifest`;
+            }
+            return null;
+        })
+        .concat(Object.keys(manifestFiles)
+            .filter(fileName => !setFiles.includes(fileName))
+            .map(fileName => `${fileName} is missing`))
+        .find(x => x);
+    if (fileError) {
+        result.error = fileError;
+        return result;
+    }
+
+    result.verified = true;
+    return result;
+}
+
+module.exports = {
+    signatureFileName,
+    isSignedFile,
+    getKeyId,
+    signTemplateSet,
+    verifyTemplateSet
+};
@@ -0,0 +1,259 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const yaml = require('js-yaml');
+
+// Matches a block mapping entry (`key: value`) with an optional inline value
+const keyRegex = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{}[\],&*!|>%@`-][^#]*?|-\S[^#]*?)\s*:(?:\s+(.*?))?\s*$/;
+
+const escapePointerToken = token => `${token}`.replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unquoteKey = (key) => {
+    if (key.startsWith('"')) {
+        try {
+            return JSON.parse(key);
+        } catch (e) {
+            return key.slice(1, -1);
+        }
+    }
+    if (key.startsWith("'")) {
+        return key.slice(1, -1).replace(/''/g, "'");
+    }
+    return key;
+};
+
+/**
+ * Get the 1-based line number of an offset into a string
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number}
+ */
+function offsetToLine(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Get the 1-based line and column of an offset into a string
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {object} `{ line, column }`
+ */
+function offsetToPosition(text, offset) {
+    const lines = text.slice(0, offset).split('\n');
+    return {
+        line: lines.length,
+        column: lines[lines.length - 1].length + 1
+    };
+}
+
+/**
+ * Find the source positions of the nodes in a YAML document
+ *
+ * Positions come from the nodes reported by the js-yaml parser, so flow collections, quoted keys, and
+ * anchors are located the same way they are loaded. If the document fails to parse, positions are
+ * returned for the nodes read before the error. Line and column numbers are 1-based. Entries point at
+ * the key (or the `-` of a sequence item), and `valueLine` and `valueColumn` point at the start of
+ * scalar values and of collections that start on the same line. For block scalars (`|` or `>`),
+ * `blockScalar` holds the indicator and `valueLine` is the first line of the scalar contents.
+ *
+ * @param {string} text - YAML text
+ * @returns {object} a map of JSON pointers to `{ line, column, valueLine, valueColumn, blockScalar }`
+ */
+function getYamlPositions(text) {
+    const lineStarts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+    const toPosition = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    // js-yaml reports nodes before skipping the whitespace and comments in front of them
+    const contentStart = (offset) => {
+        let i = offset;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i += 1;
+            } else if (text[i] === '#') {
+                const eol = text.indexOf('\n', i);
+                i = (eol === -1) ? text.length : eol;
+            } else {
+                break;
+            }
+        }
+        return i;
+    };
+    const isKey = (node) => {
+        let i = node.end;
+        while (text[i] === ' ' || text[i] === '\t') {
+            i += 1;
+        }
+        return node.kind === 'scalar' && text[i] === ':';
+    };
+    // Offset of the `-` in front of a block sequence item (or -1 for flow sequence items)
+    const dashBefore = (offset) => {
+        let i = offset - 1;
+        while (i >= 0 && /\s/.test(text[i])) {
+            i -= 1;
+        }
+        return (i >= 0 && text[i] === '-') ? i : -1;
+    };
+
+    // Rebuild the tree of nodes from the open and close events of the parser
+    const root = { children: [] };
+    const stack = [root];
+    const listener = (eventType, state) => {
+        if (eventType === 'open') {
+            const node = { start: state.position, children: [] };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+            return;
+        }
+        const node = stack.pop();
+        node.end = state.position;
+        node.kind = state.kind;
+        node.result = state.result;
+    };
+    try {
+        yaml.load(text, { listener });
+    } catch (e) {
+        // Keep the collections that were still being read when the parser gave up
+        while (stack.length > 1) {
+            const node = stack.pop();
+            node.end = text.length;
+            if (node.children.some(isKey)) {
+                node.kind = 'mapping';
+            } else if (node.children.length > 0 && dashBefore(contentStart(node.children[0].start)) !== -1) {
+                node.kind = 'sequence';
+            } else {
+                node.kind = null;
+            }
+        }
+    }
+
+    const positions = {};
+    const addNode = (node, pointer, pos) => {
+        const start = contentStart(node.start);
+        const startPos = toPosition(start);
+        if (node.kind === 'scalar' && (text[start] === '|' || text[start] === '>')) {
+            pos.blockScalar = text[start];
+            pos.valueLine = startPos.line + 1;
+            const contents = text.slice(lineStarts[startPos.line] || text.length, node.end);
+            const firstLine = contents.split('\n').find(line => line.trim() !== '');
+            if (firstLine) {
+                pos.valueColumn = firstLine.search(/\S/) + 1;
+            }
+        } else if (node.kind === 'scalar' || text[start] === '*' || (node.kind && startPos.line === pos.line)) {
+            pos.valueLine = startPos.line;
+            pos.valueColumn = startPos.column;
+        }
+
+        if (node.kind === 'mapping') {
+            let entryPointer = null;
+            node.children.forEach((child) => {
+                if (isKey(child)) {
+                    entryPointer = `${pointer}/${escapePointerToken(child.result)}`;
+                    positions[entryPointer] = toPosition(contentStart(child.start));
+                } else if (entryPointer !== null) {
+                    addNode(child, entryPointer, positions[entryPointer]);
+                    entryPointer = null;
+                }
+            });
+        } else if (node.kind === 'sequence') {
+            node.children.forEach((child, idx) => {
+                const itemPointer = `${pointer}/${idx}`;
+                const itemStart = contentStart(child.start);
+                const dash = dashBefore(itemStart);
+                positions[itemPointer] = toPosition((dash !== -1) ? dash : itemStart);
+                addNode(child, itemPointer, positions[itemPointer]);
+            });
+        }
+    };
+    root.children.forEach(node => addNode(node, '', {}));
+
+    return positions;
+}
+
+/**
+ * Find the keys of the top-level object in rendered JSON or block-style YAML text
+ *
+ * @param {string} text
+ * @returns {object[]} a list of `{ key, offset }` where offset is the start of the key in text
+ */
+function findTopLevelKeys(text) {
+    const keys = [];
+    const start = text.search(/\S/);
+    if (start === -1) {
+        return keys;
+    }
+
+    if (text[start] !== '{') {
+        let offset = 0;
+        text.split('\n').forEach((line) => {
+            const match = line.match(keyRegex);
+            if (match && !line.startsWith(' ')) {
+                keys.push({ key: unquoteKey(match[1]), offset });
+            }
+            offset += line.length + 1;
+        });
+        return keys;
+    }
+
+    let depth = 0;
+    let stringStart = -1;
+    for (let i = start; i < text.length; i += 1) {
+        const char = text[i];
+        if (stringStart !== -1) {
+            if (char === '\\') {
+                i += 1;
+            } else if (char === '"') {
+                const after = text.slice(i + 1).search(/\S/);
+                if (depth === 1 && after !== -1 && text[i + 1 + after] === ':') {
+                    keys.push({ key: unquoteKey(text.slice(stringStart, i + 1)), offset: stringStart });
+                }
+                stringStart = -1;
+            }
+        } else if (char === '"') {
+            stringStart = i;
+        } else if (char === '{' || char === '[') {
+            depth += 1;
+        } else if (char === '}' || char === ']') {
+            depth -= 1;
+        }
+    }
+
+    return keys;
+}
+
+module.exports = {
+    offsetToLine,
+    offsetToPosition,
+    getYamlPositions,
+    findTopLevelKeys
+};
@@ -29,6 +29,16 @@ const axios = require('axios');
 const mexp = require('math-expression-evaluator');
 
 const tmplSchema = require('../schema/template.json');
+const {
+    diffObjects, diffLines, lineDiffToPatch, formatLineDiff, formatPatch
+} = require('./diff');
+const {
+    offsetToLine,
+    offsetToPosition,
+    getYamlPositions,
+    findTopLevelKeys
+} = require('./source_positions');
+const { generateSample } = require('./sample_parameters');
 
 const arrayMergeOverwrite = (dstArray, srcArray) => srcArray;
 
@@ -86,6 +96,9 @@ validator.addFormat('mustache', {
     }
 });
 const _validateSchema = validator.compile(tmplSchema);
+const _validateHttpForward = validator.compile({
+    $ref: 'templateSchema#/oneOf/0/allOf/1/properties/httpForward'
+});
 
 function nodeHttpToAxios(configObj) {
     if (configObj.host || configObj.path) {
@@ -110,6 +123,73 @@ function nodeHttpToAxios(configObj) {
     }
 }
 
+// Status codes that are considered transient and worth retrying
+const retryableStatusCodes = [408, 429, 500, 502, 503, 504];
+
+const delay = ms => new Promise((resolve) => {
+    setTimeout(resolve, ms);
+});
+
+function httpResultFromResponse(res) {
+    let body = res.data;
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (e) {
+            // leave non-JSON bodies as-is
+        }
+    }
+    return {
+        status: res.status,
+        headers: res.headers,
+        body
+    };
+}
+
+/**
+ * Send an HTTP request, retrying network errors and transient failures
+ *
+ * @param {object} axiosConfig - axios request config
+ * @param {object} retryOpts
+ * @param {number} retryOpts.retries - number of times to retry after the first attempt
+ * @param {number} retryOpts.retryDelay - milliseconds to wait before the first retry
+ * @param {number} retryOpts.retryBackoff - multiplier applied to the delay after each retry
+ * @param {number[]} [retryOpts.acceptedStatusCodes] - status codes to treat as success (defaults to 2xx)
+ *
+ * @returns {Promise} Promise resolves to an object with status, headers, and body
+ */
+function requestWithRetries(axiosConfig, retryOpts) {
+    const isAccepted = status => (
+        (retryOpts.acceptedStatusCodes && retryOpts.acceptedStatusCodes.length > 0)
+            ? retryOpts.acceptedStatusCodes.includes(status)
+            : status >= 200 && status < 300
+    );
+    const attempt = (retriesLeft, retryDelay) => Promise.resolve()
+        .then(() => axios(Object.assign({}, axiosConfig, { validateStatus: null })))
+        .then((res) => {
+            const result = httpResultFromResponse(res);
+            if (isAccepted(result.status)) {
+                return result;
+            }
+
+            const bodyStr = (typeof result.body === 'string') ? result.body : JSON.stringify(result.body);
+            const err = new Error(`unexpected status code ${result.status}: ${bodyStr}`);
+            err.result = result;
+            err.retryable = retryableStatusCodes.includes(result.status);
+            return Promise.reject(err);
+        })
+        .catch((e) => {
+            const retryable = (typeof e.retryable === 'undefined') ? !e.result : e.retryable;
+            if (!retryable || retriesLeft <= 0) {
+                return Promise.reject(e);
+            }
+            return delay(retryDelay)
+                .then(() => attempt(retriesLeft - 1, retryDelay * retryOpts.retryBackoff));
+        });
+
+    return attempt(retryOpts.retries, retryOpts.retryDelay);
+}
+
 /**
  * TransformStrategy for plain text output
  */
@@ -256,6 +336,9 @@ Mustache.escape = function escape(text) {
     return text;
 };
 
+// Lambda-style helpers registered with Template.registerHelper()
+const helpers = new Map();
+
 /**
  * The main class for loading, manipulating, and rendering templates.
  *
@@ -278,6 +361,7 @@ class Template {
         this.target = 'as3';
         this.templateText = '';
         this.defaultParameters = {};
+        this.parameterExamples = {};
         this.sourceType = 'UNKNOWN';
         this.sourceText = '';
         this.sourceHash = '';
@@ -483,6 +567,12 @@ class Template {
             }
             case '#': {
                 const items = this._handleParsed(curr[4], typeSchemas, dataFiles);
+                if (helpers.has(defName) && !schemaName) {
+                    // Helpers are not parameters, but anything used inside of them is
+                    this._mergeSchemaInto(acc, items, dependencies);
+                    (items.required || []).forEach(x => required.add(x));
+                    break;
+                }
                 const schemaDef = deepmerge(
                     this._typeDefinitions[type] || {},
                     this.definitions[defName] || {}
@@ -791,10 +881,12 @@ class Template {
      * @returns {Promise} Promise resolves to `Template`
      */
     static loadMst(msttext, schemaProvider, dataProvider) {
+        let sourceFile;
         if (schemaProvider && schemaProvider.schemaProvider) {
+            sourceFile = schemaProvider.sourceFile;
             schemaProvider = schemaProvider.schemaProvider;
         }
-        this.validate(msttext);
+        this.validate(msttext, sourceFile);
         const tmpl = new this();
         tmpl._recordSource('MST', msttext);
         tmpl.templateText = msttext;
@@ -820,9 +912,10 @@ class Template {
      * @param {TemplateProvider} [options.templateProvider] - TemplateProvider to use to fetch external
      *     sub-templates referenced by the template
      * @param {string} [options.filePath]
+     * @param {string} [options.sourceFile] - file name to report in validation errors (defaults to filePath)
      * @param {string} [options.rootDir]
      * @param {boolean} [options.skipValidation] - do not create a validator object from the parameters
-     *     schema
+     *     schema (this also skips validating the template's `parameterExamples`)
      *
      * @returns {Promise} Promise resolves to `Template`
      */
@@ -831,6 +924,7 @@ class Template {
         let templateProvider;
         let dataProvider;
         let filePath;
+        let sourceFile;
         let rootDir;
         let skipValidation;
 
@@ -846,15 +940,17 @@ class Template {
             templateProvider = options.templateProvider;
             dataProvider = options.dataProvider;
             filePath = options.filePath;
+            sourceFile = options.sourceFile;
             rootDir = options.rootDir;
             skipValidation = options.skipValidation;
         }
 
         rootDir = rootDir || '';
 
-        this.validate(yamltext);
+        sourceFile = sourceFile || filePath;
+        this.validate(yamltext, sourceFile);
         const tmpl = new this();
-        const yamldata = yaml.load(yamltext);
+        const yamldata = this._parseYaml(yamltext, sourceFile);
         tmpl._recordSource('YAML', yamltext);
 
         Object.assign(tmpl, yamldata);
@@ -862,6 +958,7 @@ class Template {
         delete tmpl.template;
         tmpl.defaultParameters = tmpl.parameters || tmpl.defaultParameters;
         delete tmpl.parameters;
+        tmpl.parameterExamples = tmpl.parameterExamples || {};
         delete tmpl.anyOf;
         delete tmpl.oneOf;
         delete tmpl.allOf;
@@ -952,11 +1049,77 @@ class Template {
                 if (skipValidation) {
                     return Promise.resolve();
                 }
-                return tmpl._createParametersValidator();
+                return tmpl._createParametersValidator()
+                    .then(() => tmpl._validateExamples(yamltext, sourceFile));
             })
             .then(() => tmpl);
     }
 
+    _validateExamples(yamltext, sourceFile) {
+        const positions = getYamlPositions(yamltext);
+        const validationErrors = [];
+        const addError = (pointer, error) => validationErrors.push(Object.assign(
+            { file: sourceFile || null },
+            positions[pointer] ? {
+                line: positions[pointer].line,
+                column: positions[pointer].column
+            } : { line: null, column: null },
+            error
+        ));
+
+        const examples = this.parameterExamples;
+        if (typeof examples !== 'object' || examples === null || Array.isArray(examples)) {
+            addError('/parameterExamples', {
+                message: 'parameterExamples must be a map of example names to parameters'
+            });
+        } else {
+            Object.keys(examples).forEach((name) => {
+                const pointer = `/parameterExamples/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                const example = examples[name];
+                if (typeof example !== 'object' || example === null || Array.isArray(example)) {
+                    addError(pointer, { message: `example ${name} must be an object of parameters` });
+                    return;
+                }
+                try {
+                    this.validateParameters(example);
+                } catch (e) {
+                    (e.validationErrors || [{ message: e.message }]).forEach((error) => {
+                        addError(pointer, Object.assign({}, error, {
+                            message: `example ${name}: ${error.message}`
+                        }));
+                    });
+                }
+            });
+        }
+
+        if (validationErrors.length > 0) {
+            const err = Error('template failed validation');
+            err.validationErrors = validationErrors;
+            throw err;
+        }
+    }
+
+    /**
+     * Get the parameters of a named example
+     *
+     * The example's parameters are not merged with the template's default parameters.
+     *
+     * @param {string} name - name of an example from the template's `parameterExamples`
+     * @returns {object} the example parameters
+     * @throws Will throw an error if the template does not have an example with the given name
+     */
+    getExample(name) {
+        const examples = this.parameterExamples || {};
+        if (!Object.prototype.hasOwnProperty.call(examples, name)) {
+            const available = Object.keys(examples);
+            throw new Error(
+                `template has no example named "${name}" `
+                + `(available: ${(available.length > 0) ? available.join(', ') : 'none'})`
+            );
+        }
+        return Object.assign({}, examples[name]);
+    }
+
     /**
      * Create a `Template` instance from JSON data
      *
@@ -989,6 +1152,46 @@ class Template {
             .then(() => tmpl);
     }
 
+    /**
+     * Register a lambda-style helper that can be used as a section in all templates
+     *
+     * Templates call helpers like sections (e.g., `{{#upper}}{{name}}{{/upper}}`). The helper
+     * function is called with the rendered contents of the section and returns the text to use
+     * in its place. Helpers are not treated as parameters when generating the parameters schema,
+     * so they must be registered before loading any templates that use them. A parameter with the
+     * same name as a helper takes precedence over the helper when rendering.
+     *
+     * @param {string} name - the section name used to call the helper
+     * @param {function} fn - a function that accepts the rendered section text and returns a string
+     */
+    static registerHelper(name, fn) {
+        if (typeof name !== 'string' || !name.match(/^[_a-zA-Z0-9]+$/) || name in Object.prototype) {
+            throw new TypeError(`invalid helper name: ${name}`);
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(`expected helper ${name} to be a function`);
+        }
+        helpers.set(name, fn);
+    }
+
+    /**
+     * Remove a helper previously added with `registerHelper()`
+     *
+     * @param {string} name
+     */
+    static unregisterHelper(name) {
+        helpers.delete(name);
+    }
+
+    /**
+     * Get the names of all registered helpers
+     *
+     * @returns {string[]}
+     */
+    static getHelperNames() {
+        return Array.from(helpers.keys());
+    }
+
     /**
      * Check if the supplied template data is a valid template
      *
@@ -1011,20 +1214,76 @@ class Template {
     /**
      * Check if the supplied template data is a valid template
      *
+     * Each of the validation errors attached to the thrown error has the `file` it came from (if known)
+     * along with the 1-based `line` and `column` in the template source (if the template data is a string).
+     *
+     * @param {object|string} tmpldata
+     * @param {string} [sourceFile] - file name of the template source to report in validation errors
+     *
      * @throws Will throw an error if the template data is not valid
      */
-    static validate(tmpldata) {
+    static validate(tmpldata, sourceFile) {
         if (!this.isValid(tmpldata)) {
-            const validationErrors = this._parseValidationErrors([
+            const errors = [
                 ..._mustacheErrors,
                 ..._validateSchema.errors
-            ]);
+            ];
+            const validationErrors = this._parseValidationErrors(errors)
+                .map((error, idx) => Object.assign(
+                    { file: sourceFile || null },
+                    this._validationErrorPosition(tmpldata, errors[idx]),
+                    error
+                ));
             const err = Error('template failed validation');
             err.validationErrors = validationErrors;
             throw err;
         }
     }
 
+    static _validationErrorPosition(tmpldata, error) {
+        if (typeof tmpldata !== 'string') {
+            return { line: null, column: null };
+        }
+
+        // Mustache reports where it stopped parsing (e.g., "Unclosed tag at 42"), which is the end
+        // of the text for unclosed tags and sections, so point at the opening tag instead
+        const offsetMatch = (error.keyword === 'mustache') && error.message.match(/ at (\d+)$/);
+        if (offsetMatch) {
+            let offset = Number(offsetMatch[1]);
+            const sectionMatch = error.message.match(/Unclosed section "(.*)" at/);
+            if (sectionMatch) {
+                offset = Math.max(
+                    tmpldata.lastIndexOf(`{{#${sectionMatch[1]}`, offset),
+                    tmpldata.lastIndexOf(`{{^${sectionMatch[1]}`, offset)
+                );
+            } else if (error.message.match(/Unclosed tag at/)) {
+                offset = tmpldata.lastIndexOf('{{', offset);
+            }
+            return offsetToPosition(tmpldata, (offset !== -1) ? offset : Number(offsetMatch[1]));
+        }
+
+        // Anything else applies to the whole document
+        return { line: 1, column: 1 };
+    }
+
+    static _parseYaml(yamltext, sourceFile) {
+        try {
+            return yaml.load(yamltext);
+        } catch (e) {
+            if (!e.mark) {
+                throw e;
+            }
+            const err = Error('template failed validation');
+            err.validationErrors = [{
+                file: sourceFile || null,
+                line: e.mark.line + 1,
+                column: e.mark.column + 1,
+                message: `invalid YAML: ${e.reason}`
+            }];
+            throw err;
+        }
+    }
+
     /**
      * Get JSON schema for the template parameters
      */
@@ -1104,6 +1363,24 @@ class Template {
         return Object.assign(defaults, mathExprResults);
     }
 
+    /**
+     * Generate a parameters object that passes validation from the template's parameters schema
+     *
+     * Default parameter values are used where available. Other values are generated from the schema's
+     * types, enums, formats, patterns, and ranges, using the first branch of any `oneOf`.
+     *
+     * @param {object} [options]
+     * @param {string} [options.mode='maximal'] - `minimal` to only include required parameters, `maximal`
+     *     to include all of them, or `random` for random parameters (as used for fuzzing)
+     * @param {function} [options.random=Math.random] - source of random numbers for `random` mode
+     * @returns {object} the generated parameters
+     */
+    generateSampleParameters(options) {
+        return generateSample(this.getParametersSchema(), Object.assign({}, options, {
+            defaults: this.getCombinedParameters({})
+        }));
+    }
+
     static _parseValidationErrors(errors) {
         return errors.map((error) => {
             const param = error.dataPath
@@ -1175,12 +1452,117 @@ class Template {
         return text.replace(/{{([_a-zA-Z0-9#^>/]+):.*?}}/g, '{{$1}}');
     }
 
+    _sourceLine(pointer, lineInText, sourceMapCtx) {
+        if (sourceMapCtx.isMst) {
+            return lineInText;
+        }
+        const pos = sourceMapCtx.positions[pointer];
+        if (!pos || !pos.valueLine) {
+            return null;
+        }
+        if (pos.blockScalar === '|') {
+            return pos.valueLine + lineInText - 1;
+        }
+        return pos.valueLine;
+    }
+
+    _partialSourcePointer(partialName, sourcePath, sourceMapCtx) {
+        const suffix = `/definitions/${partialName}/template`;
+        const localPointer = `${sourcePath}${suffix}`;
+        if (sourceMapCtx.positions[localPointer]) {
+            return localPointer;
+        }
+        return Object.keys(sourceMapCtx.positions).find(x => x.endsWith(suffix)) || localPointer;
+    }
+
+    _renderWithSourceMap(templateText, view, sourcePath, sourceMapCtx) {
+        const writer = new Mustache.Writer();
+        const context = new Mustache.Context(view);
+        const spans = [];
+
+        // Render one token at a time (descending into partials) to track which token produced which output
+        const renderTokens = (tokens, originalText, partialName, base) => tokens.reduce((acc, token) => {
+            const partialText = (token[0] === '>') ? this._partials[token[1]] : undefined;
+            if (typeof partialText !== 'undefined') {
+                // Mirrors Mustache's Writer.renderPartial()
+                const indentedText = (token[5] === 0 && token[4])
+                    ? writer.indentPartial(partialText, token[4], token[6])
+                    : partialText;
+                return acc + renderTokens(writer.parse(indentedText), indentedText, token[1], base + acc.length);
+            }
+
+            const value = writer.renderTokens([token], context, this._partials, originalText);
+            spans.push({
+                start: base + acc.length,
+                end: base + acc.length + value.length,
+                isText: token[0] === 'text',
+                srcStart: token[2],
+                originalText,
+                partial: partialName
+            });
+            return acc + value;
+        }, '');
+
+        const text = renderTokens(writer.parse(templateText), templateText, null, 0);
+
+        const entryAt = (offset) => {
+            const span = spans.find(x => offset >= x.start && offset < x.end);
+            if (!span) {
+                return null;
+            }
+            // Text tokens are copied verbatim, so they can be mapped line by line
+            const srcOffset = (span.isText) ? span.srcStart + offset - span.start : span.srcStart;
+            const pointer = (span.partial)
+                ? this._partialSourcePointer(span.partial, sourcePath, sourceMapCtx)
+                : `${sourcePath}/template`;
+            return {
+                template: pointer,
+                partial: span.partial,
+                line: this._sourceLine(pointer, offsetToLine(span.originalText, srcOffset), sourceMapCtx)
+            };
+        };
+
+        const sourceMap = {};
+        if (sourceMapCtx.structured) {
+            findTopLevelKeys(text).forEach(({ key, offset }) => {
+                const entry = entryAt(offset);
+                if (entry) {
+                    sourceMap[`/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`] = entry;
+                }
+            });
+        } else {
+            let offset = 0;
+            text.split('\n').forEach((line, idx) => {
+                const firstChar = line.search(/\S/);
+                const entry = (firstChar !== -1) && entryAt(offset + firstChar);
+                if (entry) {
+                    sourceMap[idx + 1] = entry;
+                }
+                offset += line.length + 1;
+            });
+        }
+
+        return { text, sourceMap };
+    }
+
     /**
      * Render the template using the supplied parameters object
      *
+     * If `options.sourceMap` is set, an object is returned instead of a string with the rendered result
+     * in a `rendered` property and a `sourceMap` property. For content types with a post-processing strategy
+     * (e.g., JSON and YAML), the source map is keyed by top-level JSON pointers of the result. For other
+     * content types, it is keyed by output line number. Each entry has:
+     *
+     * - `template`: a JSON pointer to the template text in the source (e.g., `/allOf/0/template`)
+     * - `partial`: the name of the partial that produced the output (or `null`)
+     * - `line`: the line in `sourceText` (or `null` if it could not be determined, e.g., for `$ref` sub-templates)
+     *
      * @param {object} parameters
+     * @param {object} [options]
+     * @param {boolean} [options.skipValidation=false] - do not validate the parameters before rendering
+     * @param {boolean} [options.sourceMap=false] - also generate a source map for the rendered result
      *
-     * @returns {string} rendered result
+     * @returns {string|object} rendered result (or an object with the result and source map)
      */
     render(parameters, options) {
         options = options || {};
@@ -1191,27 +1573,48 @@ class Template {
         const xfparams = this.transformParameters(combParams);
         const templateText = this._cleanTemplateText(this.templateText || '');
         const mergeStrategy = mergeStrategies[this.contentType] || PlainTextMergeStrategy;
-        const templateTexts = [];
+        const sourcePath = options._sourcePath || '';
+        let sourceMapCtx = null;
+        if (options.sourceMap) {
+            sourceMapCtx = options._sourceMapContext || {
+                structured: typeof postProcessStrategies[this.contentType] !== 'undefined',
+                positions: (this.sourceType === 'YAML') ? getYamlPositions(this.sourceText) : {},
+                isMst: this.sourceType === 'MST'
+            };
+        }
+        const components = [];
 
-        const subTmplOpts = {
-            skipValidation: true
+        const renderSubTemplate = (tmpl, subPath) => {
+            const subTmplOpts = {
+                skipValidation: true
+            };
+            if (sourceMapCtx) {
+                Object.assign(subTmplOpts, {
+                    sourceMap: true,
+                    _sourcePath: subPath,
+                    _sourceMapContext: sourceMapCtx
+                });
+                const result = tmpl.render(combParams, subTmplOpts);
+                return { text: result.rendered, sourceMap: result.sourceMap };
+            }
+            return { text: tmpl.render(combParams, subTmplOpts) };
         };
 
-        this._allOf.forEach((tmpl) => {
-            templateTexts.push(tmpl.render(combParams, subTmplOpts));
+        this._allOf.forEach((tmpl, idx) => {
+            components.push(renderSubTemplate(tmpl, `${sourcePath}/allOf/${idx}`));
         });
-        this._anyOf.forEach((tmpl) => {
+        this._anyOf.forEach((tmpl, idx) => {
             try {
-                templateTexts.push(tmpl.render(combParams, subTmplOpts));
+                components.push(renderSubTemplate(tmpl, `${sourcePath}/anyOf/${idx}`));
             } catch (e) {
                 if (!e.message.match(/failed validation/)) {
                     throw e;
                 }
             }
         });
-        this._oneOf.forEach((tmpl) => {
+        this._oneOf.forEach((tmpl, idx) => {
             try {
-                templateTexts.push(tmpl.render(combParams, subTmplOpts));
+                components.push(renderSubTemplate(tmpl, `${sourcePath}/oneOf/${idx}`));
             } catch (e) {
                 if (!e.message.match(/failed validation/)) {
                     throw e;
@@ -1219,9 +1622,20 @@ class Template {
             }
         });
 
-        templateTexts.push(Mustache.render(templateText, xfparams, this._partials));
+        const helperView = {};
+        helpers.forEach((fn, name) => {
+            helperView[name] = () => (text, subRender) => `${fn(subRender(text))}`;
+        });
+        // Parameters take precedence over helpers with the same name
+        const view = Object.assign(helperView, xfparams);
 
-        let rendered = templateTexts.reduce((acc, curr) => {
+        if (sourceMapCtx) {
+            components.push(this._renderWithSourceMap(templateText, view, sourcePath, sourceMapCtx));
+        } else {
+            components.push({ text: Mustache.render(templateText, view, this._partials) });
+        }
+
+        let rendered = components.map(x => x.text).reduce((acc, curr) => {
             if (curr.length === 0) {
                 return acc;
             }
@@ -1239,7 +1653,60 @@ class Template {
             rendered = postProcessStrategy(rendered);
         }
 
-        return rendered;
+        if (!sourceMapCtx) {
+            return rendered;
+        }
+
+        const sourceMap = {};
+        let lineOffset = 0;
+        components
+            .filter(x => x.text.length > 0)
+            .forEach((component) => {
+                if (sourceMapCtx.structured) {
+                    Object.assign(sourceMap, component.sourceMap);
+                } else {
+                    Object.entries(component.sourceMap).forEach(([line, entry]) => {
+                        sourceMap[Number(line) + lineOffset] = entry;
+                    });
+                    lineOffset += component.text.split('\n').length;
+                }
+            });
+
+        return { rendered, sourceMap };
+    }
+
+    /**
+     * Render the template with two sets of parameters and return the differences between the results
+     *
+     * Content types with a post-processing strategy (e.g., JSON and YAML) are compared structurally,
+     * all other content types are compared line by line.
+     *
+     * @param {object} oldParameters
+     * @param {object} newParameters
+     * @param {object} [options]
+     * @param {string} [options.format='text'] - `text` for human-readable output or `json-patch` for a
+     *     JSON Patch (RFC 6902) array (applied to an array of lines for line-based content types)
+     *
+     * @returns {string|object[]} the differences in the requested format
+     */
+    diff(oldParameters, newParameters, options) {
+        options = options || {};
+        const format = options.format || 'text';
+        if (!['text', 'json-patch'].includes(format)) {
+            throw new Error(`unsupported diff format: ${format}`);
+        }
+
+        const oldRendered = this.render(oldParameters);
+        const newRendered = this.render(newParameters);
+
+        if (postProcessStrategies[this.contentType]) {
+            const oldDoc = yaml.load(oldRendered);
+            const patch = diffObjects(oldDoc, yaml.load(newRendered));
+            return (format === 'json-patch') ? patch : formatPatch(patch, oldDoc);
+        }
+
+        const changes = diffLines(oldRendered, newRendered);
+        return (format === 'json-patch') ? lineDiffToPatch(changes) : formatLineDiff(changes);
     }
 
     /**
@@ -1303,11 +1770,20 @@ class Template {
     /**
      * Render the template using the supplied parameters object and forward the results based on `httpForward` property
      *
-     * Also run fetchHttp().
+     * Also run fetchHttp(). The rendered result is sent as the request body. Network errors and
+     * transient failures (408, 429, and 5xx) are retried based on the `retries`, `retryDelay`, and
+     * `retryBackoff` properties of `httpForward`.
+     *
+     * If `httpForward.poll` is defined and the request is accepted with a `202`, the returned Promise does not
+     * resolve until the task status endpoint reports completion, and the final status response is included as
+     * the `task` property.
+     *
+     * The `httpForward` options are checked against the template schema first, so templates that were not
+     * loaded from YAML (e.g., with `fromJson()`) are rejected the same way.
      *
      * @param {object} parameters
      *
-     * @returns {Promise} Promise resolves to HTTP response results
+     * @returns {Promise} Promise resolves to an object containing the response status, headers, and body
      */
     forwardHttp(parameters) {
         if (!this.httpForward) {
@@ -1316,26 +1792,113 @@ class Template {
             );
         }
 
+        const fwdOpts = this.httpForward;
+        if (!_validateHttpForward(fwdOpts)) {
+            const errors = _validateHttpForward.errors
+                .map(e => `${e.dataPath.replace('.', '') || 'httpForward'} ${e.message}`);
+            return Promise.reject(new Error(`invalid httpForward options: ${errors.join(', ')}`));
+        }
+
         const axiosConfig = {
-            method: 'POST',
-            headers: {
+            method: fwdOpts.method || 'POST',
+            headers: Object.assign({
                 'Content-Type': this.contentType
-            }
+            }, fwdOpts.headers)
         };
 
-        if (typeof this.httpForward.url === 'string') {
-            axiosConfig.url = this.httpForward.url;
+        if (typeof fwdOpts.timeout !== 'undefined') {
+            axiosConfig.timeout = fwdOpts.timeout;
+        }
+
+        if (typeof fwdOpts.url === 'string') {
+            axiosConfig.url = fwdOpts.url;
         } else {
-            Object.assign(axiosConfig, this.httpForward.url);
+            Object.assign(axiosConfig, fwdOpts.url);
             nodeHttpToAxios(axiosConfig);
         }
 
+        const retryOpts = {
+            retries: fwdOpts.retries || 0,
+            retryDelay: (typeof fwdOpts.retryDelay === 'undefined') ? 1000 : fwdOpts.retryDelay,
+            retryBackoff: fwdOpts.retryBackoff || 2,
+            acceptedStatusCodes: fwdOpts.acceptedStatusCodes
+        };
+
         return Promise.resolve()
             .then(() => this.fetchAndRender(parameters))
-            .then(() => axios(axiosConfig))
-            .catch(e => Promise.reject(
-                new Error(`error forwarding to ${axiosConfig.url}: ${e}`)
-            ));
+            .then((rendered) => {
+                axiosConfig.data = rendered;
+                return requestWithRetries(axiosConfig, retryOpts)
+                    .catch((e) => {
+                        const err = new Error(`error forwarding to ${axiosConfig.url}: ${e.message}`);
+                        err.result = e.result;
+                        return Promise.reject(err);
+                    });
+            })
+            .then((result) => {
+                // Only accepted (but not finished) requests have a task to poll
+                if (!fwdOpts.poll || result.status !== 202) {
+                    return result;
+                }
+                return this._pollHttpTask(result, axiosConfig, retryOpts)
+                    .then((taskResult) => {
+                        result.task = taskResult;
+                        return result;
+                    });
+            });
+    }
+
+    _pollHttpTask(fwdResult, fwdConfig, retryOpts) {
+        const pollOpts = this.httpForward.poll;
+        if (!pollOpts.url || !pollOpts.completeQuery) {
+            return Promise.reject(new Error('httpForward.poll requires url and completeQuery properties'));
+        }
+        const interval = (typeof pollOpts.interval === 'undefined') ? 1000 : pollOpts.interval;
+        const maxWait = (typeof pollOpts.maxWait === 'undefined') ? 60000 : pollOpts.maxWait;
+        const view = (fwdResult.body && typeof fwdResult.body === 'object') ? fwdResult.body : {};
+        const statusPath = Mustache.render(pollOpts.url, view, {}, { escape: value => encodeURIComponent(value) });
+        const statusUrl = new URL(statusPath, fwdConfig.url).toString();
+        // The status request has no body
+        const headers = Object.keys(fwdConfig.headers)
+            .filter(name => name.toLowerCase() !== 'content-type')
+            .reduce((acc, name) => {
+                acc[name] = fwdConfig.headers[name];
+                return acc;
+            }, {});
+        const axiosConfig = {
+            method: 'GET',
+            url: statusUrl,
+            headers
+        };
+        if (typeof fwdConfig.timeout !== 'undefined') {
+            axiosConfig.timeout = fwdConfig.timeout;
+        }
+        const pollRetryOpts = Object.assign({}, retryOpts, {
+            acceptedStatusCodes: undefined
+        });
+        const startTime = Date.now();
+
+        const poll = () => Promise.resolve()
+            .then(() => requestWithRetries(axiosConfig, pollRetryOpts))
+            .catch((e) => {
+                const err = new Error(`error polling task status at ${statusUrl}: ${e.message}`);
+                err.result = e.result;
+                return Promise.reject(err);
+            })
+            .then((result) => {
+                if (JSONPath({ path: pollOpts.completeQuery, json: result.body, wrap: true }).length > 0) {
+                    return result;
+                }
+                if (Date.now() - startTime + interval > maxWait) {
+                    const err = new Error(`timed out after ${maxWait}ms waiting for task at ${statusUrl} to complete`);
+                    err.result = result;
+                    return Promise.reject(err);
+                }
+                return delay(interval)
+                    .then(() => poll());
+            });
+
+        return poll();
     }
 }
 
@@ -0,0 +1,238 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const { generateSample } = require('./sample_parameters');
+
+const defaultRuns = 100;
+const defaultMaxShrinks = 1000;
+
+// Park-Miller generator, so a failing run can be reproduced from its seed
+const modulus = 2147483647;
+
+/**
+ * Create a seeded source of random numbers
+ *
+ * @param {number} seed
+ * @returns {function} a function returning numbers in [0, 1) like `Math.random()`
+ */
+function createRandom(seed) {
+    let state = Math.abs(Math.floor(seed)) % modulus;
+    if (state === 0) {
+        state = modulus - 1;
+    }
+    return () => {
+        state = (state * 16807) % modulus;
+        return (state - 1) / (modulus - 1);
+    };
+}
+
+const isPostProcessError = e => e.name === 'YAMLException' || /^parameters must have unique values/.test(e.message);
+
+/**
+ * Render a template with a set of parameters and check the result against the fuzzing invariants
+ *
+ * @param {Template} tmpl
+ * @param {object} parameters
+ * @param {function} [validateTarget] - compiled JSON schema for the rendered output
+ * @returns {object} `{ invalid: true }` if the parameters failed validation, `{ invariant, message, errorName }`
+ *     if an invariant does not hold, or `null`
+ */
+function checkParameters(tmpl, parameters, validateTarget) {
+    let rendered;
+    try {
+        rendered = tmpl.render(parameters);
+    } catch (e) {
+        if (e.validationErrors) {
+            return { invalid: true };
+        }
+        return {
+            invariant: (isPostProcessError(e)) ? 'postProcess' : 'render',
+            message: e.message,
+            errorName: e.name
+        };
+    }
+
+    if (validateTarget) {
+        let output;
+        try {
+            output = yaml.load(rendered);
+        } catch (e) {
+            return { invariant: 'targetSchema', message: `failed to parse the rendered output: ${e.message}` };
+        }
+        if (!validateTarget(output)) {
+            const errors = validateTarget.errors
+                .map(e => `${e.dataPath || 'output'} ${e.message}`)
+                .join(', ');
+            return { invariant: 'targetSchema', message: `rendered output failed validation: ${errors}` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get simpler variations of a value: smaller numbers, shorter strings, and objects and arrays with an
+ * entry removed or simplified
+ */
+function shrinkCandidates(value) {
+    if (Array.isArray(value)) {
+        const removed = value.map((_, i) => value.filter((__, j) => j !== i));
+        const simplified = value.map((item, i) => shrinkCandidates(item)
+            .map(candidate => value.map((x, j) => ((j === i) ? candidate : x))));
+        return removed.concat(...simplified);
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        const removed = keys.map((key) => {
+            const candidate = Object.assign({}, value);
+            delete candidate[key];
+            return candidate;
+        });
+        const simplified = keys.map(key => shrinkCandidates(value[key])
+            .map(candidate => Object.assign({}, value, { [key]: candidate })));
+        return removed.concat(...simplified);
+    }
+    if (typeof value === 'string') {
+        if (value === '') {
+            return [];
+        }
+        const half = Math.floor(value.length / 2);
+        const withoutChar = Array.from({ length: Math.min(value.length, 32) }, (_, i) => value.slice(0, i)
+            + value.slice(i + 1));
+        return Array.from(new Set(['', value.slice(0, half), value.slice(half)].concat(withoutChar)))
+            .filter(x => x !== value);
+    }
+    if (typeof value === 'number') {
+        return Array.from(new Set([0, Math.trunc(value), Math.trunc(value / 2), value - Math.sign(value)]))
+            .filter(x => x !== value && Math.abs(x) <= Math.abs(value));
+    }
+    if (value === true) {
+        return [false];
+    }
+    return [];
+}
+
+/**
+ * Shrink parameters that break an invariant to a minimal set that still breaks it
+ *
+ * Candidates from shrinkCandidates() are tried in order and the first that still fails (with the same
+ * invariant and type of error) replaces the parameters, until no candidate fails or `maxAttempts` renders
+ * were tried.
+ *
+ * @returns {object} `{ parameters, failure, steps }`
+ */
+function shrinkParameters(parameters, failure, check, maxAttempts) {
+    let current = { parameters, failure };
+    let steps = 0;
+    let attempts = 0;
+    let improved = true;
+    while (improved && attempts < maxAttempts) {
+        improved = false;
+        const candidates = shrinkCandidates(current.parameters);
+        for (let i = 0; i < candidates.length && attempts < maxAttempts; i += 1) {
+            attempts += 1;
+            const result = check(candidates[i]);
+            const sameFailure = result && !result.invalid
+                && result.invariant === failure.invariant && result.errorName === failure.errorName;
+            if (sameFailure) {
+                current = { parameters: candidates[i], failure: result };
+                steps += 1;
+                improved = true;
+                break;
+            }
+        }
+    }
+    return Object.assign({ steps }, current);
+}
+
+/**
+ * Render a template with random valid parameters and check that:
+ *
+ * - `render`: rendering does not throw
+ * - `postProcess`: JSON and YAML post-processing (e.g., the duplicate key check) succeeds
+ * - `targetSchema`: the rendered output passes the `targetSchema` (if supplied)
+ *
+ * Parameters are generated from the template's parameters schema (see `generateSample()` in random mode).
+ * Generated parameters that fail the template's own validation are counted as `invalid` and skipped.
+ * Fuzzing stops at the first failure, which is shrunk to a minimal set of parameters that still breaks
+ * the same invariant.
+ *
+ * The result has the `seed` used (pass it back in to reproduce a run), the number of `runs`, `passed`,
+ * and `invalid` parameter sets, and a `failure` (or `null`) with the `run` number, `invariant`, `message`,
+ * the generated `parameters`, and the `shrunkParameters` (after `shrinkSteps` steps).
+ *
+ * @param {Template} tmpl
+ * @param {object} [options]
+ * @param {number} [options.runs=100] - the number of parameter sets to try
+ * @param {number} [options.seed] - seed for the random parameters (defaults to a random seed)
+ * @param {object} [options.targetSchema] - JSON schema the rendered output must pass
+ * @param {number} [options.maxShrinks=1000] - maximum number of renders to spend on shrinking a failure
+ * @returns {object} the results
+ */
+function fuzzTemplate(tmpl, options) {
+    options = options || {};
+    const runs = (typeof options.runs === 'number') ? options.runs : defaultRuns;
+    const seed = (typeof options.seed === 'number') ? options.seed : Math.floor(Math.random() * (modulus - 1)) + 1;
+    const maxShrinks = (typeof options.maxShrinks === 'number') ? options.maxShrinks : defaultMaxShrinks;
+    const validateTarget = (options.targetSchema)
+        ? new Ajv({ allErrors: true, unknownFormats: 'ignore' }).compile(options.targetSchema)
+        : null;
+    const check = parameters => checkParameters(tmpl, parameters, validateTarget);
+
+    const random = createRandom(seed);
+    const schema = tmpl.getParametersSchema();
+    const defaults = tmpl.getCombinedParameters({});
+    const results = {
+        seed,
+        runs: 0,
+        passed: 0,
+        invalid: 0,
+        failure: null
+    };
+
+    for (let run = 1; run <= runs; run += 1) {
+        const parameters = generateSample(schema, { mode: 'random', random, defaults });
+        results.runs += 1;
+        const result = check(parameters);
+        if (!result) {
+            results.passed += 1;
+        } else if (result.invalid) {
+            results.invalid += 1;
+        } else {
+            const shrunk = shrinkParameters(parameters, result, check, maxShrinks);
+            results.failure = {
+                run,
+                invariant: result.invariant,
+                message: shrunk.failure.message,
+                parameters,
+                shrunkParameters: shrunk.parameters,
+                shrinkSteps: shrunk.steps
+            };
+            break;
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    createRandom,
+    fuzzTemplate
+};
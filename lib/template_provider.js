@@ -20,203 +20,14 @@ const fs = require('fs');
 const path = require('path');
 const AdmZip = require('adm-zip');
 
-const ResourceCache = require('./resource_cache').ResourceCache;
+const { BaseTemplateProvider } = require('./base_template_provider');
 const Template = require('./template').Template;
 const { FsSchemaProvider } = require('./schema_provider');
 const { stripExtension } = require('./utils');
 const { FsDataProvider } = require('./data_provider');
-
-/**
- * Abstract base class for TemplateProvider classes
- */
-class BaseTemplateProvider {
-    /**
-     * @param {object} [supportedHashes={}] - an optional map of hash values to validate against
-     */
-    constructor(supportedHashes) {
-        if (new.target === BaseTemplateProvider) {
-            throw new TypeError('Cannot instantiate Abstract BaseTemplateProvider');
-        }
-
-        const abstractMethods = [
-            '_loadTemplate',
-            'listSets',
-            'removeSet',
-            'list',
-            'getSchemas',
-            'getDataFiles'
-        ];
-        abstractMethods.forEach((method) => {
-            if (this[method] === undefined) {
-                throw new TypeError(`Expected ${method} to be defined`);
-            }
-        });
-
-        this.supportedHashes = supportedHashes || {};
-
-        this.cache = new ResourceCache((tmplName => this._loadTemplate(tmplName)));
-    }
-
-    /**
-     * Clear any cache associated with this provider
-     */
-    invalidateCache() {
-        this.cache.invalidate();
-    }
-
-    /**
-     * Get the template associated with the supplied key
-     *
-     * @param {string} key
-     * @returns {Promise} Promise resolves to `Template`
-     */
-    fetch(key) {
-        return this.cache.fetch(key);
-    }
-
-    /**
-     * Get the template set associated with the supplied ID
-     *
-     * @param {string} setName
-     * @returns {Promise} Promise resolves to an object containing template set information
-     */
-    fetchSet(setName) {
-        return this.list(setName)
-            .then(tmplList => Promise.all(tmplList.map(tmplName => Promise.all([
-                Promise.resolve(tmplName),
-                this.fetch(tmplName)
-                    .catch(e => Promise.reject(new Error(
-                        `Failed to load ${tmplName}: ${e.message}`
-                    )))
-            ]))))
-            .then(tmplList => tmplList.reduce((acc, curr) => {
-                const [tmplName, tmplData] = curr;
-                acc[tmplName] = tmplData;
-                return acc;
-            }, {}));
-    }
-
-    /**
-     * Determine if the provided template set ID is known to the provider
-     *
-     * @param {string} setid
-     */
-    hasSet(setid) {
-        return this.listSets()
-            .then(sets => sets.includes(setid));
-    }
-
-    /**
-     * Get an object with a count of each template source type known to the provider.
-     *
-     * This is an object with properties being each unique type found and the values
-     * are the number of times that type was found.
-     *
-     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
-     * @returns {Promise} Promise resolves to an object
-     */
-    getNumTemplateSourceTypes(filteredSetName) {
-        const sourceTypes = {};
-        const filteredSetList = (filteredSetName && [filteredSetName]) || [];
-        return this.list(filteredSetList)
-            .then(tmplList => Promise.all(tmplList.map(tmpl => this.fetch(tmpl))))
-            .then(tmplList => tmplList.forEach((tmpl) => {
-                if (!sourceTypes[tmpl.sourceType]) {
-                    sourceTypes[tmpl.sourceType] = 0;
-                }
-                sourceTypes[tmpl.sourceType] += 1;
-            }))
-            .then(() => sourceTypes);
-    }
-
-    /**
-     * Get the number of schema objects known to this provider
-     *
-     * @param {string} [filteredSetName] - only return data for this template set (instead of all template sets)
-     * @returns {Promise} Promise resolves to a number
-     */
-    getNumSchema(filteredSetName) {
-        return this.getSchemas(filteredSetName)
-            .then(schemas => Object.keys(schemas).length);
-    }
-
-    /**
-     * Get data associated with the given template set
-     *
-     * @returns {Promise} Promise resolves to an object
-     */
-    getSetData(setName) {
-        return Promise.all([
-            this.fetchSet(setName),
-            this.getSchemas(setName),
-            this.getDataFiles(setName)
-        ])
-            .then(([templates, schemas, dataFiles]) => {
-                const tsHash = crypto.createHash('sha256');
-                const tmplHashes = Object.values(templates).map(x => x.sourceHash).sort();
-                tmplHashes.forEach((hash) => {
-                    tsHash.update(hash);
-                });
-                const schemaHashes = Object.values(schemas).map(x => x.hash).sort();
-                schemaHashes.forEach((hash) => {
-                    tsHash.update(hash);
-                });
-                const dataHashes = Object.values(dataFiles).map(x => x.hash).sort();
-                dataHashes.forEach((hash) => {
-                    tsHash.update(hash);
-                });
-
-                const tsHashDigest = tsHash.digest('hex');
-                const supported = (
-                    Object.keys(this.supportedHashes).includes(setName)
-                    && this.supportedHashes[setName].includes(tsHashDigest)
-                );
-                return Promise.resolve({
-                    name: setName,
-                    hash: tsHashDigest,
-                    supported,
-                    templates: Object.keys(templates).reduce((acc, curr) => {
-                        const tmpl = templates[curr];
-                        acc.push({
-                            name: curr,
-                            hash: tmpl.sourceHash,
-                            description: tmpl.description,
-                            title: tmpl.title
-                        });
-                        return acc;
-                    }, []),
-                    schemas: Object.keys(schemas).reduce((acc, curr) => {
-                        const schema = schemas[curr];
-                        acc.push({
-                            name: schema.name,
-                            hash: schema.hash
-                        });
-                        return acc;
-                    }, []),
-                    dataFiles: Object.keys(dataFiles).reduce((acc, curr) => {
-                        const data = dataFiles[curr];
-                        acc.push({
-                            name: data.name,
-                            hash: data.hash
-                        });
-                        return acc;
-                    }, [])
-                });
-            });
-    }
-
-    /**
-     * Determine if the provided file name has a supported template file extension
-     *
-     * @param {string} fileName - the file name to check
-     * @returns {boolean}
-     */
-    hasTemplateExtension(fileName) {
-        return fileName.endsWith('.yml')
-            || fileName.endsWith('.yaml')
-            || fileName.endsWith('.mst');
-    }
-}
+const signing = require('./signing');
+const setManifest = require('./set_manifest');
+const { ZipTemplateProvider } = require('./zip_provider');
 
 /**
  * TemplateProvider that fetches templates from the file system
@@ -226,15 +37,30 @@ class FsTemplateProvider extends BaseTemplateProvider {
      * @param {string} templateRootPath - a path to a directory containing template set directories
      * @param {string[]} [filteredSets[]] - only load template sets in this list (or all if list is empty)
      * @param {object} [supportedHashes={}] - an optional map of hash values to validate against
+     * @param {object} [options] - signature verification options (see BaseTemplateProvider)
      */
-    constructor(templateRootPath, filteredSets, supportedHashes) {
-        super(supportedHashes);
+    constructor(templateRootPath, filteredSets, supportedHashes, options) {
+        super(supportedHashes, options);
         this.config_template_path = templateRootPath;
         this.schemaProviders = {};
         this.dataProviders = {};
         this.filteredSets = new Set(filteredSets || []);
     }
 
+    /**
+     * Clear any cache associated with this provider (including cached schema and data files)
+     *
+     * @param {string} [key] - only remove the cached template with this key
+     */
+    invalidateCache(key) {
+        super.invalidateCache(key);
+        if (typeof key !== 'undefined') {
+            return;
+        }
+        Object.keys(this.schemaProviders).forEach(tsName => this.schemaProviders[tsName].cache.invalidate());
+        Object.keys(this.dataProviders).forEach(tsName => this.dataProviders[tsName].cache.invalidate());
+    }
+
     _loadTemplate(templateName) {
         const tsName = templateName.split('/')[0];
         this._ensureSchemaProvider(tsName);
@@ -266,6 +92,7 @@ class FsTemplateProvider extends BaseTemplateProvider {
                 schemaProvider,
                 dataProvider,
                 templateProvider: this,
+                sourceFile: tmplpath,
                 rootDir: path.resolve(this.config_template_path, tsName)
             }));
     }
@@ -354,7 +181,8 @@ class FsTemplateProvider extends BaseTemplateProvider {
                 return setList;
             })
             .then(setList => Promise.all(setList.map(
-                tsName => this.schemaProviders[tsName].list()
+                tsName => this._checkSignature(tsName)
+                    .then(() => this.schemaProviders[tsName].list())
                     .then(schemaList => Promise.all(schemaList.map(
                         schemaName => this.schemaProviders[tsName].fetch(schemaName)
                             .then((schemaData) => {
@@ -392,7 +220,8 @@ class FsTemplateProvider extends BaseTemplateProvider {
                 return setList;
             })
             .then(setList => Promise.all(setList.map(
-                tsName => this.dataProviders[tsName].list()
+                tsName => this._checkSignature(tsName)
+                    .then(() => this.dataProviders[tsName].list())
                     .then(dataList => Promise.all(dataList.map(
                         dataName => this.dataProviders[tsName].fetch(dataName)
                             .then((data) => {
@@ -421,19 +250,65 @@ class FsTemplateProvider extends BaseTemplateProvider {
         return Promise.reject(new Error('Set removal not implemented'));
     }
 
+    _getSetFiles(setName) {
+        const setPath = path.join(this.config_template_path, setName);
+        return new Promise((resolve, reject) => {
+            fs.readdir(setPath, (err, files) => {
+                if (err) return reject(err);
+                return resolve(files.filter(x => signing.isSignedFile(x) || x === signing.signatureFileName));
+            });
+        })
+            .then(fileNames => Promise.all(fileNames.map(fileName => new Promise((resolve, reject) => {
+                fs.readFile(path.join(setPath, fileName), (err, data) => {
+                    if (err) return reject(err);
+                    return resolve([fileName, data]);
+                });
+            }))))
+            .then(entries => entries.reduce((acc, [fileName, data]) => {
+                acc[fileName] = data;
+                return acc;
+            }, {}));
+    }
+
+    _readManifest(setName) {
+        const manifestPath = path.join(this.config_template_path, setName, setManifest.manifestFileName);
+        return new Promise((resolve, reject) => {
+            fs.readFile(manifestPath, (err, data) => {
+                if (err && err.code === 'ENOENT') return resolve(null);
+                if (err) return reject(err);
+                return resolve(data.toString('utf8'));
+            });
+        });
+    }
+
     /**
      * Create a template set package for the supplied template set ID
      *
+     * The manifest of the template set (if any) is included in the package and must be valid (see getManifest()).
+     * If a private key is given, the package is signed: a `fast.sig` file with a manifest of the sha256
+     * digest of each template, schema, and data file and a signature of the manifest is added to the package.
+     *
+     * @param {string} setName
+     * @param {string} dst - the path to write the package to
+     * @param {object} [options]
+     * @param {string|Buffer|KeyObject} [options.privateKey] - an Ed25519 or RSA private key to sign the package with
      * @returns {Promise}
      */
-    buildPackage(setName, dst) {
-        const archive = new AdmZip();
+    buildPackage(setName, dst, options) {
+        options = options || {};
         const source = `${this.config_template_path}/${setName}`;
 
-        archive.addLocalFolder(source);
-        archive.writeZip(dst);
-
-        return Promise.resolve();
+        return this.getManifest(setName)
+            .then(() => options.privateKey && this._getSetFiles(setName)
+                .then(files => signing.signTemplateSet(files, options.privateKey)))
+            .then((signature) => {
+                const archive = new AdmZip();
+                archive.addLocalFolder(source);
+                if (signature) {
+                    archive.addFile(signing.signatureFileName, Buffer.from(signature));
+                }
+                archive.writeZip(dst);
+            });
     }
 }
 /**
@@ -443,14 +318,92 @@ class FsSingleTemplateProvider extends FsTemplateProvider {
     /**
      * @param {string} templateRootPath - a path to a directory for a single template set
      * @param {object} [supportedHashes={}] - an optional map of hash values to validate against
+     * @param {object} [options] - signature verification options (see BaseTemplateProvider)
      */
-    constructor(templateRootPath, supportedHashes) {
+    constructor(templateRootPath, supportedHashes, options) {
         const templSetDir = path.resolve(templateRootPath, '..');
         const templSetName = path.basename(templateRootPath);
-        super(templSetDir, [templSetName], supportedHashes);
+        super(templSetDir, [templSetName], supportedHashes, options);
     }
 }
 
+/**
+ * Load every template set of a TemplateProvider and store it in an atg-storage DataStore
+ *
+ * Template sets that fail to load are stored with an `error` (and no templates) so the failure is visible to users.
+ * The signature file of signed template sets is stored as well, so DataStoreTemplateProvider can verify them.
+ *
+ * @param {object} datastore - an atg-storage DataStore
+ * @param {BaseTemplateProvider} provider - the TemplateProvider to load template sets from
+ * @returns {Promise}
+ */
+function importTemplateSets(datastore, provider) {
+    let promiseChain = Promise.resolve();
+
+    return Promise.resolve()
+        .then(() => provider.listSets())
+        .then(setList => Promise.all(setList.map(tsName => Promise.all([
+            provider.fetchSet(tsName),
+            provider.getSchemas(tsName),
+            provider.getDataFiles(tsName),
+            provider.getManifest(tsName),
+            provider._getSetFiles(tsName).catch(() => ({}))
+        ])
+            .then(([setTemplates, setSchemas, setDataFiles, manifest, setFiles]) => {
+                const templates = Object.entries(setTemplates).reduce((acc, curr) => {
+                    const [tmplPath, tmplData] = curr;
+                    const tmplName = tmplPath.split('/')[1];
+                    acc[tmplName] = JSON.stringify(tmplData);
+                    return acc;
+                }, {});
+                const schemas = Object.entries(setSchemas).reduce((acc, curr) => {
+                    const [schemaPath, schemaData] = curr;
+                    const schemaName = schemaPath.split('/')[1];
+                    acc[schemaName] = schemaData.data;
+                    return acc;
+                }, {});
+                const dataFiles = Object.entries(setDataFiles).reduce((acc, curr) => {
+                    const [dataPath, data] = curr;
+                    const dataName = dataPath.split('/')[1];
+                    acc[dataName] = data.data;
+                    return acc;
+                }, {});
+
+                const tsData = {
+                    name: tsName,
+                    templates,
+                    schemas,
+                    dataFiles
+                };
+                if (manifest) {
+                    tsData.manifest = manifest;
+                }
+                if (setFiles[signing.signatureFileName]) {
+                    // Keep the signature, and the manifest text it covers, so the set can be verified later
+                    tsData.signature = setFiles[signing.signatureFileName].toString();
+                    if (setFiles[setManifest.manifestFileName]) {
+                        tsData.manifestSource = setFiles[setManifest.manifestFileName].toString();
+                    }
+                }
+
+                // DataStores do not guarantee support for parallel writes
+                promiseChain = promiseChain.then(() => datastore.setItem(tsName, tsData));
+            })
+            .catch((e) => {
+                const tsData = {
+                    name: tsName,
+                    templates: {},
+                    schemas: {},
+                    dataFiles: {},
+                    error: e.message
+                };
+
+                // DataStores do not guarantee support for parallel writes
+                promiseChain = promiseChain.then(() => datastore.setItem(tsName, tsData));
+            }))))
+        .then(() => promiseChain);
+}
+
 /**
  * TemplateProvider that fetches data from an atg-storage DataStore
  */
@@ -459,9 +412,10 @@ class DataStoreTemplateProvider extends BaseTemplateProvider {
      * @param {object} datastore - an atg-storage DataStore
      * @param {string[]} [filteredSets[]] - only load template sets in this list (or all if list is empty)
      * @param {object} [supportedHashes={}] - an optional map of hash values to validate against
+     * @param {object} [options] - signature verification options (see BaseTemplateProvider)
      */
-    constructor(datastore, filteredSets, supportedHashes) {
-        super(supportedHashes);
+    constructor(datastore, filteredSets, supportedHashes, options) {
+        super(supportedHashes, options);
         this.filteredSets = new Set(filteredSets || []);
         this.storage = datastore;
         this.keyCache = [];
@@ -491,10 +445,14 @@ class DataStoreTemplateProvider extends BaseTemplateProvider {
 
     /**
      * Clear any cache associated with this provider
+     *
+     * @param {string} [key] - only remove the cached template with this key
      */
-    invalidateCache() {
-        super.invalidateCache();
-        this.keyCache = [];
+    invalidateCache(key) {
+        super.invalidateCache(key);
+        if (typeof key === 'undefined') {
+            this.keyCache = [];
+        }
     }
 
     /**
@@ -569,7 +527,8 @@ class DataStoreTemplateProvider extends BaseTemplateProvider {
                 }
                 return this.listSets();
             })
-            .then(setNames => Promise.all(setNames.map(x => this.storage.getItem(x))))
+            .then(setNames => Promise.all(setNames.map(x => this._checkSignature(x)
+                .then(() => this.storage.getItem(x)))))
             .then(setData => setData.filter(x => x))
             .then(setData => setData.reduce((acc, curr) => {
                 const tsName = curr.name;
@@ -602,7 +561,8 @@ class DataStoreTemplateProvider extends BaseTemplateProvider {
                 }
                 return this.listSets();
             })
-            .then(setNames => Promise.all(setNames.map(x => this.storage.getItem(x))))
+            .then(setNames => Promise.all(setNames.map(x => this._checkSignature(x)
+                .then(() => this.storage.getItem(x)))))
             .then(setData => setData.filter(x => x))
             .then(setData => setData.reduce((acc, curr) => {
                 const tsName = curr.name;
@@ -621,6 +581,59 @@ class DataStoreTemplateProvider extends BaseTemplateProvider {
             }, {}));
     }
 
+    /**
+     * Rebuild the signed files of a template set from the stored templates (using their source text),
+     * schemas, data files, and manifest
+     */
+    _getSetFiles(setName) {
+        return this.storage.getItem(setName)
+            .then((tsData) => {
+                if (!tsData) {
+                    return Promise.reject(new Error(`Could not find template set "${setName}" in data store`));
+                }
+
+                const files = {};
+                let signedFileNames = [];
+                if (tsData.signature) {
+                    files[signing.signatureFileName] = tsData.signature;
+                    try {
+                        signedFileNames = Object.keys(JSON.parse(JSON.parse(tsData.signature).manifest).files);
+                    } catch (e) {
+                        // verifySet() reports the invalid signature file
+                    }
+                }
+
+                Object.keys(tsData.templates).forEach((tmplName) => {
+                    const tmpl = JSON.parse(tsData.templates[tmplName]);
+                    const fileNames = ((tmpl.sourceType === 'MST') ? ['.mst'] : ['.yaml', '.yml'])
+                        .map(ext => `${tmplName}${ext}`);
+                    const fileName = fileNames.find(x => signedFileNames.includes(x)) || fileNames[0];
+                    files[fileName] = tmpl.sourceText;
+                });
+                Object.keys(tsData.schemas).forEach((schemaName) => {
+                    files[`${schemaName}.json`] = tsData.schemas[schemaName];
+                });
+                Object.keys(tsData.dataFiles || {}).forEach((dataName) => {
+                    files[`${dataName}.data`] = tsData.dataFiles[dataName];
+                });
+                if (tsData.manifestSource) {
+                    files[setManifest.manifestFileName] = tsData.manifestSource;
+                }
+                return files;
+            });
+    }
+
+    /**
+     * Get the manifest of a template set (as stored when the template set was imported)
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an object (or `null` if the template set has no manifest)
+     */
+    getManifest(setName) {
+        return this.storage.getItem(setName)
+            .then(tsData => (tsData && tsData.manifest) || null);
+    }
+
     /**
      * Create a new DataStoreTemplateProvider by searching the file system for template sets
      *
@@ -630,59 +643,19 @@ class DataStoreTemplateProvider extends BaseTemplateProvider {
      */
     static fromFs(datastore, templateRootPath, filteredSets) {
         filteredSets = new Set(filteredSets || []);
-        const fsprovider = new FsTemplateProvider(templateRootPath, filteredSets);
-        let promiseChain = Promise.resolve();
-
-        return Promise.resolve()
-            .then(() => fsprovider.listSets())
-            .then(setList => Promise.all(setList.map(tsName => Promise.all([
-                fsprovider.fetchSet(tsName),
-                fsprovider.getSchemas(tsName),
-                fsprovider.getDataFiles(tsName)
-            ])
-                .then(([setTemplates, setSchemas, setDataFiles]) => {
-                    const templates = Object.entries(setTemplates).reduce((acc, curr) => {
-                        const [tmplPath, tmplData] = curr;
-                        const tmplName = tmplPath.split('/')[1];
-                        acc[tmplName] = JSON.stringify(tmplData);
-                        return acc;
-                    }, {});
-                    const schemas = Object.entries(setSchemas).reduce((acc, curr) => {
-                        const [schemaPath, schemaData] = curr;
-                        const schemaName = schemaPath.split('/')[1];
-                        acc[schemaName] = schemaData.data;
-                        return acc;
-                    }, {});
-                    const dataFiles = Object.entries(setDataFiles).reduce((acc, curr) => {
-                        const [dataPath, data] = curr;
-                        const dataName = dataPath.split('/')[1];
-                        acc[dataName] = data.data;
-                        return acc;
-                    }, {});
-
-                    const tsData = {
-                        name: tsName,
-                        templates,
-                        schemas,
-                        dataFiles
-                    };
-
-                    // DataStores do not guarantee support for parallel writes
-                    promiseChain = promiseChain.then(() => datastore.setItem(tsName, tsData));
-                })
-                .catch((e) => {
-                    const tsData = {
-                        name: tsName,
-                        templates: {},
-                        schemas: {},
-                        dataFiles: {},
-                        error: e.message
-                    };
+        return importTemplateSets(datastore, new FsTemplateProvider(templateRootPath, filteredSets));
+    }
 
-                    // DataStores do not guarantee support for parallel writes
-                    promiseChain = promiseChain.then(() => datastore.setItem(tsName, tsData));
-                }))))
-            .then(() => promiseChain);
+    /**
+     * Create a new DataStoreTemplateProvider by importing a template set package (see buildPackage())
+     *
+     * @param {object} datastore - an atg-storage DataStore
+     * @param {string|Buffer} zipSource - a path to the package or its contents
+     * @param {object} [options] - the `name` of the template set and signature verification options
+     *     (see ZipTemplateProvider)
+     */
+    static fromZip(datastore, zipSource, options) {
+        return importTemplateSets(datastore, new ZipTemplateProvider(zipSource, options));
     }
 }
 
@@ -693,9 +666,10 @@ class CompositeTemplateProvider extends BaseTemplateProvider {
     /**
      * @param {BaseTemplateProvider[]} providers - an array of template providers
      * @param {object} [supportedHashes={}] - an optional map of hash values to validate against
+     * @param {object} [options] - see BaseTemplateProvider
      */
-    constructor(providers, supportedHashes) {
-        super(supportedHashes);
+    constructor(providers, supportedHashes, options) {
+        super(supportedHashes, options);
         this.providers = providers;
     }
 
@@ -803,12 +777,25 @@ class CompositeTemplateProvider extends BaseTemplateProvider {
             .then(data => Object.assign({}, ...data));
     }
 
+    /**
+     * Get the manifest of a template set from the first provider that has the template set
+     *
+     * @param {string} setName
+     * @returns {Promise} Promise resolves to an object (or `null` if the template set has no manifest)
+     */
+    getManifest(setName) {
+        return this._getProviderForSet(setName)
+            .then(provider => provider.getManifest(setName));
+    }
+
     /**
      * Clear any cache associated with this provider
+     *
+     * @param {string} [key] - only remove the cached template with this key
      */
-    invalidateCache() {
-        super.invalidateCache();
-        this.providers.forEach(provider => provider.invalidateCache());
+    invalidateCache(key) {
+        super.invalidateCache(key);
+        this.providers.forEach(provider => provider.invalidateCache(key));
     }
 }
 
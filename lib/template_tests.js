@@ -0,0 +1,519 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('js-yaml');
+
+const { FsTemplateProvider } = require('./template_provider');
+const {
+    diffObjects, diffLines, formatLineDiff, formatPatch
+} = require('./diff');
+
+const paramsSuffixes = ['.params.yaml', '.params.yml', '.params.json'];
+
+// Checked in order, the first one found is used
+const expectedSuffixes = [
+    { suffix: '.expected.json', type: 'structured' },
+    { suffix: '.expected.yaml', type: 'structured' },
+    { suffix: '.expected.txt', type: 'text' },
+    { suffix: '.errors.yaml', type: 'errors' }
+];
+
+const readDir = dirPath => new Promise((resolve, reject) => {
+    fs.readdir(dirPath, { withFileTypes: true }, (err, entries) => {
+        if (err && err.code === 'ENOENT') return resolve([]);
+        if (err) return reject(err);
+        return resolve(entries);
+    });
+});
+
+const readFile = filePath => new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (err, data) => {
+        if (err) return reject(err);
+        return resolve(data);
+    });
+});
+
+const readOptionalFile = filePath => new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (err, data) => {
+        if (err && err.code === 'ENOENT') return resolve(null);
+        if (err) return reject(err);
+        return resolve(data);
+    });
+});
+
+const writeFile = (filePath, data) => new Promise((resolve, reject) => {
+    fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) return reject(mkdirErr);
+        return fs.writeFile(filePath, data, (err) => {
+            if (err) return reject(err);
+            return resolve();
+        });
+    });
+});
+
+const removeFile = filePath => new Promise((resolve, reject) => {
+    fs.unlink(filePath, (err) => {
+        if (err) return reject(err);
+        return resolve();
+    });
+});
+
+const snapshotsDirName = '__snapshots__';
+const snapshotSuffix = '.snap.yaml';
+
+// Editors tend to add a final newline to expected output files
+const stripFinalNewline = text => text.replace(/\r?\n$/, '');
+
+/**
+ * Find the test fixtures of a template set
+ *
+ * Fixtures live in a `tests` directory of the template set with a directory per template:
+ *
+ * - `tests/<template>/<case>.params.yaml` (or `.params.json`): the parameters to render the template with
+ * - `tests/<template>/<case>.expected.json` (or `.expected.yaml`): the expected output, compared structurally
+ * - `tests/<template>/<case>.expected.txt`: the expected output, compared as text
+ * - `tests/<template>/<case>.errors.yaml`: a list of validation error messages rendering is expected to fail with
+ *
+ * @param {string} tsPath - path to the template set directory
+ * @param {object} [options]
+ * @param {string} [options.testsDir='<tsPath>/tests'] - path to the directory containing the fixtures
+ * @returns {Promise} Promise resolves to an array of fixtures (sorted by template and case name)
+ */
+function discoverFixtures(tsPath, options) {
+    options = options || {};
+    const testsDir = options.testsDir || path.join(tsPath, 'tests');
+    const tsName = path.basename(path.resolve(tsPath));
+
+    return readDir(testsDir)
+        .then(entries => Promise.all(entries
+            .filter(entry => entry.isDirectory() && entry.name !== snapshotsDirName)
+            .map(entry => entry.name)
+            .sort()
+            .map(tmplName => readDir(path.join(testsDir, tmplName))
+                .then(files => files.map(x => x.name))
+                .then(fileNames => fileNames
+                    .map(fileName => ({
+                        fileName,
+                        suffix: paramsSuffixes.find(suffix => fileName.endsWith(suffix))
+                    }))
+                    .filter(x => x.suffix)
+                    .map(({ fileName, suffix }) => fileName.slice(0, -suffix.length))
+                    .sort()
+                    .map((caseName) => {
+                        const fixtureDir = path.join(testsDir, tmplName);
+                        const paramsFile = paramsSuffixes
+                            .map(suffix => `${caseName}${suffix}`)
+                            .find(fileName => fileNames.includes(fileName));
+                        const expected = expectedSuffixes
+                            .find(x => fileNames.includes(`${caseName}${x.suffix}`));
+                        return {
+                            name: `${tmplName}/${caseName}`,
+                            template: `${tsName}/${tmplName}`,
+                            case: caseName,
+                            paramsFile: path.join(fixtureDir, paramsFile),
+                            expectedFile: (expected) ? path.join(fixtureDir, `${caseName}${expected.suffix}`) : null,
+                            expectedType: (expected) ? expected.type : null
+                        };
+                    })))))
+        .then(fixtures => fixtures.reduce((acc, curr) => acc.concat(curr), []));
+}
+
+/**
+ * Check the result of rendering a fixture against its expected output
+ *
+ * @param {object} fixture - a fixture from discoverFixtures()
+ * @param {string} rendered - the rendered output (if rendering succeeded)
+ * @param {Error} renderError - the error thrown while rendering (if rendering failed)
+ * @param {string} expectedText - the contents of the expected output file
+ * @returns {string} the reason the fixture failed or `null` if it passed
+ */
+function checkFixture(fixture, rendered, renderError, expectedText) {
+    if (fixture.expectedType === 'errors') {
+        if (!renderError) {
+            return 'expected rendering to fail validation but it succeeded';
+        }
+        if (!renderError.validationErrors) {
+            return `expected rendering to fail validation but it failed with: ${renderError.message}`;
+        }
+        const expectedMessages = yaml.load(expectedText) || [];
+        const actualMessages = renderError.validationErrors.map(x => x.message);
+        const missing = expectedMessages.filter(x => !actualMessages.includes(x));
+        const unexpected = actualMessages.filter(x => !expectedMessages.includes(x));
+        if (missing.length === 0 && unexpected.length === 0) {
+            return null;
+        }
+        return []
+            .concat(missing.map(x => `missing validation error: ${x}`))
+            .concat(unexpected.map(x => `unexpected validation error: ${x}`))
+            .join('\n');
+    }
+
+    if (renderError) {
+        const details = (renderError.validationErrors)
+            ? `\n${renderError.validationErrors.map(x => x.message).join('\n')}`
+            : '';
+        return `failed to render template: ${renderError.message}${details}`;
+    }
+
+    if (fixture.expectedType === 'structured') {
+        let actual;
+        try {
+            actual = yaml.load(rendered);
+        } catch (e) {
+            return `rendered output could not be parsed: ${e.message}`;
+        }
+        const expected = yaml.load(expectedText);
+        const patch = diffObjects(expected, actual);
+        return (patch.length === 0) ? null : `rendered output does not match:\n${formatPatch(patch, expected)}`;
+    }
+
+    const changes = diffLines(stripFinalNewline(expectedText), stripFinalNewline(rendered));
+    return (changes.every(x => x.type === 'equal'))
+        ? null
+        : `rendered output does not match:\n${formatLineDiff(changes)}`;
+}
+
+/**
+ * Render a fixture and check the result against its expected output
+ *
+ * @param {BaseTemplateProvider} templateProvider - the provider to load the fixture's template from
+ * @param {object} fixture - a fixture from discoverFixtures()
+ * @returns {Promise} Promise resolves to a test result
+ */
+function runFixture(templateProvider, fixture) {
+    const start = Date.now();
+    const result = {
+        name: fixture.name,
+        template: fixture.template,
+        case: fixture.case,
+        passed: false
+    };
+
+    return Promise.resolve()
+        .then(() => {
+            if (!fixture.expectedFile) {
+                return Promise.reject(new Error('no expected output file found'));
+            }
+            return Promise.all([
+                templateProvider.fetch(fixture.template)
+                    .catch(e => Promise.reject(new Error(`failed to load template: ${e.message}`))),
+                readFile(fixture.paramsFile).then(data => yaml.load(data) || {}),
+                readFile(fixture.expectedFile)
+            ]);
+        })
+        .then(([tmpl, parameters, expectedText]) => {
+            let rendered = null;
+            let renderError = null;
+            try {
+                rendered = tmpl.render(parameters);
+            } catch (e) {
+                renderError = e;
+            }
+            const failure = checkFixture(fixture, rendered, renderError, expectedText);
+            if (failure) {
+                result.message = failure;
+            } else {
+                result.passed = true;
+            }
+        })
+        .catch((e) => {
+            result.message = e.message;
+        })
+        .then(() => {
+            result.duration = Date.now() - start;
+            return result;
+        });
+}
+
+/**
+ * Run the fixture tests of a template set (see discoverFixtures())
+ *
+ * The result has the `setName`, the number of `passed` and `failed` tests, and the list of `tests`.
+ * Each test has a `name` (`<template>/<case>`), `template`, `case`, `passed` flag, `duration` in
+ * milliseconds, and a `message` explaining the failure (if any).
+ *
+ * @param {string} tsPath - path to the template set directory
+ * @param {object} [options]
+ * @param {string} [options.testsDir='<tsPath>/tests'] - path to the directory containing the fixtures
+ * @param {BaseTemplateProvider} [options.templateProvider] - the provider to load templates from
+ *     (defaults to an FsTemplateProvider for the template set)
+ * @returns {Promise} Promise resolves to an object
+ */
+function runTests(tsPath, options) {
+    options = options || {};
+    const setName = path.basename(path.resolve(tsPath));
+    const templateProvider = options.templateProvider
+        || new FsTemplateProvider(path.dirname(path.resolve(tsPath)), [setName]);
+
+    return discoverFixtures(tsPath, options)
+        .then(fixtures => fixtures.reduce(
+            // Run one fixture at a time so durations are meaningful
+            (promise, fixture) => promise.then(results => runFixture(templateProvider, fixture)
+                .then(result => results.concat(result))),
+            Promise.resolve([])
+        ))
+        .then(tests => ({
+            setName,
+            passed: tests.filter(x => x.passed).length,
+            failed: tests.filter(x => !x.passed).length,
+            tests
+        }));
+}
+
+const renderSnapshot = (tmpl, parameters) => {
+    try {
+        return { rendered: tmpl.render(parameters) };
+    } catch (e) {
+        if (e.validationErrors) {
+            return { validationErrors: e.validationErrors.map(x => x.message) };
+        }
+        return { error: e.message };
+    }
+};
+
+const dumpSnapshots = snapshots => yaml.dump(snapshots, { lineWidth: -1, noRefs: true });
+
+const diffSnapshot = (expected, actual) => {
+    const changes = (typeof expected.rendered === 'string' && typeof actual.rendered === 'string')
+        ? diffLines(expected.rendered, actual.rendered)
+        : diffLines(dumpSnapshots(expected), dumpSnapshots(actual));
+    return formatLineDiff(changes);
+};
+
+/**
+ * Render the snapshots of a template
+ *
+ * Snapshots are keyed by the parameters used: `defaults` for the template's default parameters,
+ * `example:<name>` for each of the template's named examples, and `fixture:<case>` for the parameters of
+ * each test fixture (see discoverFixtures()). Each snapshot has
+ * either the `rendered` output, the `validationErrors` messages, or the `error` message of a failed render.
+ *
+ * @param {Template} tmpl
+ * @param {object[]} fixtures - the template's fixtures from discoverFixtures()
+ * @returns {Promise} Promise resolves to an object
+ */
+function renderSnapshots(tmpl, fixtures) {
+    return Promise.all(fixtures.map(fixture => readFile(fixture.paramsFile)
+        .then(data => [`fixture:${fixture.case}`, yaml.load(data) || {}])))
+        .then(paramSets => [['defaults', {}]]
+            .concat(Object.keys(tmpl.parameterExamples || {})
+                .map(name => [`example:${name}`, tmpl.parameterExamples[name]]))
+            .concat(paramSets)
+            .reduce((acc, [snapshotName, parameters]) => {
+                acc[snapshotName] = renderSnapshot(tmpl, parameters);
+                return acc;
+            }, {}));
+}
+
+/**
+ * Compare the rendered output of each template in a template set with its stored snapshots
+ *
+ * Snapshots are stored in `tests/__snapshots__/<template>.snap.yaml` (see renderSnapshots()). A template
+ * without a snapshot file, a snapshot that changed, or a snapshot that is no longer rendered fails.
+ * With the `update` option, the snapshot files are rewritten (and those of removed templates deleted)
+ * instead, and the names of the files are reported as `written` and `removed`.
+ *
+ * The result has the same form as the result of runTests() with a test for each snapshot
+ * (named `<template>/<snapshot>`) or for each template without a snapshot file.
+ *
+ * @param {string} tsPath - path to the template set directory
+ * @param {object} [options]
+ * @param {boolean} [options.update=false] - rewrite the snapshots instead of comparing them
+ * @param {string} [options.testsDir='<tsPath>/tests'] - path to the directory containing the fixtures
+ *     (snapshots are stored in its `__snapshots__` directory)
+ * @param {BaseTemplateProvider} [options.templateProvider] - the provider to load templates from
+ *     (defaults to an FsTemplateProvider for the template set)
+ * @returns {Promise} Promise resolves to an object
+ */
+function runSnapshots(tsPath, options) {
+    options = options || {};
+    const setName = path.basename(path.resolve(tsPath));
+    const templateProvider = options.templateProvider
+        || new FsTemplateProvider(path.dirname(path.resolve(tsPath)), [setName]);
+    const snapshotsDir = path.join(options.testsDir || path.join(tsPath, 'tests'), snapshotsDirName);
+    const written = [];
+    const removed = [];
+
+    const checkTemplate = (tmplPath, fixtures) => {
+        const start = Date.now();
+        const tmplName = tmplPath.split('/')[1];
+        const snapshotFile = path.join(snapshotsDir, `${tmplName}${snapshotSuffix}`);
+        const makeTest = (snapshotName, message) => {
+            const test = {
+                name: (snapshotName) ? `${tmplName}/${snapshotName}` : tmplName,
+                template: tmplPath,
+                case: snapshotName || tmplName,
+                passed: !message,
+                duration: Date.now() - start
+            };
+            if (message) {
+                test.message = message;
+            }
+            return test;
+        };
+
+        return Promise.all([
+            templateProvider.fetch(tmplPath)
+                .then(tmpl => renderSnapshots(tmpl, fixtures.filter(x => x.template === tmplPath))),
+            readOptionalFile(snapshotFile)
+        ])
+            .then(([actual, snapshotText]) => {
+                const actualText = dumpSnapshots(actual);
+                if (options.update) {
+                    // Unchanged snapshot files are left alone
+                    const write = (actualText === snapshotText)
+                        ? Promise.resolve()
+                        : writeFile(snapshotFile, actualText).then(() => written.push(snapshotFile));
+                    return write.then(() => Object.keys(actual).map(snapshotName => makeTest(snapshotName)));
+                }
+                if (snapshotText === null) {
+                    return [makeTest(null, 'no snapshot found (run with update to create it)')];
+                }
+
+                const expected = yaml.load(snapshotText) || {};
+                return Object.keys(actual)
+                    .map((snapshotName) => {
+                        if (!expected[snapshotName]) {
+                            return makeTest(snapshotName, 'snapshot not found (run with update to add it)');
+                        }
+                        const changes = diffSnapshot(expected[snapshotName], actual[snapshotName]);
+                        return makeTest(snapshotName, (changes === '') ? null : `snapshot does not match:\n${changes}`);
+                    })
+                    .concat(Object.keys(expected)
+                        .filter(snapshotName => !actual[snapshotName])
+                        .map(snapshotName => makeTest(
+                            snapshotName,
+                            'snapshot is obsolete (run with update to remove it)'
+                        )));
+            })
+            .catch(e => [makeTest(null, `failed to render snapshots: ${e.message}`)]);
+    };
+
+    return Promise.all([
+        templateProvider.list(setName),
+        discoverFixtures(tsPath, options)
+    ])
+        .then(([tmplList, fixtures]) => tmplList.sort().reduce(
+            (promise, tmplPath) => promise.then(results => checkTemplate(tmplPath, fixtures)
+                .then(tests => results.concat(tests))),
+            Promise.resolve([])
+        )
+            .then((tests) => {
+                if (!options.update) {
+                    return tests;
+                }
+                const tmplNames = tmplList.map(x => x.split('/')[1]);
+                return readDir(snapshotsDir)
+                    .then(entries => entries
+                        .map(entry => entry.name)
+                        .filter(fileName => fileName.endsWith(snapshotSuffix)
+                            && !tmplNames.includes(fileName.slice(0, -snapshotSuffix.length)))
+                        .map(fileName => path.join(snapshotsDir, fileName)))
+                    .then(obsolete => Promise.all(obsolete.map(filePath => removeFile(filePath)
+                        .then(() => removed.push(filePath)))))
+                    .then(() => tests);
+            }))
+        .then((tests) => {
+            const results = {
+                setName,
+                passed: tests.filter(x => x.passed).length,
+                failed: tests.filter(x => !x.passed).length,
+                tests
+            };
+            if (options.update) {
+                results.written = written.sort();
+                results.removed = removed.sort();
+            }
+            return results;
+        });
+}
+
+/**
+ * Format the result of runTests() or runSnapshots() as TAP (Test Anything Protocol) version 13
+ *
+ * @param {object} results
+ * @returns {string}
+ */
+function formatTap(results) {
+    const lines = ['TAP version 13', `1..${results.tests.length}`];
+    results.tests.forEach((test, idx) => {
+        lines.push(`${(test.passed) ? 'ok' : 'not ok'} ${idx + 1} - ${test.name}`);
+        if (!test.passed) {
+            lines.push('  ---');
+            lines.push(yaml.dump({ message: test.message }, { lineWidth: -1 }).trimEnd().replace(/^/gm, '  '));
+            lines.push('  ...');
+        }
+    });
+    lines.push(`# pass ${results.passed}`);
+    lines.push(`# fail ${results.failed}`);
+    return lines.join('\n');
+}
+
+const escapeXml = text => `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toSeconds = ms => (ms / 1000).toFixed(3);
+
+/**
+ * Format the result of runTests() or runSnapshots() as JUnit XML
+ *
+ * @param {object} results
+ * @returns {string}
+ */
+function formatJUnit(results) {
+    const totalTime = toSeconds(results.tests.reduce((acc, curr) => acc + curr.duration, 0));
+    const counts = `tests="${results.tests.length}" failures="${results.failed}" time="${totalTime}"`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${counts}>`,
+        `  <testsuite name="${escapeXml(results.setName)}" ${counts}>`
+    ];
+    results.tests.forEach((test) => {
+        const attrs = [
+            `classname="${escapeXml(test.template)}"`,
+            `name="${escapeXml(test.case)}"`,
+            `time="${toSeconds(test.duration)}"`
+        ].join(' ');
+        if (test.passed) {
+            lines.push(`    <testcase ${attrs}/>`);
+            return;
+        }
+        const summary = test.message.split('\n')[0];
+        lines.push(`    <testcase ${attrs}>`);
+        lines.push(`      <failure message="${escapeXml(summary)}">${escapeXml(test.message)}</failure>`);
+        lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+module.exports = {
+    discoverFixtures,
+    runFixture,
+    runTests,
+    renderSnapshots,
+    runSnapshots,
+    formatTap,
+    formatJUnit
+};
@@ -0,0 +1,216 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const AdmZip = require('adm-zip');
+
+const {
+    ContentsApiTemplateProvider,
+    ContentsApiSchemaProvider,
+    ContentsApiDataProvider
+} = require('./contents_api_provider');
+const { manifestFileName, parseManifest } = require('./set_manifest');
+
+const manifestName = (data) => {
+    try {
+        return parseManifest(data.toString('utf8')).name;
+    } catch (e) {
+        // Invalid manifests are reported when the manifest is loaded
+        return null;
+    }
+};
+
+/**
+ * Serves directory listings and file contents from a template set package (as created by buildPackage())
+ *
+ * Implements the contents API interface (see contents_api_provider.js). The package holds a single template
+ * set with its files at the root of the archive. Archives that instead keep the files in a single top-level
+ * directory (e.g., made by zipping the template set directory) are also accepted.
+ *
+ * The template set is named (in order of preference) by the `name` option, the name in its manifest
+ * (`fast-set.yaml`), the top-level directory, or the package file name without its extension.
+ */
+class ZipPackageApi {
+    /**
+     * @param {string|Buffer} source - a path to the package or its contents
+     * @param {object} [options]
+     * @param {string} [options.name] - name of the template set
+     */
+    constructor(source, options) {
+        options = options || {};
+        this.source = source;
+        this.name = options.name;
+        this._package = null;
+    }
+
+    /**
+     * Packages are not versioned, so there is never a commit to report
+     *
+     * @returns {Promise} Promise resolves to `null`
+     */
+    resolveRef() {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Drop the loaded package so the next request reads the package file again
+     */
+    invalidate() {
+        if (typeof this.source === 'string') {
+            this._package = null;
+        }
+    }
+
+    _loadPackage() {
+        if (!this._package) {
+            const sourceName = (typeof this.source === 'string') ? this.source : 'buffer';
+            this._package = Promise.resolve()
+                .then(() => new AdmZip(this.source).getEntries())
+                .catch(e => Promise.reject(new Error(`failed to read package ${sourceName}: ${e.message}`)))
+                .then((entries) => {
+                    const fileEntries = entries.filter(entry => !entry.isDirectory);
+                    const topDirs = new Set(fileEntries.map(entry => entry.entryName.split('/')[0]));
+                    const topDir = (
+                        topDirs.size === 1 && fileEntries.every(entry => entry.entryName.includes('/'))
+                    ) ? Array.from(topDirs)[0] : null;
+
+                    const files = new Map();
+                    const prefix = (topDir) ? `${topDir}/` : '';
+                    fileEntries
+                        .map(entry => ({ entry, fileName: entry.entryName.slice(prefix.length) }))
+                        // Only files directly in the template set directory are part of the template set
+                        .filter(x => !x.fileName.includes('/'))
+                        .forEach(({ entry, fileName }) => {
+                            files.set(fileName, entry.getData());
+                        });
+
+                    let setName = this.name
+                        || (files.has(manifestFileName) && manifestName(files.get(manifestFileName)))
+                        || topDir;
+                    if (!setName && typeof this.source === 'string') {
+                        setName = path.basename(this.source, path.extname(this.source));
+                    }
+                    if (!setName) {
+                        return Promise.reject(new Error(
+                            'failed to read package buffer: a template set name is required'
+                        ));
+                    }
+
+                    return { setName, files };
+                })
+                .catch((e) => {
+                    this._package = null;
+                    return Promise.reject(e);
+                });
+        }
+        return this._package;
+    }
+
+    getContentsByType(dir, type) {
+        const dirPath = dir.replace(/^\//, '');
+        return this._loadPackage()
+            .then((pkg) => {
+                if (dirPath === '') {
+                    return (type === 'dir') ? [pkg.setName] : [];
+                }
+                if (dirPath !== pkg.setName) {
+                    return Promise.reject(new Error(`failed to get items for ${dir}: 404: Not Found`));
+                }
+                return (type === 'file') ? Array.from(pkg.files.keys()).sort() : [];
+            });
+    }
+
+    getContentsData(contentPath) {
+        return this._loadPackage()
+            .then((pkg) => {
+                const parts = contentPath.replace(/^\//, '').split('/');
+                const data = (parts.length === 2 && parts[0] === pkg.setName) ? pkg.files.get(parts[1]) : null;
+                if (!data) {
+                    return Promise.reject(new Error(`failed to get contents for ${contentPath}: 404: Not Found`));
+                }
+                return data.toString('utf8');
+            });
+    }
+}
+
+/**
+ * SchemaProvider that reads data from a template set package
+ *
+ * Accepts the same arguments as ContentsApiSchemaProvider with the package as the source and the
+ * options of ZipTemplateProvider.
+ */
+class ZipSchemaProvider extends ContentsApiSchemaProvider {
+    _createContentsApi(source, options) {
+        return new ZipPackageApi(source, options);
+    }
+}
+
+/**
+ * DataProvider that reads data from a template set package
+ *
+ * Accepts the same arguments as ContentsApiDataProvider with the package as the source and the
+ * options of ZipTemplateProvider.
+ */
+class ZipDataProvider extends ContentsApiDataProvider {
+    _createContentsApi(source, options) {
+        return new ZipPackageApi(source, options);
+    }
+}
+
+/**
+ * TemplateProvider that reads templates, schema, and data files from a template set package
+ *
+ * The package is read on first use and kept in memory (a package file is read again after invalidateCache()).
+ */
+class ZipTemplateProvider extends ContentsApiTemplateProvider {
+    /**
+     * @param {string|Buffer} source - a path to the package (e.g., as created by buildPackage()) or its contents
+     * @param {object} [options]
+     * @param {string} [options.name] - name of the template set (defaults to the name in its manifest, the
+     *     top-level directory of the package, or the package file name without its extension; required for
+     *     buffers without a manifest or top-level directory)
+     * @param {string[]} [options.filteredSets] - only load template sets in this list (or all if list is empty)
+     * @param {object} [options.supportedHashes] - an optional map of hash values to validate against
+     * @param {Array} [options.trustedKeys] - public keys to accept template set signatures from
+     * @param {boolean} [options.strictSignatures=false] - only load template sets signed by a trusted key
+     */
+    constructor(source, options) {
+        source = (typeof source === 'string') ? path.resolve(source) : source;
+        super(source, options);
+        this.source = source;
+    }
+
+    _createContentsApi(source, options) {
+        return new ZipPackageApi(source, options);
+    }
+
+    _createSchemaProvider(tsName) {
+        return new ZipSchemaProvider(this.source, tsName, { contentsApi: this._contentsApi });
+    }
+
+    _createDataProvider(tsName) {
+        return new ZipDataProvider(this.source, tsName, { contentsApi: this._contentsApi });
+    }
+}
+
+module.exports = {
+    ZipPackageApi,
+    ZipTemplateProvider,
+    ZipSchemaProvider,
+    ZipDataProvider
+};
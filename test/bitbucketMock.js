@@ -0,0 +1,87 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const nock = require('nock');
+
+/**
+ * Mock the Bitbucket Server REST API for the given repository (`PROJECT/repo`) with the files in filesPath
+ *
+ * Requests for the default branch (no `at` parameter) and the commit SHAs in `options.commits` are served
+ * from filesPath. Branch names in `options.commits` resolve to the given commit SHAs.
+ */
+function nockBitbucketServerAPI(baseUrl, repo, filesPath, options) {
+    options = options || {};
+    const commits = options.commits || {};
+    const [projectKey, repoSlug] = repo.split('/');
+    const repoPath = `/rest/api/1.0/projects/${projectKey}/repos/${repoSlug}`;
+
+    const notFound = message => [404, { errors: [{ message }] }];
+
+    nock(baseUrl, {
+        reqheaders: {
+            authorization: 'Bearer secret'
+        }
+    })
+        .persist()
+        .get(uri => uri.startsWith(repoPath))
+        .reply((uri) => {
+            const reqUrl = new URL(uri, baseUrl);
+            const reqPath = decodeURIComponent(reqUrl.pathname.slice(repoPath.length));
+            const at = reqUrl.searchParams.get('at');
+
+            const commitMatch = reqPath.match(/^\/commits\/(.*)$/);
+            if (commitMatch) {
+                const sha = commits[commitMatch[1]];
+                return (sha) ? [200, { id: sha }] : notFound(`Commit '${commitMatch[1]}' does not exist`);
+            }
+
+            if (at !== null && !Object.values(commits).includes(at)) {
+                return notFound(`Commit '${at}' does not exist`);
+            }
+
+            const browseMatch = reqPath.match(/^\/browse\/?(.*)$/);
+            if (browseMatch) {
+                const dirPath = path.join(filesPath, browseMatch[1]);
+                if (!fs.existsSync(dirPath) || !fs.lstatSync(dirPath).isDirectory()) {
+                    return notFound(`The path "${browseMatch[1]}" does not exist`);
+                }
+                const values = fs.readdirSync(dirPath, { withFileTypes: true })
+                    .map(x => ({
+                        path: { name: x.name, toString: x.name },
+                        type: (x.isDirectory()) ? 'DIRECTORY' : 'FILE'
+                    }));
+                return [200, { children: { values, isLastPage: true } }];
+            }
+
+            const rawMatch = reqPath.match(/^\/raw\/(.*)$/);
+            if (rawMatch) {
+                const filePath = path.join(filesPath, rawMatch[1]);
+                if (!fs.existsSync(filePath)) {
+                    return notFound(`The path "${rawMatch[1]}" does not exist`);
+                }
+                return [200, fs.readFileSync(filePath, 'utf8'), { 'Content-Type': 'text/plain' }];
+            }
+
+            return notFound('Not Found');
+        });
+}
+
+module.exports = {
+    nockBitbucketServerAPI
+};
@@ -19,11 +19,14 @@
 
 'use strict';
 
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const assert = require('assert');
+const crypto = require('crypto');
+
+const { ZipTemplateProvider } = require('../lib/zip_provider');
 
 const templateSetDir = path.join(__dirname, 'templatesets', 'test');
 const templateSimplePath = path.join(templateSetDir, 'simple.yaml');
@@ -76,6 +79,7 @@ describe('CLI tests', function () {
                 .catch((e) => {
                     console.log(e);
                     assert.match(e.stderr, /failed to load template/);
+                    assert.match(e.stderr, /invalid\.yaml:2:11: invalid template text: Unclosed tag/);
                 });
         });
         it('should support JSON output', async function () {
@@ -91,6 +95,8 @@ describe('CLI tests', function () {
                     const output = JSON.parse(e.stdout);
                     console.log(output);
                     assert.match(output.error, /failed to load template/);
+                    assert.strictEqual(output.validationErrors[0].line, 2);
+                    assert.strictEqual(output.validationErrors[0].column, 11);
                 });
         });
     });
@@ -221,6 +227,114 @@ describe('CLI tests', function () {
                     );
                 });
         });
+        it('should render a named example', async function () {
+            const { stdout } = await executeCommand(`render --example greeting ${templateSimplePath}`);
+            assert.strictEqual(stdout.trim(), 'hello');
+        });
+        it('should fail on an unknown example', function () {
+            return executeCommand(`render --example missing ${templateSimplePath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /template has no example named "missing" \(available: greeting\)/);
+                });
+        });
+    });
+    describe('sample', function () {
+        it('should output sample parameters', async function () {
+            const { stdout } = await executeCommand(`sample ${templateSetDir}/complex.yml`);
+            const sample = JSON.parse(stdout);
+            assert.strictEqual(sample.title, 'My Chat Window');
+            assert.strictEqual(sample.skip_section, false);
+        });
+        it('should only output required parameters in minimal mode', async function () {
+            const { stdout } = await executeCommand(`sample --mode minimal ${templateSetDir}/complex.yml`);
+            assert.deepStrictEqual(Object.keys(JSON.parse(stdout)), [
+                'title',
+                'array_section',
+                'name',
+                'msg',
+                'members'
+            ]);
+        });
+    });
+    describe('fuzz', function () {
+        it('should pass a template that renders any parameters', async function () {
+            const { stdout } = await executeCommand(`fuzz --runs 20 --seed 1 ${templateSimplePath}`);
+            assert.match(stdout, /20 of 20 runs passed \(0 skipped with invalid parameters, seed 1\)/);
+        });
+        it('should report the minimal parameters of a failure', function () {
+            mktmpdir();
+            const tmplPath = path.join(tmpDir, 'keys.yaml');
+            fs.writeFileSync(tmplPath, [
+                'contentType: application/json',
+                'template: |',
+                '    { "{{first}}": 1, "{{second}}": 2 }',
+                ''
+            ].join('\n'));
+            return executeCommand(`fuzz --seed 1 --json-output ${tmplPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    const output = JSON.parse(e.stdout);
+                    assert.strictEqual(output.result.seed, 1);
+                    assert.strictEqual(output.result.failure.invariant, 'postProcess');
+                    assert.deepStrictEqual(Object.keys(output.result.failure.shrunkParameters).sort(), [
+                        'first',
+                        'second'
+                    ]);
+                });
+        });
+        it('should check the output against a target schema', function () {
+            mktmpdir();
+            const tmplPath = path.join(tmpDir, 'port.yaml');
+            const schemaPath = path.join(tmpDir, 'schema.yaml');
+            fs.writeFileSync(tmplPath, 'contentType: application/json\ntemplate: |\n    { "port": {{port::integer}} }\n');
+            fs.writeFileSync(schemaPath, 'properties:\n  port:\n    minimum: 0\n');
+            return executeCommand(`fuzz --seed 1 --schema ${schemaPath} ${tmplPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /failed the targetSchema check \(seed 1\)/);
+                    assert.match(e.stderr, /"port": -1/);
+                });
+        });
+    });
+    describe('diff', function () {
+        const writeParams = (oldParams, newParams) => {
+            mktmpdir();
+            const oldPath = path.join(tmpDir, 'old.json');
+            const newPath = path.join(tmpDir, 'new.json');
+            fs.writeFileSync(oldPath, JSON.stringify(oldParams));
+            fs.writeFileSync(newPath, JSON.stringify(newParams));
+            return [oldPath, newPath];
+        };
+        it('should output the differences as text', async function () {
+            const [oldPath, newPath] = writeParams({ str_var: 'foo' }, { str_var: 'bar' });
+            const { stdout } = await executeCommand(`diff ${templateSimplePath} ${oldPath} ${newPath}`);
+            assert.strictEqual(stdout, '-1: foo\n+1: bar\n');
+        });
+        it('should report identical results', async function () {
+            const [oldPath, newPath] = writeParams({ str_var: 'foo' }, { str_var: 'foo' });
+            const { stdout } = await executeCommand(`diff ${templateSimplePath} ${oldPath} ${newPath}`);
+            assert.match(stdout, /rendered results are identical/);
+        });
+        it('should output the differences as a JSON patch', async function () {
+            const [oldPath, newPath] = writeParams({ str_var: 'foo' }, { str_var: 'bar' });
+            const { stdout } = await executeCommand(
+                `diff --json-output --format json-patch ${templateSimplePath} ${oldPath} ${newPath}`
+            );
+            const output = JSON.parse(stdout);
+            assert.deepStrictEqual(output.result, [
+                { op: 'remove', path: '/0' },
+                { op: 'add', path: '/0', value: 'bar' }
+            ]);
+        });
+        it('should fail on invalid parameters', async function () {
+            const [oldPath, newPath] = writeParams({ str_var: 'foo' }, { str_var: 5 });
+            return executeCommand(`diff ${templateSimplePath} ${oldPath} ${newPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /Failed to diff template since parameters failed validation/);
+                });
+        });
     });
     describe('validateTemplateSet', function () {
         it('should succeed on valid template set', async function () {
@@ -234,6 +348,7 @@ describe('CLI tests', function () {
                 .catch((e) => {
                     console.log(e);
                     assert.match(e.stderr, /Template .* failed validation/);
+                    assert.match(e.stderr, /invalid\.yaml:2:11: invalid template text: Unclosed tag/);
                 });
         });
         it('should support JSON output', async function () {
@@ -253,17 +368,59 @@ describe('CLI tests', function () {
                     assert.match(output.errors[0].validationErrors[0].message, /invalid template text/);
                 });
         });
+        it('should fail on an invalid manifest', function () {
+            mktmpdir();
+            const tsPath = path.join(tmpDir, 'my_set');
+            fs.mkdirSync(tsPath);
+            fs.copyFileSync(templateSimplePath, path.join(tsPath, 'simple.yaml'));
+            fs.writeFileSync(
+                path.join(tsPath, 'fast-set.yaml'),
+                'name: my_set\nversion: 1.0.0\ndependencies:\n  base_set: {}\n'
+            );
+            return executeCommand(`validateTemplateSet ${tsPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(
+                        e.stderr,
+                        /Manifest my_set\/fast-set.yaml failed validation: depends on missing template set "base_set"/
+                    );
+                });
+        });
+        it('should fail on an invalid example', function () {
+            mktmpdir();
+            const tsPath = path.join(tmpDir, 'my_set');
+            fs.mkdirSync(tsPath);
+            fs.writeFileSync(
+                path.join(tsPath, 'simple.yaml'),
+                'parameterExamples:\n  bad:\n    str_var: 5\ntemplate: |\n  {{str_var}}\n'
+            );
+            return executeCommand(`validateTemplateSet ${tsPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /simple.yaml:2:3: example bad: parameter str_var should be of type string/);
+                });
+        });
     });
     describe('htmlpreview', function () {
         it('should generate a static HTML page to stdout', async function () {
             const { stdout } = await executeCommand(`htmlpreview ${templateSimplePath}`);
             assert.match(stdout, /doctype html/);
         });
+        it('should use a named example as the default parameters', async function () {
+            const { stdout } = await executeCommand(`htmlpreview --example greeting ${templateSimplePath}`);
+            assert.match(stdout, /"str_var":"hello"/);
+        });
         it('should support JSON output', async function () {
             const { stdout } = await executeCommand(`htmlpreview --json-output ${templateSimplePath}`);
             const output = JSON.parse(stdout);
             assert.match(output.result, /doctype html/);
         });
+        it('should inline assets with --offline', async function () {
+            const { stdout } = await executeCommand(`htmlpreview --offline ${templateSimplePath}`);
+            assert.match(stdout, /doctype html/);
+            assert.match(stdout, /id="rendered"/);
+            assert.doesNotMatch(stdout, /<script src=/);
+        });
     });
     describe('packageTemplateSet', function () {
         it('should create a package for the given template set', async function () {
@@ -272,6 +429,33 @@ describe('CLI tests', function () {
             const { stdout } = await executeCommand(`packageTemplateSet ${templateSetDir} ${pkgpath}`);
             assert.match(stdout, /Template set "test" packaged as .*\/pkg.zip/);
         });
+        it('should sign the package with --signing-key', async function () {
+            mktmpdir();
+            const pkgpath = path.join(tmpDir, 'pkg.zip');
+            const keyPath = path.join(tmpDir, 'key.pem');
+            const keys = crypto.generateKeyPairSync('ed25519', {
+                publicKeyEncoding: { type: 'spki', format: 'pem' },
+                privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+            });
+            fs.writeFileSync(keyPath, keys.privateKey);
+            const { stdout } = await executeCommand(`packageTemplateSet ${templateSetDir} ${pkgpath} --signing-key ${keyPath}`);
+            assert.match(stdout, /Template set "test" packaged as .*\/pkg.zip \(signed\)/);
+
+            const provider = new ZipTemplateProvider(pkgpath, { name: 'test', trustedKeys: [keys.publicKey] });
+            const result = await provider.verifySet('test');
+            assert.strictEqual(result.verified, true);
+        });
+        it('should fail if the signing key cannot be read', async function () {
+            mktmpdir();
+            const pkgpath = path.join(tmpDir, 'pkg.zip');
+            const keyPath = path.join(tmpDir, 'missing.pem');
+            return executeCommand(`packageTemplateSet ${templateSetDir} ${pkgpath} --signing-key ${keyPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /Failed to package template set:\n.*ENOENT/);
+                    assert.doesNotMatch(e.stderr, /UnhandledPromiseRejection/);
+                });
+        });
         it('should support JSON output', async function () {
             mktmpdir();
             const pkgpath = path.join(tmpDir, 'pkg.zip');
@@ -280,4 +464,150 @@ describe('CLI tests', function () {
             assert.match(output.result, /Template set "test" packaged as .*\/pkg.zip/);
         });
     });
+    describe('buildIndex', function () {
+        it('should write an index of the template sets', async function () {
+            mktmpdir();
+            const indexPath = path.join(tmpDir, 'index.json');
+            const { stdout } = await executeCommand(`buildIndex ${path.dirname(templateSetDir)} ${indexPath}`);
+            assert.match(stdout, /Index of 1 template set\(s\) written to .*\/index.json/);
+            const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            assert.ok(index.sets.test.templates.find(x => x.name === 'test/simple'));
+        });
+        it('should fail on invalid template sets', function () {
+            mktmpdir();
+            const indexPath = path.join(tmpDir, 'index.json');
+            return executeCommand(`buildIndex ${path.join(__dirname, 'invalid_templatesets')} ${indexPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /failed validation/);
+                    assert.strictEqual(fs.existsSync(indexPath), false);
+                });
+        });
+    });
+    describe('test', function () {
+        it('should report passing fixtures as TAP', async function () {
+            const { stdout } = await executeCommand(`test ${templateSetDir}`);
+            assert.match(stdout, /^TAP version 13\n1\.\.4\n/);
+            assert.match(stdout, /ok 1 - base\/default/);
+            assert.match(stdout, /# fail 0/);
+        });
+        it('should report JUnit XML with --reporter junit', async function () {
+            const { stdout } = await executeCommand(`test --reporter junit ${templateSetDir}`);
+            assert.match(stdout, /<testsuite name="test" tests="4" failures="0"/);
+        });
+        it('should fail on failing fixtures', function () {
+            mktmpdir();
+            const tsPath = path.join(tmpDir, 'test');
+            fs.mkdirSync(path.join(tsPath, 'tests', 'simple'), { recursive: true });
+            fs.copyFileSync(templateSimplePath, path.join(tsPath, 'simple.yaml'));
+            fs.writeFileSync(path.join(tsPath, 'tests', 'simple', 'default.params.yaml'), '{}');
+            fs.writeFileSync(path.join(tsPath, 'tests', 'simple', 'default.expected.txt'), 'bar');
+            return executeCommand(`test ${tsPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stdout, /not ok 1 - simple\/default/);
+                    assert.match(e.stdout, /# fail 1/);
+                });
+        });
+        it('should support JSON output', async function () {
+            const { stdout } = await executeCommand(`test --json-output ${templateSetDir}`);
+            const output = JSON.parse(stdout);
+            assert.strictEqual(output.result.passed, 4);
+            assert.strictEqual(output.result.tests[0].name, 'base/default');
+        });
+    });
+    describe('snapshot', function () {
+        it('should pass when snapshots match', async function () {
+            const { stdout } = await executeCommand(`snapshot ${templateSetDir}`);
+            assert.match(stdout, /ok 1 - base\/defaults/);
+            assert.match(stdout, /# fail 0/);
+        });
+        it('should update snapshots and fail on drift', async function () {
+            mktmpdir();
+            const tsPath = path.join(tmpDir, 'test');
+            fs.mkdirSync(tsPath);
+            fs.copyFileSync(templateSimplePath, path.join(tsPath, 'simple.yaml'));
+
+            const { stdout } = await executeCommand(`snapshot --update ${tsPath}`);
+            assert.match(stdout, /Snapshots of template set "test" updated: 1 file\(s\) written, 0 removed/);
+            assert.ok(fs.existsSync(path.join(tsPath, 'tests', '__snapshots__', 'simple.snap.yaml')));
+
+            fs.writeFileSync(path.join(tsPath, 'simple.yaml'), 'template: |\n  changed\n');
+            return executeCommand(`snapshot ${tsPath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stdout, /not ok 1 - simple\/defaults/);
+                    assert.match(e.stdout, /-1: foo/);
+                    assert.match(e.stdout, /\+1: changed/);
+                });
+        });
+    });
+    describe('watch', function () {
+        let child = null;
+        afterEach(function () {
+            if (child !== null) {
+                child.kill();
+                child = null;
+            }
+        });
+
+        const waitForOutput = (stream, regex) => new Promise((resolve, reject) => {
+            let output = '';
+            const timer = setTimeout(() => reject(new Error(`timed out waiting for ${regex}`)), 5000);
+            const onData = (chunk) => {
+                output += chunk.toString();
+                if (output.match(regex)) {
+                    clearTimeout(timer);
+                    stream.removeListener('data', onData);
+                    resolve(output);
+                }
+            };
+            stream.on('data', onData);
+        });
+
+        it('should re-render on template changes', function () {
+            this.timeout(10000);
+            mktmpdir();
+            const tsDir = path.join(tmpDir, 'test');
+            fs.mkdirSync(tsDir);
+            const tmplPath = path.join(tsDir, 'watched.yaml');
+            fs.writeFileSync(tmplPath, 'template: |\n  first {{str_var::string}}\nparameters:\n  str_var: foo\n');
+
+            child = spawn('node', [path.join(__dirname, '..', 'cli.js'), 'render', '--watch', tmplPath]);
+            return waitForOutput(child.stdout, /first foo/)
+                .then(() => {
+                    fs.writeFileSync(tmplPath, 'template: |\n  {{#bad}}\n');
+                    return waitForOutput(child.stderr, /watched\.yaml:2:3: invalid template text/);
+                })
+                .then(() => {
+                    fs.writeFileSync(tmplPath, 'template: |\n  second\n');
+                    return waitForOutput(child.stdout, /second/);
+                });
+        });
+        it('should not allow JSON output', function () {
+            return executeCommand(`render --watch --json-output ${templateSimplePath}`)
+                .then(() => assert(false, 'Expected command to fail'))
+                .catch((e) => {
+                    assert.match(e.stderr, /mutually exclusive/);
+                });
+        });
+    });
+    describe('lsp', function () {
+        it('should respond to LSP messages on stdin', async function () {
+            mktmpdir();
+            const inputPath = path.join(tmpDir, 'input.txt');
+            const messages = [
+                { id: 1, method: 'initialize', params: { capabilities: {} } },
+                { id: 2, method: 'shutdown' },
+                { method: 'exit' }
+            ];
+            fs.writeFileSync(inputPath, messages.map((msg) => {
+                const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, msg));
+                return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+            }).join(''));
+            const { stdout } = await executeCommand(`lsp < ${inputPath}`);
+            assert.match(stdout, /"hoverProvider":true/);
+            assert.match(stdout, /"id":2,"result":null/);
+        });
+    });
 });
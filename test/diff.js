@@ -0,0 +1,92 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+
+const diff = require('../lib/diff');
+
+describe('Diff utilities', function () {
+    describe('diffObjects', function () {
+        it('should return an empty patch for equal documents', function () {
+            assert.deepStrictEqual(diff.diffObjects({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+        });
+        it('should generate add, remove, and replace operations', function () {
+            const oldDoc = {
+                keep: 1, change: 'a', drop: true, nested: { value: 1 }
+            };
+            const newDoc = {
+                keep: 1, change: 'b', nested: { value: 2 }, extra: [1]
+            };
+            assert.deepStrictEqual(diff.diffObjects(oldDoc, newDoc), [
+                { op: 'replace', path: '/change', value: 'b' },
+                { op: 'remove', path: '/drop' },
+                { op: 'replace', path: '/nested/value', value: 2 },
+                { op: 'add', path: '/extra', value: [1] }
+            ]);
+        });
+        it('should diff arrays by index', function () {
+            assert.deepStrictEqual(diff.diffObjects({ a: [1, 2, 3] }, { a: [1, 5] }), [
+                { op: 'replace', path: '/a/1', value: 5 },
+                { op: 'remove', path: '/a/2' }
+            ]);
+            assert.deepStrictEqual(diff.diffObjects([1], [1, 2]), [
+                { op: 'add', path: '/-', value: 2 }
+            ]);
+        });
+        it('should escape JSON pointer tokens', function () {
+            assert.deepStrictEqual(diff.diffObjects({}, { 'a/b~c': 1 }), [
+                { op: 'add', path: '/a~1b~0c', value: 1 }
+            ]);
+        });
+        it('should replace the root for differing types', function () {
+            assert.deepStrictEqual(diff.diffObjects('foo', { a: 1 }), [
+                { op: 'replace', path: '', value: { a: 1 } }
+            ]);
+        });
+    });
+    describe('diffLines', function () {
+        it('should find added and removed lines', function () {
+            const changes = diff.diffLines('a\nb\nc', 'a\nc\nd');
+            assert.deepStrictEqual(changes.filter(x => x.type !== 'equal'), [
+                { type: 'remove', line: 'b', oldLine: 2 },
+                { type: 'add', line: 'd', newLine: 3 }
+            ]);
+            assert.strictEqual(diff.formatLineDiff(changes), '-2: b\n+3: d');
+        });
+        it('should convert line changes to a JSON patch', function () {
+            const changes = diff.diffLines('a\nb\nc', 'a\nx\nc');
+            assert.deepStrictEqual(diff.lineDiffToPatch(changes), [
+                { op: 'remove', path: '/1' },
+                { op: 'add', path: '/1', value: 'x' }
+            ]);
+        });
+    });
+    describe('formatPatch', function () {
+        it('should show old and new values', function () {
+            const oldDoc = { a: 1, b: 'x' };
+            const patch = diff.diffObjects(oldDoc, { a: 2, c: true });
+            assert.strictEqual(diff.formatPatch(patch, oldDoc), [
+                '~ /a: 1 -> 2',
+                '- /b: "x"',
+                '+ /c: true'
+            ].join('\n'));
+        });
+    });
+});
@@ -15,10 +15,22 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
 const nock = require('nock');
 
-function nockGitHubAPI(repo, filesPath) {
+/**
+ * Mock the GitHub Contents API for the given repo with the files in filesPath
+ *
+ * With `options.etags`, responses include an ETag and requests with a matching If-None-Match get a 304.
+ * With `options.ref`, requests must be for that ref (e.g., a commit SHA).
+ * The returned array records the status code of each response.
+ */
+function nockGitHubAPI(repo, filesPath, options) {
+    options = options || {};
+    const responses = [];
+
     const gatherFiles = (dir, root) => {
         const files = [];
         const dirs = fs.readdirSync(dir, { withFileTypes: true });
@@ -53,6 +65,45 @@ function nockGitHubAPI(repo, filesPath) {
         };
     };
 
+    const replyFor = (uri) => {
+        const [uriPath, query] = uri.split('?');
+        const req = uriParts(uriPath);
+        const ref = new URLSearchParams(query).get('ref');
+        if (ref !== (options.ref || null)) {
+            return [
+                404,
+                {
+                    message: `Expected ref ${options.ref} but got ${ref}`
+                }
+            ];
+        }
+        if (req.repo !== repo) {
+            return [
+                400,
+                {
+                    message: `Expected repo ${repo} but got ${req.repo}`
+                }
+            ];
+        }
+
+        if (req.file) {
+            const retFile = files
+                .filter(x => x.path === `${req.directory}/${req.file}`)[0];
+            return [
+                200,
+                retFile
+            ];
+        }
+
+        // Only list the direct children of the directory
+        const data = files
+            .filter(x => path.posix.dirname(x.path) === (req.directory || '.'));
+        return [
+            200,
+            data
+        ];
+    };
+
     nock('https://api.github.com', {
         reqheaders: {
             authorization: 'Token secret'
@@ -60,33 +111,23 @@ function nockGitHubAPI(repo, filesPath) {
     })
         .persist()
         .get(/repos\/.*\/contents\/.*/)
-        .reply((uri) => {
-            const req = uriParts(uri);
-            if (req.repo !== repo) {
-                return [
-                    400,
-                    {
-                        message: `Expected repo ${repo} but got ${req.repo}`
-                    }
-                ];
+        .reply(function replyWithETag(uri) {
+            const [status, body] = replyFor(uri);
+            if (!options.etags || status !== 200 || !body) {
+                responses.push(status);
+                return [status, body];
             }
 
-            if (req.file) {
-                const retFile = files
-                    .filter(x => x.path === `${req.directory}/${req.file}`)[0];
-                return [
-                    200,
-                    retFile
-                ];
+            const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+            if (this.req.headers['if-none-match'] === etag) {
+                responses.push(304);
+                return [304, '', { ETag: etag }];
             }
-
-            const data = files
-                .filter(x => x.path.startsWith(req.directory));
-            return [
-                200,
-                data
-            ];
+            responses.push(status);
+            return [status, body, { ETag: etag }];
         });
+
+    return responses;
 }
 
 module.exports = {
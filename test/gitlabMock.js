@@ -0,0 +1,95 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const nock = require('nock');
+
+/**
+ * Mock the GitLab repository files and tree API for the given project with the files in filesPath
+ *
+ * Requests for the default branch (`main`) and `options.ref` are served from filesPath. Branch names
+ * in `options.commits` resolve to the given commit SHAs (which are also served from filesPath).
+ */
+function nockGitLabAPI(baseUrl, project, filesPath, options) {
+    options = options || {};
+    const commits = options.commits || {};
+    const refs = ['main'].concat(Object.values(commits));
+    const projectPath = `/api/v4/projects/${encodeURIComponent(project)}`;
+
+    const notFound = message => [404, { message }];
+    const listDir = (dir) => {
+        const dirPath = path.join(filesPath, dir);
+        if (!fs.existsSync(dirPath) || !fs.lstatSync(dirPath).isDirectory()) {
+            return null;
+        }
+        return fs.readdirSync(dirPath, { withFileTypes: true })
+            .map(x => ({
+                name: x.name,
+                path: (dir) ? `${dir}/${x.name}` : x.name,
+                type: (x.isDirectory()) ? 'tree' : 'blob'
+            }));
+    };
+
+    nock(baseUrl, {
+        reqheaders: {
+            'private-token': 'secret'
+        },
+        badheaders: ['authorization']
+    })
+        .persist()
+        .get(uri => uri.startsWith(projectPath))
+        .reply((uri) => {
+            const reqUrl = new URL(uri, baseUrl);
+            const reqPath = reqUrl.pathname.slice(projectPath.length);
+            const ref = reqUrl.searchParams.get('ref');
+
+            if (reqPath === '') {
+                return [200, { default_branch: 'main' }];
+            }
+
+            const commitMatch = reqPath.match(/^\/repository\/commits\/(.*)$/);
+            if (commitMatch) {
+                const sha = commits[decodeURIComponent(commitMatch[1])];
+                return (sha) ? [200, { id: sha }] : notFound('404 Commit Not Found');
+            }
+
+            if (!refs.includes(ref)) {
+                return notFound('404 Tree Not Found');
+            }
+
+            if (reqPath === '/repository/tree') {
+                const items = listDir(reqUrl.searchParams.get('path') || '');
+                return (items) ? [200, items] : notFound('404 Tree Not Found');
+            }
+
+            const fileMatch = reqPath.match(/^\/repository\/files\/(.*)\/raw$/);
+            if (fileMatch) {
+                const filePath = path.join(filesPath, decodeURIComponent(fileMatch[1]));
+                if (!fs.existsSync(filePath)) {
+                    return notFound('404 File Not Found');
+                }
+                return [200, fs.readFileSync(filePath, 'utf8'), { 'Content-Type': 'text/plain' }];
+            }
+
+            return notFound('404 Not Found');
+        });
+}
+
+module.exports = {
+    nockGitLabAPI
+};
@@ -20,8 +20,12 @@
 'use strict';
 
 const assert = require('assert');
+const vm = require('vm');
+
+const mustacheVersion = require('mustache/package.json').version;
 
 const guiUtils = require('../lib/gui_utils');
+const { Template } = require('../lib/template');
 
 describe('GUI utils test', function () {
     it('add_title', function () {
@@ -338,5 +342,153 @@ describe('GUI utils test', function () {
         const htmlData = guiUtils.generateHtmlPreview(schema, view);
 
         assert.notStrictEqual(htmlData, '');
+        assert.match(htmlData, /https:\/\/cdn\.jsdelivr\.net\/npm\/@json-editor/);
+        assert.doesNotMatch(htmlData, /id="rendered"/);
+    });
+    it('generate_html_preview_offline', function () {
+        const schema = {
+            properties: {
+                foo: { type: 'string' }
+            }
+        };
+        const htmlData = guiUtils.generateHtmlPreview(schema, { foo: '</script>' }, { offline: true });
+
+        assert.doesNotMatch(htmlData, /<script src=|<link /);
+        assert.doesNotMatch(htmlData, /sourceMappingURL/);
+        assert.match(htmlData, /JSONEditor/);
+        assert.match(htmlData, /"foo":"\\u003c\/script>"/);
+    });
+    it('generate_html_preview_rendered_output', function () {
+        const yamldata = `
+            contentType: application/json
+            definitions:
+                items:
+                    type: array
+                    default: [a]
+            template: |
+                { "name": "{{name}}", "items": {{items}} }
+        `;
+        const composedYamldata = `
+            contentType: application/json
+            oneOf:
+                - parameters:
+                    extra: ''
+                  template: |
+                    { "extra": "{{extra}}" }
+                - properties:
+                    other:
+                        type: integer
+                  required: [other]
+                  template: |
+                    { "other": {{other}} }
+            template: |
+                { "name": "{{name}}" }
+        `;
+        const runPage = (htmlData, parameters) => {
+            // Run the page's scripts with a stand-in for the form editor
+            const scripts = Array.from(htmlData.matchAll(/<script>([\s\S]*?)<\/script>/g), x => x[1]);
+            const elems = {};
+            const handlers = {};
+            const editor = { value: parameters };
+            const context = vm.createContext({
+                document: {
+                    getElementById: (id) => {
+                        elems[id] = elems[id] || {
+                            hidden: true,
+                            lines: [],
+                            set textContent(value) {
+                                this.text = value;
+                                this.lines = [];
+                            },
+                            get textContent() { return this.text; },
+                            appendChild(child) { this.lines.push(child.textContent); },
+                            classList: {
+                                add: () => { elems[id].hidden = true; },
+                                remove: () => { elems[id].hidden = false; }
+                            }
+                        };
+                        return elems[id];
+                    },
+                    createElement: () => ({})
+                },
+                JSONEditor: function JSONEditor() {
+                    return {
+                        getValue: () => editor.value,
+                        on: (event, handler) => { handlers[event] = handler; }
+                    };
+                }
+            });
+
+            // Skip jQuery, Bootstrap, and JSONEditor (Mustache renders the output)
+            scripts.slice(3).forEach(script => vm.runInContext(script, context));
+            handlers.ready();
+            return { elems, handlers, editor };
+        };
+
+        return Promise.all([Template.loadYaml(yamldata), Template.loadYaml(composedYamldata)])
+            .then(([tmpl, composedTmpl]) => {
+                const parameters = tmpl.getCombinedParameters({ name: 'foo', extra: 'bar' });
+                const htmlData = guiUtils.generateHtmlPreview(
+                    tmpl.getParametersSchema(),
+                    parameters,
+                    { offline: true, template: tmpl }
+                );
+                assert.match(htmlData, /id="rendered"/);
+                assert.doesNotMatch(htmlData, /id="stale"/);
+
+                const page = runPage(htmlData, parameters);
+                assert.strictEqual(page.elems.rendered.textContent, tmpl.render(parameters));
+                assert(page.elems.errors.hidden);
+
+                const newParameters = { name: 'bar', items: ['b', 'c'] };
+                page.editor.value = newParameters;
+                page.handlers.change();
+                assert.strictEqual(page.elems.rendered.textContent, tmpl.render(newParameters));
+                assert(page.elems.errors.hidden);
+
+                page.editor.value = { name: '"' };
+                page.handlers.change();
+                assert.strictEqual(page.elems.rendered.textContent, '');
+                assert(!page.elems.errors.hidden);
+                assert.strictEqual(page.elems.errors.lines.length, 1);
+
+                page.editor.value = parameters;
+                page.handlers.change();
+                assert.strictEqual(page.elems.rendered.textContent, tmpl.render(parameters));
+                assert(page.elems.errors.hidden);
+
+                const composedParameters = composedTmpl.getCombinedParameters({ name: 'foo' });
+                const composedPage = runPage(guiUtils.generateHtmlPreview(
+                    composedTmpl.getParametersSchema(),
+                    composedParameters,
+                    { offline: true, template: composedTmpl }
+                ), composedParameters);
+                const composedRendered = composedTmpl.render(composedParameters);
+                assert.strictEqual(composedPage.elems.rendered.textContent, composedRendered);
+                composedPage.editor.value = Object.assign({}, composedParameters, { name: 'bar' });
+                composedPage.handlers.change();
+                assert.strictEqual(composedPage.elems.rendered.textContent, composedRendered);
+
+                const invalidParameters = Object.assign({}, composedParameters, { other: 'x' });
+                const invalidPage = runPage(guiUtils.generateHtmlPreview(
+                    composedTmpl.getParametersSchema(),
+                    invalidParameters,
+                    { offline: true, template: composedTmpl }
+                ), invalidParameters);
+                assert.strictEqual(invalidPage.elems.rendered.textContent, '');
+                assert(!invalidPage.elems.errors.hidden);
+                assert.strictEqual(invalidPage.elems.errors.lines[0], 'parameters failed validation');
+            });
+    });
+    it('generate_html_preview_mustache_cdn', function () {
+        return Template.loadYaml('template: "{{name}}"')
+            .then((tmpl) => {
+                const htmlData = guiUtils.generateHtmlPreview(tmpl.getParametersSchema(), {}, { template: tmpl });
+                assert(htmlData.includes(`mustache@${mustacheVersion}/mustache.min.js`));
+                assert.doesNotMatch(
+                    guiUtils.generateHtmlPreview(tmpl.getParametersSchema(), {}),
+                    /mustache\.min\.js/
+                );
+            });
     });
 });
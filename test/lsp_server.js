@@ -0,0 +1,280 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+const path = require('path');
+const { PassThrough } = require('stream');
+const url = require('url');
+
+const { LspServer } = require('../lib/lsp_server');
+
+const setDir = path.resolve(__dirname, 'templatesets', 'test');
+const docUri = url.pathToFileURL(path.join(setDir, 'lsp_test.yaml')).href;
+
+const docText = [
+    'title: LSP test',
+    'contentType: application/json',
+    'allOf:',
+    '    - $ref: "base.yaml#"',
+    'definitions:',
+    '    virtual_port:',
+    '        description: The virtual port',
+    '    pool:',
+    '        template: |',
+    '            "pool": "{{pool_name}}"',
+    'template: |',
+    '    {',
+    '        "port": {{virtual_port:types:port}},',
+    '        {{> pool}}',
+    '    }',
+    ''
+].join('\n');
+
+function createClient() {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const server = new LspServer(input, output);
+    const messages = [];
+    const waiters = [];
+    let buffer = '';
+    let nextId = 1;
+
+    const checkWaiters = () => {
+        waiters.slice().forEach((waiter) => {
+            const msg = messages.find(waiter.predicate);
+            if (msg) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(msg);
+            }
+        });
+    };
+
+    output.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let match = buffer.match(/^Content-Length: (\d+)\r\n\r\n/);
+        while (match && buffer.length >= match[0].length + Number(match[1])) {
+            const body = buffer.slice(match[0].length, match[0].length + Number(match[1]));
+            buffer = buffer.slice(match[0].length + Number(match[1]));
+            messages.push(JSON.parse(body));
+            match = buffer.match(/^Content-Length: (\d+)\r\n\r\n/);
+        }
+        checkWaiters();
+    });
+
+    const send = (msg) => {
+        const body = JSON.stringify(Object.assign({ jsonrpc: '2.0' }, msg));
+        input.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    };
+    const waitFor = predicate => new Promise((resolve) => {
+        waiters.push({ predicate, resolve });
+        checkWaiters();
+    });
+    const request = (method, params) => {
+        const id = nextId;
+        nextId += 1;
+        send({ id, method, params });
+        return waitFor(msg => msg.id === id);
+    };
+    const openDocument = (uri, text) => {
+        messages.splice(0);
+        send({
+            method: 'textDocument/didOpen',
+            params: {
+                textDocument: {
+                    uri, languageId: 'yaml', version: 1, text
+                }
+            }
+        });
+        return waitFor(msg => msg.method === 'textDocument/publishDiagnostics')
+            .then(msg => msg.params);
+    };
+
+    server.listen();
+    return {
+        server,
+        send,
+        request,
+        openDocument
+    };
+}
+
+const textDocumentPosition = (line, character) => ({
+    textDocument: { uri: docUri },
+    position: { line, character }
+});
+
+describe('LSP server', function () {
+    let client;
+    beforeEach(function () {
+        client = createClient();
+        return client.request('initialize', { capabilities: {} });
+    });
+
+    it('should report server capabilities', function () {
+        return client.request('initialize', { capabilities: {} })
+            .then((msg) => {
+                const capabilities = msg.result.capabilities;
+                assert.strictEqual(capabilities.textDocumentSync, 1);
+                assert.ok(capabilities.completionProvider);
+                assert.strictEqual(capabilities.hoverProvider, true);
+                assert.strictEqual(capabilities.definitionProvider, true);
+            });
+    });
+    it('should reply with an error for unknown requests', function () {
+        return client.request('workspace/symbol', {})
+            .then((msg) => {
+                assert.strictEqual(msg.error.code, -32601);
+            });
+    });
+    it('should emit exit after shutdown', function () {
+        const exited = new Promise((resolve) => {
+            client.server.on('exit', resolve);
+        });
+        return client.request('shutdown')
+            .then(() => client.send({ method: 'exit' }))
+            .then(() => exited)
+            .then((code) => {
+                assert.strictEqual(code, 0);
+            });
+    });
+    describe('diagnostics', function () {
+        it('should publish no diagnostics for a valid template', function () {
+            return client.openDocument(docUri, docText)
+                .then((params) => {
+                    assert.strictEqual(params.uri, docUri);
+                    assert.deepStrictEqual(params.diagnostics, []);
+                });
+        });
+        it('should publish template validation errors', function () {
+            return client.openDocument(docUri, 'title: foo\ntemplate: |\n    {{#section}}\n')
+                .then((params) => {
+                    const diag = params.diagnostics[0];
+                    assert.strictEqual(diag.severity, 1);
+                    assert.deepStrictEqual(diag.range.start, { line: 2, character: 4 });
+                    assert.match(diag.message, /Unclosed section "section"/);
+                });
+        });
+        it('should publish errors for unknown schema references', function () {
+            return client.openDocument(docUri, 'template: |\n    {{foo:missing:bar}}\n')
+                .then((params) => {
+                    const diag = params.diagnostics[0];
+                    assert.deepStrictEqual(diag.range.start, { line: 1, character: 6 });
+                    assert.match(diag.message, /Failed to find the specified schema: missing/);
+                });
+        });
+    });
+    describe('completion', function () {
+        beforeEach(function () {
+            return client.openDocument(docUri, docText);
+        });
+        it('should complete parameter names', function () {
+            return client.request('textDocument/completion', textDocumentPosition(12, 19))
+                .then((msg) => {
+                    const labels = msg.result.map(x => x.label);
+                    assert.ok(labels.includes('virtual_port'));
+                    assert.ok(labels.includes('pool_name'));
+                    assert.ok(labels.includes('name'));
+                });
+        });
+        it('should complete schema names and types', function () {
+            return client.request('textDocument/completion', textDocumentPosition(12, 31))
+                .then((msg) => {
+                    assert.deepStrictEqual(msg.result.map(x => x.label), ['types']);
+                })
+                .then(() => client.request('textDocument/completion', textDocumentPosition(12, 37)))
+                .then((msg) => {
+                    const labels = msg.result.map(x => x.label);
+                    assert.ok(labels.includes('port'));
+                    assert.ok(labels.includes('ipv4_addr'));
+                });
+        });
+        it('should complete partial names', function () {
+            return client.request('textDocument/completion', textDocumentPosition(13, 12))
+                .then((msg) => {
+                    assert.deepStrictEqual(msg.result.map(x => x.label), ['pool']);
+                });
+        });
+        it('should complete template properties', function () {
+            return client.request('textDocument/completion', textDocumentPosition(0, 0))
+                .then((msg) => {
+                    const labels = msg.result.map(x => x.label);
+                    assert.ok(labels.includes('contentType'));
+                    assert.ok(labels.includes('httpForward'));
+                });
+        });
+    });
+    describe('hover', function () {
+        beforeEach(function () {
+            return client.openDocument(docUri, docText);
+        });
+        it('should show the schema of a parameter in a tag', function () {
+            return client.request('textDocument/hover', textDocumentPosition(12, 20))
+                .then((msg) => {
+                    assert.match(msg.result.contents.value, /\*\*virtual_port\*\*/);
+                    assert.match(msg.result.contents.value, /"maximum": 65535/);
+                });
+        });
+        it('should show the schema of a parameter definition', function () {
+            return client.request('textDocument/hover', textDocumentPosition(5, 6))
+                .then((msg) => {
+                    assert.match(msg.result.contents.value, /The virtual port/);
+                });
+        });
+        it('should show the parameters schema for the template', function () {
+            return client.request('textDocument/hover', textDocumentPosition(10, 2))
+                .then((msg) => {
+                    assert.match(msg.result.contents.value, /parameters schema/);
+                    assert.match(msg.result.contents.value, /"pool_name"/);
+                });
+        });
+        it('should return null outside of known symbols', function () {
+            return client.request('textDocument/hover', textDocumentPosition(11, 4))
+                .then((msg) => {
+                    assert.strictEqual(msg.result, null);
+                });
+        });
+    });
+    describe('definition', function () {
+        beforeEach(function () {
+            return client.openDocument(docUri, docText);
+        });
+        it('should go to partial definitions', function () {
+            return client.request('textDocument/definition', textDocumentPosition(13, 13))
+                .then((msg) => {
+                    assert.strictEqual(msg.result.uri, docUri);
+                    assert.deepStrictEqual(msg.result.range.start, { line: 7, character: 4 });
+                });
+        });
+        it('should go to schema type definitions', function () {
+            return client.request('textDocument/definition', textDocumentPosition(12, 20))
+                .then((msg) => {
+                    assert.match(msg.result.uri, /types\.json$/);
+                    assert.deepStrictEqual(msg.result.range.start, { line: 3, character: 4 });
+                });
+        });
+        it('should go to $ref targets', function () {
+            return client.request('textDocument/definition', textDocumentPosition(3, 14))
+                .then((msg) => {
+                    assert.match(msg.result.uri, /test\/base\.yaml$/);
+                    assert.deepStrictEqual(msg.result.range.start, { line: 0, character: 0 });
+                });
+        });
+    });
+});
@@ -0,0 +1,188 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const axios = require('axios');
+
+const { PreviewServer } = require('../lib/preview_server');
+
+describe('PreviewServer', function () {
+    let tmpDir;
+    let server;
+    let client;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast'));
+        const tsDir = path.join(tmpDir, 'preview');
+        fs.mkdirSync(tsDir);
+        fs.writeFileSync(path.join(tsDir, 'hello.yaml'), [
+            'title: Hello',
+            'definitions:',
+            '    name:',
+            '        type: string',
+            '        default: world',
+            '    count:',
+            '        type: integer',
+            'parameters:',
+            '    count: 1',
+            'parameterExamples:',
+            '    many:',
+            '        count: 5',
+            'template: |',
+            '    hello {{name}} {{count}}',
+            ''
+        ].join('\n'));
+        fs.writeFileSync(path.join(tsDir, 'broken.yaml'), 'template: |\n    {{#foo}}\n');
+
+        server = new PreviewServer(tsDir, { port: 0 });
+        return server.start()
+            .then((serverUrl) => {
+                client = axios.create({ baseURL: serverUrl, validateStatus: null });
+            });
+    });
+
+    afterEach(function () {
+        return server.stop()
+            .then(() => {
+                if (fs.rmSync) {
+                    fs.rmSync(tmpDir, { recursive: true });
+                } else {
+                    // Older Node version
+                    fs.rmdirSync(tmpDir, { recursive: true });
+                }
+            });
+    });
+
+    it('should serve the preview page', function () {
+        return client.get('/')
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.match(res.headers['content-type'], /text\/html/);
+                assert.match(res.data, /JSONEditor/);
+                assert.match(res.data, /\/api\/events/);
+            });
+    });
+    it('should list templates', function () {
+        return client.get('/api/templates')
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.deepStrictEqual(res.data.templates.sort(), ['preview/broken', 'preview/hello']);
+            });
+    });
+    it('should get the form schema and parameters for a template', function () {
+        return client.get('/api/templates/preview/hello')
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.data.title, 'Hello');
+                assert.strictEqual(res.data.schema.properties.name.type, 'string');
+                assert.deepStrictEqual(res.data.parameters, { name: 'world', count: 1 });
+                assert.deepStrictEqual(res.data.examples, { many: { name: 'world', count: 5 } });
+            });
+    });
+    it('should report template errors', function () {
+        return client.get('/api/templates/preview/broken')
+            .then((res) => {
+                assert.strictEqual(res.status, 422);
+                assert.strictEqual(res.data.message, 'template failed validation');
+                assert.strictEqual(res.data.validationErrors[0].line, 2);
+            });
+    });
+    it('should return 404 for unknown templates and routes', function () {
+        return client.get('/api/templates/preview/missing')
+            .then((res) => {
+                assert.strictEqual(res.status, 404);
+                return client.get('/missing');
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 404);
+            });
+    });
+    it('should render templates', function () {
+        return client.post('/api/templates/preview/hello/render', { parameters: { name: 'there' } })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.data.rendered, 'hello there 1\n');
+            });
+    });
+    it('should report parameter validation errors', function () {
+        return client.post('/api/templates/preview/hello/render', { parameters: { count: 'many' } })
+            .then((res) => {
+                assert.strictEqual(res.status, 422);
+                assert.strictEqual(res.data.message, 'parameters failed validation');
+                assert.deepStrictEqual(res.data.validationErrors, [
+                    { message: 'parameter count should be of type integer' }
+                ]);
+            });
+    });
+    it('should reject invalid request bodies', function () {
+        return client.post('/api/templates/preview/hello/render', '{', {
+            headers: { 'Content-Type': 'application/json' },
+            transformRequest: [data => data]
+        })
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.match(res.data.message, /failed to parse request body/);
+            });
+    });
+    it('should reject request bodies that are not objects', function () {
+        return ['null', 'false', '0', '[]'].reduce((promise, body) => promise
+            .then(() => client.post('/api/templates/preview/hello/render', body, {
+                headers: { 'Content-Type': 'application/json' },
+                transformRequest: [data => data],
+                timeout: 2000
+            }))
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.data.message, 'expected the request body to be a JSON object');
+            }), Promise.resolve());
+    });
+    it('should reject malformed request paths', function () {
+        return client.get('/api/templates/preview/%E0%A4%A')
+            .then((res) => {
+                assert.strictEqual(res.status, 400);
+                assert.match(res.data.message, /failed to decode request path/);
+            });
+    });
+    it('should send reload events and pick up changes', function () {
+        const tmplPath = path.join(tmpDir, 'preview', 'hello.yaml');
+        return new Promise((resolve, reject) => {
+            http.get(`${client.defaults.baseURL}/api/events`, (res) => {
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    if (chunk.match(/^: connected/)) {
+                        fs.writeFileSync(tmplPath, 'template: |\n    goodbye\n');
+                    } else if (chunk.match(/event: reload/)) {
+                        res.destroy();
+                        resolve();
+                    }
+                });
+            }).on('error', reject);
+        })
+            .then(() => client.post('/api/templates/preview/hello/render', {}))
+            .then((res) => {
+                assert.strictEqual(res.data.rendered, 'goodbye\n');
+            });
+    });
+});
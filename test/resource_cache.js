@@ -0,0 +1,173 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+
+const { ResourceCache } = require('../lib/resource_cache');
+
+describe('ResourceCache', function () {
+    let fetchCounts;
+    const countingFetch = (key) => {
+        fetchCounts[key] = (fetchCounts[key] || 0) + 1;
+        return Promise.resolve(`${key}:${fetchCounts[key]}`);
+    };
+
+    beforeEach(function () {
+        fetchCounts = {};
+    });
+
+    it('should cache fetched resources', function () {
+        const cache = new ResourceCache(countingFetch);
+        return cache.fetch('a')
+            .then(() => cache.fetch('a'))
+            .then((resource) => {
+                assert.strictEqual(resource, 'a:1');
+                assert.deepStrictEqual(cache.getStats(), {
+                    hits: 1,
+                    misses: 1,
+                    evictions: 0,
+                    entries: 1,
+                    size: 1
+                });
+            });
+    });
+    it('should share concurrent fetches', function () {
+        const cache = new ResourceCache(countingFetch);
+        return Promise.all([cache.fetch('a'), cache.fetch('a')])
+            .then((resources) => {
+                assert.deepStrictEqual(resources, ['a:1', 'a:1']);
+                assert.strictEqual(fetchCounts.a, 1);
+            });
+    });
+    it('should evict the least recently used resource', function () {
+        const cache = new ResourceCache(countingFetch, { maxSize: 2 });
+        return cache.fetch('a')
+            .then(() => cache.fetch('b'))
+            .then(() => cache.fetch('a'))
+            .then(() => cache.fetch('c'))
+            .then(() => Promise.all([cache.fetch('a'), cache.fetch('b')]))
+            .then((resources) => {
+                assert.deepStrictEqual(resources, ['a:1', 'b:2']);
+                assert.strictEqual(cache.getStats().evictions, 2);
+                assert.strictEqual(cache.getStats().entries, 2);
+            });
+    });
+    it('should evict based on resource size', function () {
+        const cache = new ResourceCache(countingFetch, { maxSize: 5, sizeOf: x => x.length });
+        return cache.fetch('a')
+            .then(() => cache.fetch('b'))
+            .then(() => {
+                assert.strictEqual(cache.getStats().size, 3);
+                assert.strictEqual(cache.getStats().evictions, 1);
+            });
+    });
+    it('should support the legacy cache_limit property', function () {
+        const cache = new ResourceCache(countingFetch);
+        cache.cache_limit = 5;
+        assert.strictEqual(cache.maxSize, 5);
+        assert.strictEqual(cache.cache_limit, 5);
+    });
+    it('should refetch expired resources', function () {
+        const cache = new ResourceCache(countingFetch, { ttl: 10 });
+        return cache.fetch('a')
+            .then(() => new Promise((resolve) => {
+                setTimeout(resolve, 20);
+            }))
+            .then(() => cache.fetch('a'))
+            .then((resource) => {
+                assert.strictEqual(resource, 'a:2');
+                assert.strictEqual(cache.getStats().misses, 2);
+            });
+    });
+    it('should not cache failed fetches', function () {
+        let fail = true;
+        const cache = new ResourceCache((key) => {
+            if (fail) {
+                fail = false;
+                return Promise.reject(new Error('failed'));
+            }
+            return Promise.resolve(key);
+        });
+        return assert.rejects(cache.fetch('a'), /failed/)
+            .then(() => {
+                assert.strictEqual(cache.getStats().entries, 0);
+                return cache.fetch('a');
+            })
+            .then((resource) => {
+                assert.strictEqual(resource, 'a');
+            });
+    });
+    it('should invalidate a single key', function () {
+        const cache = new ResourceCache(countingFetch);
+        return Promise.all([cache.fetch('a'), cache.fetch('b')])
+            .then(() => cache.invalidate('a'))
+            .then(() => Promise.all([cache.fetch('a'), cache.fetch('b')]))
+            .then((resources) => {
+                assert.deepStrictEqual(resources, ['a:2', 'b:1']);
+            });
+    });
+    it('should invalidate all keys', function () {
+        const cache = new ResourceCache(countingFetch);
+        return Promise.all([cache.fetch('a'), cache.fetch('b')])
+            .then(() => cache.invalidate())
+            .then(() => {
+                assert.strictEqual(cache.getStats().entries, 0);
+                assert.strictEqual(cache.getStats().size, 0);
+            });
+    });
+    it('should not store resources invalidated while fetching', function () {
+        const cache = new ResourceCache(countingFetch);
+        const pending = cache.fetch('a');
+        cache.invalidate('a');
+        return pending
+            .then(() => {
+                assert.strictEqual(cache.getStats().entries, 0);
+            });
+    });
+    it('should get and set resources without fetching', function () {
+        const cache = new ResourceCache(countingFetch, { maxSize: 5, sizeOf: r => r.length });
+        return cache.get('a')
+            .then((resource) => {
+                assert.strictEqual(resource, null);
+                cache.set('a', 'aa');
+                cache.set('b', 'bb');
+                return cache.get('a');
+            })
+            .then((resource) => {
+                assert.strictEqual(resource, 'aa');
+                cache.set('c', 'cc');
+                return cache.get('b');
+            })
+            .then((resource) => {
+                assert.strictEqual(resource, null);
+                return cache.fetch('c');
+            })
+            .then((resource) => {
+                assert.strictEqual(resource, 'cc');
+                assert.deepStrictEqual(cache.getStats(), {
+                    hits: 2,
+                    misses: 2,
+                    evictions: 1,
+                    entries: 2,
+                    size: 4
+                });
+            });
+    });
+});
@@ -0,0 +1,189 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+const Ajv = require('ajv');
+
+const { generateSample, sampleFromPattern } = require('../lib/sample_parameters');
+
+const assertValid = (schema, value) => {
+    const validate = new Ajv({ allErrors: true }).compile(schema);
+    assert.ok(validate(value), JSON.stringify(validate.errors));
+};
+
+describe('Sample parameters', function () {
+    it('should generate values that match patterns', function () {
+        [
+            '^[a-z][a-z0-9_]*$',
+            '^\\d{3}-\\d{4}$',
+            '^(foo|bar)+$',
+            '^(?!x)\\w+$',
+            '^/Common/.+$',
+            '[^a-z]',
+            '^([0-9a-f]{2}:){5}[0-9a-f]{2}$'
+        ].forEach((pattern) => {
+            assert.match(sampleFromPattern(pattern, () => true), new RegExp(pattern));
+        });
+        assert.strictEqual(sampleFromPattern('^$|^[A-Z]+$', x => x.length >= 3), 'AAA');
+    });
+    it('should respect defaults, enums, formats, and ranges', function () {
+        const schema = {
+            type: 'object',
+            properties: {
+                port: { type: 'integer', default: 443 },
+                protocol: { type: 'string', enum: ['tcp', 'udp'] },
+                address: { type: 'string', format: 'ipv4' },
+                host: { type: 'string', format: 'hostname' },
+                name: { type: 'string', minLength: 10, maxLength: 12 },
+                count: {
+                    type: 'integer', minimum: 5, maximum: 10, multipleOf: 3
+                },
+                ratio: { type: 'number', exclusiveMaximum: -1 },
+                enabled: { type: 'boolean' },
+                partition: { type: 'string', pattern: '^[A-Z][a-z]+$' }
+            },
+            required: ['port']
+        };
+        const sample = generateSample(schema);
+        assert.deepStrictEqual(sample, {
+            port: 443,
+            protocol: 'tcp',
+            address: '192.0.2.1',
+            host: 'example.com',
+            name: 'examplexxx',
+            count: 6,
+            ratio: -1.5,
+            enabled: false,
+            partition: 'Aa'
+        });
+        assertValid(schema, sample);
+    });
+    it('should only include required properties in minimal mode', function () {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                members: { type: 'array', items: { type: 'string' } },
+                section: { type: 'boolean' }
+            },
+            required: ['name', 'members'],
+            dependencies: { name: ['section'] }
+        };
+        assert.deepStrictEqual(generateSample(schema, { mode: 'minimal' }), {
+            name: 'example',
+            members: [],
+            section: false
+        });
+        assert.deepStrictEqual(generateSample(schema, { mode: 'maximal' }), {
+            name: 'example',
+            description: 'example',
+            members: ['example'],
+            section: false
+        });
+        assert.throws(() => generateSample(schema, { mode: 'average' }), /unknown sample mode "average"/);
+    });
+    it('should generate array items', function () {
+        const schema = {
+            type: 'array',
+            items: { type: 'string', enum: ['a', 'b', 'c'] },
+            minItems: 2,
+            uniqueItems: true
+        };
+        assert.deepStrictEqual(generateSample(schema), ['a', 'b']);
+        assert.deepStrictEqual(generateSample({
+            type: 'array',
+            items: [{ type: 'integer' }, { type: 'string' }]
+        }), [0, 'example']);
+        assert.deepStrictEqual(generateSample({
+            type: 'array',
+            items: { type: 'integer', minimum: 1 },
+            uniqueItems: true,
+            minItems: 3
+        }), [1, 2, 3]);
+    });
+    it('should resolve refs and combine subschemas', function () {
+        const schema = {
+            definitions: {
+                port: { type: 'integer', minimum: 1, maximum: 65535 },
+                ip: { anyOf: [{ type: 'string', format: 'ipv4' }, { type: 'string', format: 'ipv6' }] }
+            },
+            type: 'object',
+            properties: {
+                port: { $ref: '#/definitions/port' },
+                address: { $ref: '#/definitions/ip' }
+            },
+            required: ['port'],
+            allOf: [
+                { properties: { name: { type: 'string' } }, required: ['name'] }
+            ],
+            oneOf: [
+                { properties: { tcp: { type: 'boolean' } }, required: ['tcp'] },
+                { properties: { udp: { type: 'boolean' } }, required: ['udp'] }
+            ]
+        };
+        const sample = generateSample(schema, { mode: 'minimal' });
+        assert.deepStrictEqual(sample, { port: 1, name: 'example', tcp: false });
+        assertValid(schema, sample);
+        assertValid(schema, generateSample(schema));
+
+        assert.throws(() => generateSample({ $ref: '#/definitions/missing' }), /could not resolve \$ref/);
+        assert.throws(
+            () => generateSample({ definitions: { loop: { $ref: '#/definitions/loop' } }, $ref: '#/definitions/loop' }),
+            /circular \$ref/
+        );
+    });
+    it('should generate random values that match the schema', function () {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string', maxLength: 8 },
+                port: { type: 'integer', minimum: 1, maximum: 65535 },
+                protocol: { type: 'string', enum: ['tcp', 'udp'] },
+                partition: { type: 'string', pattern: '^[A-Z][a-z0-9]{0,7}$' },
+                members: { type: 'array', items: { type: 'string', format: 'ipv4' }, maxItems: 2 },
+                enabled: { type: 'boolean' }
+            },
+            required: ['name', 'port'],
+            oneOf: [
+                { properties: { tcp: { type: 'boolean' } }, required: ['tcp'] },
+                { properties: { udp: { type: 'boolean' } }, required: ['udp'] }
+            ]
+        };
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return (seed - 1) / 2147483646;
+        };
+        const samples = Array.from({ length: 50 }, () => generateSample(schema, { mode: 'random', random }));
+        samples.forEach(sample => assertValid(schema, sample));
+        assert.ok(samples.some(x => x.tcp !== undefined) && samples.some(x => x.udp !== undefined));
+        assert.ok(samples.some(x => x.protocol === 'udp'));
+        assert.ok(new Set(samples.map(x => x.port)).size > 10);
+    });
+    it('should use the supplied top-level defaults', function () {
+        const schema = {
+            type: 'object',
+            properties: { name: { type: 'string' }, port: { type: 'integer' } },
+            required: ['name', 'port']
+        };
+        assert.deepStrictEqual(generateSample(schema, { defaults: { name: 'app' } }), { name: 'app', port: 0 });
+    });
+});
@@ -29,7 +29,7 @@ const assert = chai.assert;
 
 const StorageMemory = require('@f5devcentral/atg-storage').StorageMemory;
 const { FsSchemaProvider, DataStoreSchemaProvider } = require('../lib/schema_provider');
-const { GitHubSchemaProvider } = require('../lib/github_provider');
+const { GitHubContentsApi, GitHubSchemaProvider } = require('../lib/github_provider');
 const { nockGitHubAPI } = require('./githubMock');
 
 const schemasPath = './test/templatesets/test/';
@@ -72,6 +72,11 @@ describe('schema provider tests', function () {
             ]);
         });
 
+        it('cache_options', function () {
+            const provider = new FsSchemaProvider(schemasPath, { cache: { maxSize: 5, ttl: 1000 } });
+            assert.strictEqual(provider.cache.maxSize, 5);
+            assert.strictEqual(provider.cache.ttl, 1000);
+        });
         it('schema_path_alias', function () {
             const provider = new FsSchemaProvider(schemasPath);
 
@@ -112,5 +117,14 @@ describe('schema provider tests', function () {
                 apiToken: 'secret'
             }
         ));
+        describe('shared contents API', function () {
+            runSharedTests(() => new GitHubSchemaProvider(
+                null,
+                'test',
+                {
+                    contentsApi: new GitHubContentsApi(repo, { apiToken: 'secret' })
+                }
+            ));
+        });
     });
 });
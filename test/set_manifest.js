@@ -0,0 +1,86 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+
+const setManifest = require('../lib/set_manifest');
+
+describe('Template set manifests', function () {
+    it('should compare versions', function () {
+        const ordered = [
+            '0.9.0',
+            '1.0.0-alpha',
+            '1.0.0-alpha.1',
+            '1.0.0-alpha.beta',
+            '1.0.0-beta.2',
+            '1.0.0-beta.11',
+            '1.0.0',
+            '1.0.1',
+            '1.2.0',
+            '1.10.0'
+        ];
+        ordered.forEach((version, i) => {
+            assert.strictEqual(setManifest.compareVersions(version, version), 0);
+            ordered.slice(i + 1).forEach((newer) => {
+                assert.ok(setManifest.compareVersions(version, newer) < 0, `${version} < ${newer}`);
+                assert.ok(setManifest.compareVersions(newer, version) > 0, `${newer} > ${version}`);
+            });
+        });
+        assert.strictEqual(setManifest.compareVersions('1.0.0+build.1', '1.0.0'), 0);
+    });
+    it('should parse a manifest', function () {
+        const manifest = setManifest.parseManifest([
+            'name: my_set',
+            'version: 1.2.0',
+            'description: An example template set',
+            'author: Someone',
+            'minCoreVersion: 0.1.0',
+            'dependencies:',
+            '  base_set:',
+            '    minVersion: 1.0.0',
+            '    schemas: [types]'
+        ].join('\n'));
+        assert.deepStrictEqual(manifest, {
+            name: 'my_set',
+            version: '1.2.0',
+            description: 'An example template set',
+            author: 'Someone',
+            minCoreVersion: '0.1.0',
+            dependencies: {
+                base_set: {
+                    minVersion: '1.0.0',
+                    schemas: ['types']
+                }
+            }
+        });
+    });
+    it('should reject invalid manifests', function () {
+        assert.throws(() => setManifest.parseManifest('name: [a'), /failed to parse fast-set.yaml/);
+        assert.throws(() => setManifest.parseManifest('name: my_set'), /should have required property 'version'/);
+        assert.throws(
+            () => setManifest.parseManifest('name: my_set\nversion: "1.0"'),
+            /invalid fast-set.yaml: .version should match pattern/
+        );
+        assert.throws(
+            () => setManifest.parseManifest('name: my_set\nversion: 1.0.0\nlicense: MIT'),
+            /should NOT have additional properties/
+        );
+    });
+});
@@ -0,0 +1,113 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+const crypto = require('crypto');
+
+const signing = require('../lib/signing');
+
+const pemKeyPair = type => crypto.generateKeyPairSync(type, Object.assign(
+    {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    },
+    (type === 'rsa') ? { modulusLength: 2048 } : {}
+));
+
+describe('Signing', function () {
+    const files = {
+        'simple.yaml': 'template: |\n  {{str_var}}\n',
+        'types.json': Buffer.from('{}'),
+        'textData.txt.data': 'some text',
+        'README.md': 'not part of the signature'
+    };
+    const edKeys = pemKeyPair('ed25519');
+    const rsaKeys = pemKeyPair('rsa');
+
+    const signedFiles = (privateKey) => {
+        const result = Object.assign({}, files);
+        result[signing.signatureFileName] = signing.signTemplateSet(files, privateKey);
+        return result;
+    };
+
+    it('should verify Ed25519 and RSA signatures', function () {
+        [edKeys, rsaKeys].forEach((keys) => {
+            const trustedKeys = [edKeys.publicKey, rsaKeys.publicKey];
+            const result = signing.verifyTemplateSet(signedFiles(keys.privateKey), trustedKeys);
+            assert.deepStrictEqual(result, {
+                signed: true,
+                verified: true,
+                keyId: signing.getKeyId(keys.publicKey)
+            });
+        });
+    });
+    it('should only cover template, schema, and data files', function () {
+        const signature = JSON.parse(signing.signTemplateSet(files, edKeys.privateKey));
+        assert.deepStrictEqual(
+            Object.keys(JSON.parse(signature.manifest).files),
+            ['simple.yaml', 'textData.txt.data', 'types.json']
+        );
+
+        const setFiles = signedFiles(edKeys.privateKey);
+        setFiles['README.md'] = 'changed';
+        assert.strictEqual(signing.verifyTemplateSet(setFiles, [edKeys.publicKey]).verified, true);
+    });
+    it('should report unsigned template sets', function () {
+        assert.deepStrictEqual(signing.verifyTemplateSet(files, [edKeys.publicKey]), {
+            signed: false,
+            verified: false,
+            error: 'template set is not signed'
+        });
+    });
+    it('should reject untrusted keys', function () {
+        const result = signing.verifyTemplateSet(signedFiles(rsaKeys.privateKey), [edKeys.publicKey]);
+        assert.strictEqual(result.verified, false);
+        assert.match(result.error, /signed by an untrusted key \([0-9a-f]{64}\)/);
+    });
+    it('should reject modified, added, and removed files', function () {
+        const modified = signedFiles(edKeys.privateKey);
+        modified['simple.yaml'] = 'template: |\n  changed\n';
+        assert.strictEqual(
+            signing.verifyTemplateSet(modified, [edKeys.publicKey]).error,
+            'simple.yaml does not match the manifest'
+        );
+
+        const added = signedFiles(edKeys.privateKey);
+        added['extra.yaml'] = 'template: extra';
+        assert.strictEqual(
+            signing.verifyTemplateSet(added, [edKeys.publicKey]).error,
+            'extra.yaml is not in the manifest'
+        );
+
+        const removed = signedFiles(edKeys.privateKey);
+        delete removed['types.json'];
+        assert.strictEqual(signing.verifyTemplateSet(removed, [edKeys.publicKey]).error, 'types.json is missing');
+    });
+    it('should reject modified manifests and bad signature files', function () {
+        const setFiles = signedFiles(edKeys.privateKey);
+        const signature = JSON.parse(setFiles[signing.signatureFileName]);
+        signature.manifest = signature.manifest.replace(/"simple.yaml":"[0-9a-f]+"/, `"simple.yaml":"${'0'.repeat(64)}"`);
+        setFiles[signing.signatureFileName] = JSON.stringify(signature);
+        assert.strictEqual(signing.verifyTemplateSet(setFiles, [edKeys.publicKey]).error, 'invalid signature');
+
+        setFiles[signing.signatureFileName] = '{';
+        assert.match(signing.verifyTemplateSet(setFiles, [edKeys.publicKey]).error, /failed to parse fast.sig/);
+    });
+});
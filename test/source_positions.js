@@ -0,0 +1,144 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+
+const { offsetToLine, getYamlPositions, findTopLevelKeys } = require('../lib/source_positions');
+
+describe('Source position utilities', function () {
+    it('should convert offsets to lines', function () {
+        assert.strictEqual(offsetToLine('a\nb\nc', 0), 1);
+        assert.strictEqual(offsetToLine('a\nb\nc', 4), 3);
+    });
+    describe('getYamlPositions', function () {
+        it('should find mapping keys and values', function () {
+            const positions = getYamlPositions([
+                'title: foo',
+                'definitions:',
+                '  "a/b":',
+                '    default: 1 # comment'
+            ].join('\n'));
+            assert.deepStrictEqual(positions, {
+                '/title': {
+                    line: 1, column: 1, valueLine: 1, valueColumn: 8
+                },
+                '/definitions': { line: 2, column: 1 },
+                '/definitions/a~1b': { line: 3, column: 3 },
+                '/definitions/a~1b/default': {
+                    line: 4, column: 5, valueLine: 4, valueColumn: 14
+                }
+            });
+        });
+        it('should find block scalars', function () {
+            const positions = getYamlPositions([
+                'template: |',
+                '  {{foo}}',
+                '',
+                '  # not a comment',
+                'description: bar'
+            ].join('\n'));
+            assert.deepStrictEqual(positions['/template'], {
+                line: 1, column: 1, blockScalar: '|', valueLine: 2, valueColumn: 3
+            });
+            assert.strictEqual(positions['/description'].line, 5);
+        });
+        it('should find sequence items', function () {
+            const positions = getYamlPositions([
+                'allOf:',
+                '- template: |',
+                '    foo',
+                '  title: sub',
+                '- $ref: base.yaml#',
+                'list:',
+                '  - a'
+            ].join('\n'));
+            assert.strictEqual(positions['/allOf/0'].line, 2);
+            assert.strictEqual(positions['/allOf/0/template'].valueLine, 3);
+            assert.strictEqual(positions['/allOf/0/title'].line, 4);
+            assert.strictEqual(positions['/allOf/1/$ref'].valueColumn, 9);
+            assert.strictEqual(positions['/list/0'].valueColumn, 5);
+        });
+        it('should find flow collections, anchors, and block scalars with indicators', function () {
+            const positions = getYamlPositions([
+                'definitions: { a: { type: string }, "b c": [1, 2] }',
+                'base: &base',
+                '  x: 1',
+                'other: *base',
+                'template: |-',
+                '',
+                '    {{a}}',
+                'text: >+',
+                '  folded # not a comment',
+                'last: "quoted: value" # comment'
+            ].join('\n'));
+            assert.deepStrictEqual(positions['/definitions'], {
+                line: 1, column: 1, valueLine: 1, valueColumn: 14
+            });
+            assert.deepStrictEqual(positions['/definitions/a/type'], {
+                line: 1, column: 21, valueLine: 1, valueColumn: 27
+            });
+            assert.deepStrictEqual(positions['/definitions/b c/1'], {
+                line: 1, column: 48, valueLine: 1, valueColumn: 48
+            });
+            assert.deepStrictEqual(positions['/base/x'], {
+                line: 3, column: 3, valueLine: 3, valueColumn: 6
+            });
+            assert.deepStrictEqual(positions['/other'], {
+                line: 4, column: 1, valueLine: 4, valueColumn: 8
+            });
+            assert.deepStrictEqual(positions['/template'], {
+                line: 5, column: 1, blockScalar: '|', valueLine: 6, valueColumn: 5
+            });
+            assert.deepStrictEqual(positions['/text'], {
+                line: 8, column: 1, blockScalar: '>', valueLine: 9, valueColumn: 3
+            });
+            assert.deepStrictEqual(positions['/last'], {
+                line: 10, column: 1, valueLine: 10, valueColumn: 7
+            });
+        });
+        it('should find the nodes before a YAML error', function () {
+            const positions = getYamlPositions([
+                'title: foo',
+                'definitions:',
+                '  a:',
+                '    type: string',
+                '  b: [',
+                'template: x'
+            ].join('\n'));
+            assert.strictEqual(positions['/title'].valueColumn, 8);
+            assert.strictEqual(positions['/definitions/a/type'].line, 4);
+        });
+    });
+    describe('findTopLevelKeys', function () {
+        it('should find keys in JSON text', function () {
+            assert.deepStrictEqual(findTopLevelKeys('{\n"a": {"b": 1},\n"c\\"": "x:", "d": []}'), [
+                { key: 'a', offset: 2 },
+                { key: 'c"', offset: 17 },
+                { key: 'd', offset: 30 }
+            ]);
+        });
+        it('should find keys in YAML text', function () {
+            assert.deepStrictEqual(findTopLevelKeys('a: 1\nb:\n  c: 2\n'), [
+                { key: 'a', offset: 0 },
+                { key: 'b', offset: 5 }
+            ]);
+        });
+    });
+});
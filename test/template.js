@@ -20,6 +20,7 @@
 'use strict';
 
 const fs = require('fs');
+const http = require('http');
 const assert = require('assert').strict;
 const nock = require('nock');
 const yaml = require('js-yaml');
@@ -188,6 +189,147 @@ describe('Template class tests', function () {
         // const ymldata = 'title: foo';
         // assert.throws(() => Template.validate(ymldata));
     });
+    it('fail_validation_positions', function () {
+        const ymldata = [
+            'title: foo',
+            'template: |',
+            '    {{#section}}',
+            '    {{foo}}',
+            ''
+        ].join('\n');
+        assert.throws(() => Template.validate(ymldata, 'foo.yaml'), (e) => {
+            assert.deepStrictEqual(e.validationErrors[0], {
+                file: 'foo.yaml',
+                line: 3,
+                column: 5,
+                message: 'invalid template text: Unclosed section "section" at 52'
+            });
+            return true;
+        });
+        assert.throws(() => Template.validate('{{foo}}\n{{/bar}}'), (e) => {
+            assert.deepStrictEqual(e.validationErrors[0], {
+                file: null,
+                line: 2,
+                column: 1,
+                message: 'invalid template text: Unopened section "bar" at 8'
+            });
+            return true;
+        });
+    });
+    it('fail_validation_yaml', function () {
+        const ymldata = [
+            'title: foo',
+            '  template: {{foo}}',
+            ''
+        ].join('\n');
+        assert.throws(() => Template.loadYaml(ymldata, { filePath: 'foo.yaml' }), {
+            message: 'template failed validation',
+            validationErrors: [
+                {
+                    file: 'foo.yaml',
+                    line: 2,
+                    column: 11,
+                    message: 'invalid YAML: bad indentation of a mapping entry'
+                }
+            ]
+        });
+    });
+    it('load_yaml_examples', function () {
+        const ymldata = [
+            'definitions:',
+            '    count:',
+            '        type: integer',
+            'parameters:',
+            '    count: 1',
+            'parameterExamples:',
+            '    many:',
+            '        name: foo',
+            '        count: 5',
+            'template: |',
+            '    {{name}} {{count}}',
+            ''
+        ].join('\n');
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                assert.deepStrictEqual(tmpl.parameterExamples, { many: { name: 'foo', count: 5 } });
+                assert.strictEqual(tmpl.render(tmpl.getExample('many')), 'foo 5\n');
+                assert.throws(() => tmpl.getExample('few'), {
+                    message: 'template has no example named "few" (available: many)'
+                });
+            });
+    });
+    it('valid_examples_template', function () {
+        const tmpldata = {
+            template: '{{x}}',
+            parameterExamples: { one: { x: 'a' } }
+        };
+        assert.ok(Template.isValid(tmpldata));
+        assert.ok(!Template.isValid(Object.assign({}, tmpldata, { parameterExamples: ['a'] })));
+    });
+    it('fail_validation_examples', function () {
+        const ymldata = [
+            'definitions:',
+            '    count:',
+            '        type: integer',
+            'parameterExamples:',
+            '    good:',
+            '        count: 5',
+            '    bad:',
+            '        count: many',
+            'template: |',
+            '    {{count}}',
+            ''
+        ].join('\n');
+        return assert.rejects(Template.loadYaml(ymldata, { filePath: 'foo.yaml' }), {
+            message: 'template failed validation',
+            validationErrors: [
+                {
+                    file: 'foo.yaml',
+                    line: 7,
+                    column: 5,
+                    message: 'example bad: parameter count should be of type integer'
+                }
+            ]
+        });
+    });
+    it('generate_sample_parameters', function () {
+        const ymldata = [
+            'definitions:',
+            '    port:',
+            '        type: integer',
+            '        minimum: 1',
+            '    address:',
+            '        type: string',
+            '        format: ipv4',
+            '    protocol:',
+            '        type: string',
+            '        enum: [tcp, udp]',
+            '    comment:',
+            '        type: string',
+            '        default: none',
+            'parameters:',
+            '    port: 443',
+            'template: |',
+            '    {{name}} {{address}}:{{port}} {{protocol}} ({{comment}})',
+            ''
+        ].join('\n');
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                const minimal = tmpl.generateSampleParameters({ mode: 'minimal' });
+                assert.deepStrictEqual(minimal, {
+                    name: 'example',
+                    address: '192.0.2.1',
+                    port: 443,
+                    protocol: 'tcp'
+                });
+                tmpl.validateParameters(minimal);
+
+                const maximal = tmpl.generateSampleParameters();
+                assert.strictEqual(maximal.comment, 'none');
+                tmpl.validateParameters(maximal);
+                assert.strictEqual(tmpl.render(maximal), 'example 192.0.2.1:443 tcp (none)\n');
+            });
+    });
     it('schema_sections_array', function () {
         const mstdata = '{{#section}}{{foo}}{{/section}}';
         return Template.loadMst(mstdata)
@@ -970,6 +1112,200 @@ describe('Template class tests', function () {
                 assert.match(e.message, /does not reference a known partial/);
             });
     });
+    describe('helpers', function () {
+        beforeEach(function () {
+            Template.registerHelper('upper', text => text.toUpperCase());
+            Template.registerHelper('trimComma', text => text.trim().replace(/,$/, ''));
+        });
+        afterEach(function () {
+            Template.unregisterHelper('upper');
+            Template.unregisterHelper('trimComma');
+        });
+
+        it('should list registered helpers', function () {
+            assert.deepStrictEqual(Template.getHelperNames(), ['upper', 'trimComma']);
+        });
+        it('should reject invalid helpers', function () {
+            assert.throws(() => Template.registerHelper('bad name', x => x), /invalid helper name/);
+            assert.throws(() => Template.registerHelper('bad', 'upper'), /expected helper bad to be a function/);
+            assert.throws(() => Template.registerHelper('__proto__', x => x), /invalid helper name/);
+            assert.throws(() => Template.registerHelper('constructor', x => x), /invalid helper name/);
+        });
+        it('should keep sections named like object properties as parameters', function () {
+            const ymldata = `
+                template: |
+                    {{#constructor}}a{{/constructor}}{{#valueOf}}b{{/valueOf}}{{#toString}}c{{/toString}}
+            `;
+            return Template.loadYaml(ymldata)
+                .then((tmpl) => {
+                    const schema = tmpl.getParametersSchema();
+                    assert.deepStrictEqual(Object.keys(schema.properties).sort(), ['constructor', 'toString', 'valueOf']);
+                });
+        });
+        it('should let parameters take precedence over helpers', function () {
+            return Template.loadYaml('template: "{{upper}}"')
+                .then((tmpl) => {
+                    assert.strictEqual(tmpl.render({ upper: 'value' }), 'value');
+                });
+        });
+        it('should not treat helpers as parameters', function () {
+            const ymldata = `
+                definitions:
+                    list:
+                        type: array
+                template: |
+                    {{#upper}}{{name}}{{/upper}} [{{#trimComma}}{{#list}}{{.}},{{/list}}{{/trimComma}}]
+            `;
+            return Template.loadYaml(ymldata)
+                .then((tmpl) => {
+                    const schema = tmpl.getParametersSchema();
+                    assert.deepStrictEqual(Object.keys(schema.properties).sort(), ['list', 'name']);
+                    assert.deepStrictEqual(schema.required.sort(), ['list', 'name']);
+                    assert.strictEqual(
+                        tmpl.render({ name: 'app1', list: ['a', 'b'] }).trim(),
+                        'APP1 [a,b]'
+                    );
+                });
+        });
+        it('should render helpers in partials and sub-templates', function () {
+            const ymldata = `
+                definitions:
+                    part:
+                        template: |
+                            {{#upper}}{{foo}}{{/upper}}
+                allOf:
+                    - template: |
+                        {{#upper}}{{bar}}{{/upper}}
+                template: |
+                    {{> part}}
+            `;
+            return Template.loadYaml(ymldata)
+                .then((tmpl) => {
+                    assert.strictEqual(tmpl.render({ foo: 'a', bar: 'b' }).trim(), 'B\n\nA');
+                });
+        });
+    });
+    it('render_source_map_json', function () {
+        const ymldata = [
+            'contentType: application/json',
+            'definitions:',
+            '    pool:',
+            '        template: |',
+            '            "pool": {',
+            '                "members": ["{{member}}"]',
+            '            }',
+            'allOf:',
+            '    - contentType: application/json',
+            '      template: |',
+            '          {',
+            '              "base": "{{name}}"',
+            '          }',
+            'template: |',
+            '    {',
+            '        "{{name}}": {',
+            '            "class": "Tenant"',
+            '        },',
+            '        {{> pool}}',
+            '    }',
+            ''
+        ].join('\n');
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                const params = { name: 't1', member: '192.0.2.1' };
+                const result = tmpl.render(params, { sourceMap: true });
+                assert.strictEqual(result.rendered, tmpl.render(params));
+                assert.deepStrictEqual(result.sourceMap, {
+                    '/base': { template: '/allOf/0/template', partial: null, line: 12 },
+                    '/t1': { template: '/template', partial: null, line: 16 },
+                    '/pool': { template: '/definitions/pool/template', partial: 'pool', line: 5 }
+                });
+            });
+    });
+    it('render_source_map_text', function () {
+        const ymldata = [
+            'allOf:',
+            '    - template: |',
+            '        sub',
+            'template: |',
+            '    first {{a}}',
+            '',
+            '    last',
+            ''
+        ].join('\n');
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                const result = tmpl.render({ a: 'x' }, { sourceMap: true });
+                assert.strictEqual(result.rendered, 'sub\n\nfirst x\n\nlast\n');
+                assert.deepStrictEqual(result.sourceMap, {
+                    1: { template: '/allOf/0/template', partial: null, line: 3 },
+                    3: { template: '/template', partial: null, line: 5 },
+                    5: { template: '/template', partial: null, line: 7 }
+                });
+            });
+    });
+    it('render_source_map_mst', function () {
+        return Template.loadMst('foo\n{{bar}}\n')
+            .then((tmpl) => {
+                const result = tmpl.render({ bar: 'baz' }, { sourceMap: true });
+                assert.deepStrictEqual(result.sourceMap[2], { template: '/template', partial: null, line: 2 });
+            });
+    });
+    it('diff_json', function () {
+        const ymldata = `
+            contentType: application/json
+            definitions:
+                tenant:
+                    default: t1
+                port:
+                    type: integer
+                    default: 80
+            template: |
+                {
+                    "{{tenant}}": {
+                        "port": {{port}}
+                    }
+                }
+        `;
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                const oldParams = { tenant: 't1' };
+                const newParams = { tenant: 't1', port: 443 };
+                assert.deepStrictEqual(tmpl.diff(oldParams, newParams, { format: 'json-patch' }), [
+                    { op: 'replace', path: '/t1/port', value: 443 }
+                ]);
+                assert.strictEqual(tmpl.diff(oldParams, newParams), '~ /t1/port: 80 -> 443');
+                assert.strictEqual(tmpl.diff(oldParams, oldParams), '');
+                assert.throws(() => tmpl.diff(oldParams, newParams, { format: 'bad' }), /unsupported diff format/);
+            });
+    });
+    it('diff_text', function () {
+        const ymldata = `
+            template: |
+                first
+                {{foo}}
+                last
+        `;
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                assert.strictEqual(tmpl.diff({ foo: 'a' }, { foo: 'b' }), '-2: a\n+2: b');
+                assert.deepStrictEqual(tmpl.diff({ foo: 'a' }, { foo: 'b' }, { format: 'json-patch' }), [
+                    { op: 'remove', path: '/1' },
+                    { op: 'add', path: '/1', value: 'b' }
+                ]);
+            });
+    });
+    it('diff_invalid_parameters', function () {
+        const ymldata = `
+            template: |
+                {{foo}}
+        `;
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                assert.throws(() => tmpl.diff({ foo: 'a' }, {}), {
+                    message: 'parameters failed validation'
+                });
+            });
+    });
     it('fetch_http_basic', function () {
         const ymldata = `
             definitions:
@@ -1077,15 +1413,250 @@ describe('Template class tests', function () {
         let posted = false;
         nock('http://example.com/')
             .post('/resource')
-            .reply(200, () => {
-                posted = true;
-                return '';
+            .reply(200, (uri, body) => {
+                posted = body;
+                return { id: 'task1' };
             });
         return Template.loadYaml(ymldata)
             .then(tmpl => tmpl.forwardHttp())
-            .then(() => {
-                assert(posted, 'failed to post the rendered result');
+            .then((result) => {
+                assert.strictEqual(posted.trim(), 'foo', 'failed to post the rendered result');
+                assert.strictEqual(result.status, 200);
+                assert.deepStrictEqual(result.body, { id: 'task1' });
+                assert.match(result.headers['content-type'], /application\/json/);
+            });
+    });
+    it('forward_http_options', function () {
+        const ymldata = `
+            contentType: application/json
+            httpForward:
+                url: http://example.com/resource
+                method: PUT
+                headers:
+                    X-Custom: bar
+            definitions:
+                var:
+                    default: foo
+            template: |
+                {"var": "{{var}}"}
+        `;
+        nock('http://example.com/', {
+            reqheaders: {
+                'content-type': 'application/json',
+                'x-custom': 'bar'
+            }
+        })
+            .put('/resource', { var: 'foo' })
+            .reply(202, { id: 'task1' });
+        return Template.loadYaml(ymldata)
+            .then(tmpl => tmpl.forwardHttp())
+            .then((result) => {
+                assert.strictEqual(result.status, 202);
+                assert.deepStrictEqual(result.body, { id: 'task1' });
+            });
+    });
+    it('forward_http_retry', function () {
+        const ymldata = `
+            httpForward:
+                url: http://example.com/resource
+                retries: 2
+                retryDelay: 0
+            template: |
+                foo
+        `;
+        nock('http://example.com/')
+            .post('/resource')
+            .reply(503, 'busy')
+            .post('/resource')
+            .replyWithError('connection reset')
+            .post('/resource')
+            .reply(200, 'done');
+        return Template.loadYaml(ymldata)
+            .then(tmpl => tmpl.forwardHttp())
+            .then((result) => {
+                assert.strictEqual(result.status, 200);
+                assert.strictEqual(result.body, 'done');
+            });
+    });
+    it('forward_http_retries_exhausted', function () {
+        const ymldata = `
+            httpForward:
+                url: http://example.com/resource
+                retries: 1
+                retryDelay: 0
+            template: |
+                foo
+        `;
+        nock('http://example.com/')
+            .post('/resource')
+            .times(2)
+            .reply(500, { message: 'internal error' });
+        return Template.loadYaml(ymldata)
+            .then(tmpl => tmpl.forwardHttp())
+            .then(() => assert(false, 'expected forwardHttp to fail'))
+            .catch((e) => {
+                assert.match(e.message, /error forwarding to http:\/\/example.com\/resource: unexpected status code 500/);
+                assert.strictEqual(e.result.status, 500);
+                assert.deepStrictEqual(e.result.body, { message: 'internal error' });
+                assert(nock.isDone(), 'expected the request to be retried');
+            });
+    });
+    it('forward_http_accepted_status_codes', function () {
+        const ymldata = `
+            httpForward:
+                url: http://example.com/resource
+                retries: 3
+                retryDelay: 0
+                acceptedStatusCodes: [200]
+            template: |
+                foo
+        `;
+        nock('http://example.com/')
+            .post('/resource')
+            .reply(204);
+        return Template.loadYaml(ymldata)
+            .then(tmpl => tmpl.forwardHttp())
+            .then(() => assert(false, 'expected forwardHttp to fail'))
+            .catch((e) => {
+                assert.match(e.message, /unexpected status code 204/);
+                assert.strictEqual(e.result.status, 204);
+            });
+    });
+    describe('forward_http_poll', function () {
+        let server;
+        let baseUrl;
+        let taskPolls;
+        let postedBody;
+        let pollHeaders;
+        const taskId = 'abc/123&x';
+
+        beforeEach(function (done) {
+            taskPolls = 0;
+            postedBody = '';
+            pollHeaders = null;
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    res.setHeader('Content-Type', 'application/json');
+                    if (req.method === 'POST' && req.url === '/declare?async=true') {
+                        postedBody = body;
+                        res.statusCode = 202;
+                        res.end(JSON.stringify({ id: taskId }));
+                    } else if (req.method === 'POST' && req.url === '/declare') {
+                        res.end(JSON.stringify({ id: taskId }));
+                    } else if (req.method === 'GET' && req.url === `/task/${encodeURIComponent(taskId)}`) {
+                        taskPolls += 1;
+                        pollHeaders = req.headers;
+                        const message = (taskPolls < 3) ? 'in progress' : 'success';
+                        res.end(JSON.stringify({ id: taskId, results: [{ message }] }));
+                    } else {
+                        res.statusCode = 404;
+                        res.end(JSON.stringify({ message: 'not found' }));
+                    }
+                });
+            });
+            server.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
             });
+        });
+        afterEach(function (done) {
+            server.close(done);
+        });
+
+        const ymlWithPoll = pollOpts => `
+            contentType: application/json
+            httpForward:
+                url: ${baseUrl}/declare?async=true
+                poll:
+                    url: /task/{{id}}
+                    completeQuery: $.results[?(@.message != 'in progress')]
+                    interval: 10
+                    ${pollOpts || ''}
+            template: |
+                {"foo": "bar"}
+        `;
+
+        it('should resolve once the task completes', function () {
+            return Template.loadYaml(ymlWithPoll())
+                .then(tmpl => tmpl.forwardHttp())
+                .then((result) => {
+                    assert.deepStrictEqual(JSON.parse(postedBody), { foo: 'bar' });
+                    assert.strictEqual(result.status, 202);
+                    assert.deepStrictEqual(result.body, { id: taskId });
+                    assert.strictEqual(taskPolls, 3);
+                    assert.strictEqual(pollHeaders['content-type'], undefined);
+                    assert.strictEqual(result.task.status, 200);
+                    assert.strictEqual(result.task.body.results[0].message, 'success');
+                });
+        });
+        it('should not poll if the request is not accepted with a 202', function () {
+            const ymldata = ymlWithPoll().replace('/declare?async=true', '/declare');
+            return Template.loadYaml(ymldata)
+                .then(tmpl => tmpl.forwardHttp())
+                .then((result) => {
+                    assert.strictEqual(result.status, 200);
+                    assert.strictEqual(result.task, undefined);
+                    assert.strictEqual(taskPolls, 0);
+                });
+        });
+        it('should remove the content type header regardless of case', function () {
+            const ymldata = ymlWithPoll().replace('poll:', 'headers:\n                    content-type: application/json\n                poll:');
+            return Template.loadYaml(ymldata)
+                .then(tmpl => tmpl.forwardHttp())
+                .then(() => {
+                    assert.strictEqual(pollHeaders['content-type'], undefined);
+                });
+        });
+        it('should time out if the task does not complete', function () {
+            return Template.loadYaml(ymlWithPoll('maxWait: 15'))
+                .then(tmpl => tmpl.forwardHttp())
+                .then(() => assert(false, 'expected forwardHttp to time out'))
+                .catch((e) => {
+                    assert.match(e.message, /timed out after 15ms waiting for task/);
+                    assert.strictEqual(e.result.body.results[0].message, 'in progress');
+                });
+        });
+        it('should fail on task status errors', function () {
+            const ymldata = ymlWithPoll().replace('/task/{{id}}', '/task/missing');
+            return Template.loadYaml(ymldata)
+                .then(tmpl => tmpl.forwardHttp())
+                .then(() => assert(false, 'expected forwardHttp to fail'))
+                .catch((e) => {
+                    assert.match(e.message, /error polling task status at .*\/task\/missing: unexpected status code 404/);
+                });
+        });
+    });
+    it('forward_http_invalid_options', function () {
+        const ymldata = `
+            template: |
+                foo
+        `;
+        return Template.loadYaml(ymldata)
+            .then((tmpl) => {
+                tmpl.httpForward = {
+                    url: 'http://example.com/resource',
+                    method: 'GET',
+                    retries: -3
+                };
+                return assert.rejects(tmpl.forwardHttp(), {
+                    message: 'invalid httpForward options: method should be equal to one of the allowed values'
+                });
+            })
+            .then(() => Template.fromJson({
+                contentType: 'text/plain',
+                templateText: 'foo',
+                httpForward: { url: 'http://example.com/resource', retries: -3 },
+                _oneOf: [],
+                _allOf: [],
+                _anyOf: []
+            }))
+            .then(tmpl => assert.rejects(tmpl.forwardHttp(), {
+                message: 'invalid httpForward options: retries should be >= 0'
+            }));
     });
     it('forward_http_missing', function () {
         const ymldata = `
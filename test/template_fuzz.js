@@ -0,0 +1,134 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+
+const { Template } = require('../lib/template');
+const { createRandom, fuzzTemplate } = require('../lib/template_fuzz');
+
+const loadTemplate = lines => Template.loadYaml(lines.concat('').join('\n'));
+
+describe('Template fuzzing', function () {
+    it('should create reproducible random numbers', function () {
+        const first = createRandom(42);
+        const second = createRandom(42);
+        const values = Array.from({ length: 100 }, () => first());
+        assert.deepStrictEqual(values, Array.from({ length: 100 }, () => second()));
+        assert.ok(values.every(x => x >= 0 && x < 1));
+        assert.notDeepStrictEqual(values, Array.from({ length: 100 }, createRandom(43)));
+    });
+    it('should pass templates that render any parameters', function () {
+        return loadTemplate([
+            'definitions:',
+            '    port:',
+            '        type: integer',
+            '        minimum: 1',
+            '        maximum: 65535',
+            'template: |',
+            '    {{name}}:{{port}}'
+        ])
+            .then((tmpl) => {
+                const results = fuzzTemplate(tmpl, { seed: 1, runs: 50 });
+                assert.deepStrictEqual(results, {
+                    seed: 1,
+                    runs: 50,
+                    passed: 50,
+                    invalid: 0,
+                    failure: null
+                });
+            });
+    });
+    it('should shrink post-processing failures', function () {
+        return loadTemplate([
+            'contentType: application/json',
+            'definitions:',
+            '    count:',
+            '        type: integer',
+            'template: |',
+            '    { "name": "{{name}}", "count": {{count}} }'
+        ])
+            .then((tmpl) => {
+                const results = fuzzTemplate(tmpl, { seed: 1, runs: 100 });
+                assert.ok(results.failure, 'expected a failure');
+                assert.strictEqual(results.runs, results.failure.run);
+                assert.strictEqual(results.failure.invariant, 'postProcess');
+                assert.deepStrictEqual(Object.keys(results.failure.shrunkParameters).sort(), ['count', 'name']);
+                assert.strictEqual(results.failure.shrunkParameters.count, 0);
+                assert.ok(
+                    results.failure.shrunkParameters.name.length <= 1,
+                    `expected a minimal name, got ${JSON.stringify(results.failure.shrunkParameters.name)}`
+                );
+                assert.throws(() => tmpl.render(results.failure.shrunkParameters));
+
+                const again = fuzzTemplate(tmpl, { seed: 1, runs: 100 });
+                assert.deepStrictEqual(again, results);
+            });
+    });
+    describe('with a helper', function () {
+        before(function () {
+            Template.registerHelper('fuzzfail', (text) => {
+                if (text.includes('#')) {
+                    throw new Error('unexpected #');
+                }
+                return text;
+            });
+        });
+        after(function () {
+            Template.unregisterHelper('fuzzfail');
+        });
+        it('should report render failures', function () {
+            return loadTemplate([
+                'template: |',
+                '    {{#fuzzfail}}{{name}}{{/fuzzfail}}'
+            ])
+                .then((tmpl) => {
+                    const results = fuzzTemplate(tmpl, { seed: 3, runs: 200 });
+                    assert.ok(results.failure, 'expected a failure');
+                    assert.strictEqual(results.failure.invariant, 'render');
+                    assert.strictEqual(results.failure.message, 'unexpected #');
+                    assert.deepStrictEqual(results.failure.shrunkParameters, { name: '#' });
+                });
+        });
+    });
+    it('should check the rendered output against a target schema', function () {
+        return loadTemplate([
+            'contentType: application/json',
+            'definitions:',
+            '    port:',
+            '        type: integer',
+            'template: |',
+            '    { "port": {{port}} }'
+        ])
+            .then((tmpl) => {
+                const targetSchema = {
+                    type: 'object',
+                    properties: { port: { type: 'integer', minimum: 0 } }
+                };
+                const results = fuzzTemplate(tmpl, { seed: 1, runs: 100, targetSchema });
+                assert.ok(results.failure, 'expected a failure');
+                assert.strictEqual(results.failure.invariant, 'targetSchema');
+                assert.strictEqual(
+                    results.failure.message,
+                    'rendered output failed validation: .port should be >= 0'
+                );
+                assert.deepStrictEqual(results.failure.shrunkParameters, { port: -1 });
+            });
+    });
+});
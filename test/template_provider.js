@@ -19,6 +19,13 @@
 
 'use strict';
 
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AdmZip = require('adm-zip');
 const nock = require('nock');
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
@@ -34,8 +41,18 @@ const {
     CompositeTemplateProvider
 } = require('../lib/template_provider');
 
-const { GitHubTemplateProvider } = require('../lib/github_provider');
+const { BaseContentsApi } = require('../lib/contents_api');
+const { GitHubContentsApi, GitHubTemplateProvider } = require('../lib/github_provider');
+const { GitLabFilesApi, GitLabTemplateProvider } = require('../lib/gitlab_provider');
+const { BitbucketServerApi, BitbucketServerTemplateProvider } = require('../lib/bitbucket_provider');
+const { GitTemplateProvider } = require('../lib/git_provider');
+const { HttpTemplateProvider } = require('../lib/http_provider');
+const { ZipTemplateProvider } = require('../lib/zip_provider');
+const signing = require('../lib/signing');
+const setManifest = require('../lib/set_manifest');
 const { nockGitHubAPI } = require('./githubMock');
+const { nockGitLabAPI } = require('./gitlabMock');
+const { nockBitbucketServerAPI } = require('./bitbucketMock');
 
 const templatesPath = './test/templatesets';
 
@@ -176,6 +193,8 @@ function runSharedTests(createProvider) {
                     'An example of how to combine templates',
                     'Simple UDP load balancer using the same port on client and server side.\nUses AS3 template: udp.'
                 ]);
+                const simple = setData.templates.find(x => x.name === 'test/simple');
+                assert.deepStrictEqual(simple.examples, { greeting: { str_var: 'hello' } });
                 const schemaNames = setData.schemas.map(x => x.name).sort();
                 assert.deepStrictEqual(schemaNames, [
                     'test/types'
@@ -214,6 +233,56 @@ describe('template provider tests', function () {
             const provider = new FsTemplateProvider(templatesPath);
             return assert.isRejected(provider.removeSet('example'), /not implemented/);
         });
+        it('invalidate_schema_and_data_cache', function () {
+            const provider = new FsTemplateProvider(templatesPath);
+            return provider.fetch('test/complex')
+                .then(() => {
+                    assert.notStrictEqual(provider.schemaProviders.test.getCacheStats().entries, 0);
+                    provider.invalidateCache();
+                    assert.strictEqual(provider.getCacheStats().entries, 0);
+                    assert.strictEqual(provider.schemaProviders.test.getCacheStats().entries, 0);
+                    assert.strictEqual(provider.dataProviders.test.getCacheStats().entries, 0);
+                });
+        });
+        it('invalidate_single_template', function () {
+            const provider = new FsTemplateProvider(templatesPath);
+            return Promise.all([provider.fetch('test/simple'), provider.fetch('test/complex')])
+                .then(() => {
+                    provider.invalidateCache('test/simple');
+                    assert.strictEqual(provider.getCacheStats().entries, 1);
+                    assert.notStrictEqual(provider.schemaProviders.test.getCacheStats().entries, 0);
+                    return provider.fetch('test/complex');
+                })
+                .then(() => {
+                    assert.deepInclude(provider.getCacheStats(), { hits: 1, misses: 2, evictions: 0 });
+                });
+        });
+        it('cache_options', function () {
+            const provider = new FsTemplateProvider(templatesPath, undefined, undefined, { cache: { maxSize: 1 } });
+            return provider.fetch('test/simple')
+                .then(() => provider.fetch('test/complex'))
+                .then(() => {
+                    assert.deepInclude(provider.getCacheStats(), { evictions: 1, entries: 1 });
+                });
+        });
+        it('do_not_cache_failed_templates', function () {
+            const provider = new FsTemplateProvider('./test/invalid_templatesets');
+            return assert.isRejected(provider.fetch('invalid/invalid'))
+                .then(() => {
+                    assert.strictEqual(provider.getCacheStats().entries, 0);
+                });
+        });
+        it('report_validation_error_file', function () {
+            const provider = new FsTemplateProvider('./test/invalid_templatesets');
+            return assert.isRejected(provider.fetch('invalid/invalid'))
+                .then((e) => {
+                    assert.deepInclude(e.validationErrors[0], {
+                        file: './test/invalid_templatesets/invalid/invalid.yaml',
+                        line: 2,
+                        column: 11
+                    });
+                });
+        });
     });
     describe('FsSingleTemplateProvider', function () {
         it('load_single_mst', function () {
@@ -248,6 +317,400 @@ describe('template provider tests', function () {
             return assert.isRejected(provider.removeSet('does_not_exist'), /failed to find template set/);
         });
     });
+    describe('ZipTemplateProvider', function () {
+        let tmpDir;
+        let zipPath;
+        before(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-zip'));
+            zipPath = path.join(tmpDir, 'test.zip');
+            return new FsTemplateProvider(templatesPath).buildPackage('test', zipPath);
+        });
+        after(function () {
+            if (fs.rmSync) {
+                fs.rmSync(tmpDir, { recursive: true });
+            } else {
+                // Older Node version
+                fs.rmdirSync(tmpDir, { recursive: true });
+            }
+        });
+
+        describe('shared', function () {
+            runSharedTests(filtered => new ZipTemplateProvider(zipPath, { filteredSets: filtered }));
+        });
+        it('match_fs_provider', function () {
+            const zipProvider = new ZipTemplateProvider(zipPath);
+            const fsProvider = new FsTemplateProvider(templatesPath);
+            return Promise.all([zipProvider.getSetData('test'), fsProvider.getSetData('test')])
+                .then(([zipSetData, fsSetData]) => {
+                    assert.strictEqual(zipSetData.hash, fsSetData.hash);
+                });
+        });
+        it('load_buffer', function () {
+            const provider = new ZipTemplateProvider(fs.readFileSync(zipPath), { name: 'imported' });
+            return provider.list()
+                .then((templates) => {
+                    assert.include(templates, 'imported/simple');
+                    return provider.fetch('imported/complex');
+                })
+                .then((tmpl) => {
+                    assert.ok(tmpl);
+                });
+        });
+        it('load_top_level_dir', function () {
+            const archive = new AdmZip();
+            archive.addLocalFolder(`${templatesPath}/test`, 'examples');
+            const provider = new ZipTemplateProvider(archive.toBuffer());
+            return assert.becomes(provider.listSets(), ['examples'])
+                .then(() => provider.fetch('examples/simple'))
+                .then((tmpl) => {
+                    assert.ok(tmpl);
+                });
+        });
+        it('resolve_package_path', function () {
+            const provider = new ZipTemplateProvider(path.relative(process.cwd(), zipPath));
+            assert.strictEqual(provider.source, zipPath);
+            assert.notInstanceOf(provider, GitHubTemplateProvider);
+        });
+        it('require_name_for_buffer', function () {
+            const provider = new ZipTemplateProvider(fs.readFileSync(zipPath));
+            return assert.isRejected(provider.listSets(), /a template set name is required/);
+        });
+        it('report_bad_package', function () {
+            const provider = new ZipTemplateProvider(path.join(tmpDir, 'missing.zip'));
+            return assert.isRejected(provider.listSets(), /failed to read package .*missing.zip/);
+        });
+        describe('DataStoreTemplateProvider.fromZip', function () {
+            const testStorage = new StorageMemory();
+            before(function () {
+                testStorage.data = {};
+                return DataStoreTemplateProvider.fromZip(testStorage, zipPath);
+            });
+
+            runSharedTests(filtered => new DataStoreTemplateProvider(testStorage, filtered));
+
+            it('import_named_buffer', function () {
+                const storage = new StorageMemory();
+                return DataStoreTemplateProvider.fromZip(storage, fs.readFileSync(zipPath), { name: 'imported' })
+                    .then(() => assert.becomes(new DataStoreTemplateProvider(storage).listSets(), ['imported']));
+            });
+        });
+    });
+    describe('signed template sets', function () {
+        const keys = crypto.generateKeyPairSync('ed25519', {
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+        const otherKeys = crypto.generateKeyPairSync('ed25519');
+        let tmpDir;
+        let signedPath;
+        let unsignedPath;
+        before(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-signed'));
+            signedPath = path.join(tmpDir, 'test.zip');
+            unsignedPath = path.join(tmpDir, 'unsigned.zip');
+            const provider = new FsTemplateProvider(templatesPath);
+            return provider.buildPackage('test', signedPath, { privateKey: keys.privateKey })
+                .then(() => provider.buildPackage('test', unsignedPath));
+        });
+        after(function () {
+            if (fs.rmSync) {
+                fs.rmSync(tmpDir, { recursive: true });
+            } else {
+                // Older Node version
+                fs.rmdirSync(tmpDir, { recursive: true });
+            }
+        });
+
+        it('load_signed_package', function () {
+            const provider = new ZipTemplateProvider(signedPath, {
+                trustedKeys: [keys.publicKey],
+                strictSignatures: true
+            });
+            return provider.getSetData('test')
+                .then((setData) => {
+                    assert.strictEqual(setData.templates.length, 6);
+                    assert.deepStrictEqual(setData.signature, {
+                        signed: true,
+                        verified: true,
+                        keyId: signing.getKeyId(keys.publicKey)
+                    });
+                });
+        });
+        it('reject_tampered_package', function () {
+            const archive = new AdmZip(signedPath);
+            archive.updateFile('simple.yaml', Buffer.from('template: |\n  tampered\n'));
+            const provider = new ZipTemplateProvider(archive.toBuffer(), {
+                name: 'test',
+                trustedKeys: [keys.publicKey],
+                strictSignatures: true
+            });
+            return assert.isRejected(
+                provider.fetch('test/complex'),
+                /template set "test" failed signature verification: simple.yaml does not match the manifest/
+            );
+        });
+        it('reject_unsigned_and_untrusted', function () {
+            const unsigned = new ZipTemplateProvider(unsignedPath, {
+                name: 'test',
+                trustedKeys: [keys.publicKey],
+                strictSignatures: true
+            });
+            const untrusted = new ZipTemplateProvider(signedPath, {
+                trustedKeys: [otherKeys.publicKey],
+                strictSignatures: true
+            });
+            return assert.isRejected(unsigned.fetch('test/simple'), /template set is not signed/)
+                .then(() => assert.isRejected(untrusted.fetch('test/simple'), /untrusted key/));
+        });
+        it('reject_unsigned_schemas_and_data_files', function () {
+            const options = { trustedKeys: [keys.publicKey], strictSignatures: true };
+            const unsigned = new ZipTemplateProvider(unsignedPath, Object.assign({ name: 'test' }, options));
+            const storage = new StorageMemory();
+            return assert.isRejected(unsigned.getSchemas('test'), /template set "test" failed signature verification/)
+                .then(() => assert.isRejected(unsigned.getDataFiles(), /template set is not signed/))
+                .then(() => assert.isRejected(
+                    new FsTemplateProvider(templatesPath, [], {}, options).getSchemas('test'),
+                    /template set is not signed/
+                ))
+                .then(() => DataStoreTemplateProvider.fromZip(storage, unsignedPath))
+                .then(() => assert.isRejected(
+                    new DataStoreTemplateProvider(storage, [], {}, options).getDataFiles('unsigned'),
+                    /template set is not signed/
+                ))
+                .then(() => assert.isFulfilled(new ZipTemplateProvider(signedPath, options).getSchemas('test')));
+        });
+        it('report_without_strict', function () {
+            const provider = new ZipTemplateProvider(unsignedPath, { name: 'test', trustedKeys: [keys.publicKey] });
+            return provider.getSetData('test')
+                .then((setData) => {
+                    assert.strictEqual(setData.templates.length, 6);
+                    assert.deepStrictEqual(setData.signature, {
+                        signed: false,
+                        verified: false,
+                        error: 'template set is not signed'
+                    });
+                });
+        });
+        it('verify_fs_template_sets', function () {
+            const provider = new FsTemplateProvider(templatesPath, [], {}, {
+                trustedKeys: [keys.publicKey],
+                strictSignatures: true
+            });
+            return assert.isRejected(provider.fetch('test/simple'), /template set "test" failed signature verification/)
+                .then(() => assert.becomes(provider.verifySet('test'), {
+                    signed: false,
+                    verified: false,
+                    error: 'template set is not signed'
+                }));
+        });
+        it('import_signed_package', function () {
+            const storage = new StorageMemory();
+            const options = { trustedKeys: [keys.publicKey], strictSignatures: true };
+            return DataStoreTemplateProvider.fromZip(storage, signedPath, options)
+                .then(() => DataStoreTemplateProvider.fromZip(storage, unsignedPath, Object.assign({ name: 'bad' }, options)))
+                .then(() => Promise.all([storage.getItem('test'), storage.getItem('bad')]))
+                .then(([signedSet, unsignedSet]) => {
+                    assert.strictEqual(signedSet.error, undefined);
+                    assert.match(unsignedSet.error, /failed signature verification: template set is not signed/);
+                });
+        });
+        it('verify_datastore_template_sets', function () {
+            const storage = new StorageMemory();
+            const options = { trustedKeys: [keys.publicKey], strictSignatures: true };
+            const provider = new DataStoreTemplateProvider(storage, [], {}, options);
+            return DataStoreTemplateProvider.fromZip(storage, signedPath)
+                .then(() => DataStoreTemplateProvider.fromZip(storage, unsignedPath, { name: 'unsigned' }))
+                .then(() => provider.getSetData('test'))
+                .then((setData) => {
+                    assert.strictEqual(setData.templates.length, 6);
+                    assert.deepStrictEqual(setData.signature, {
+                        signed: true,
+                        verified: true,
+                        keyId: signing.getKeyId(keys.publicKey)
+                    });
+                })
+                .then(() => assert.isRejected(provider.fetch('unsigned/simple'), /template set is not signed/))
+                .then(() => storage.getItem('test'))
+                .then((tsData) => {
+                    const tmpl = JSON.parse(tsData.templates.simple);
+                    tmpl.sourceText = 'template: |\n  tampered\n';
+                    tsData.templates.simple = JSON.stringify(tmpl);
+                    return storage.setItem('test', tsData);
+                })
+                .then(() => assert.becomes(new DataStoreTemplateProvider(storage, [], {}, options).verifySet('test'), {
+                    signed: true,
+                    verified: false,
+                    keyId: signing.getKeyId(keys.publicKey),
+                    error: 'simple.yaml does not match the manifest'
+                }));
+        });
+    });
+    describe('template set manifests', function () {
+        const simpleTemplate = 'template: |\n  {{text}}\n';
+        const sets = {
+            base_set: {
+                'fast-set.yaml': 'name: base_set\nversion: 1.0.0\n',
+                'simple.yaml': simpleTemplate,
+                'types.json': '{"definitions": {}}'
+            },
+            my_set: {
+                'fast-set.yaml': [
+                    'name: my_set',
+                    'version: 1.2.0',
+                    'description: An example template set',
+                    'author: Someone',
+                    'minCoreVersion: 0.1.0',
+                    'dependencies:',
+                    '  base_set:',
+                    '    minVersion: 1.0.0',
+                    '    schemas: [types]'
+                ].join('\n'),
+                'simple.yaml': simpleTemplate
+            },
+            broken_deps: {
+                'fast-set.yaml': [
+                    'name: other_name',
+                    'version: 1.0.0',
+                    'minCoreVersion: 99.0.0',
+                    'dependencies:',
+                    '  base_set:',
+                    '    minVersion: 2.0.0',
+                    '    schemas: [types, missing]',
+                    '  missing_set: {}'
+                ].join('\n'),
+                'simple.yaml': simpleTemplate
+            },
+            bad_manifest: {
+                'fast-set.yaml': 'name: bad_manifest\nversion: latest\n',
+                'simple.yaml': simpleTemplate
+            },
+            no_manifest: {
+                'simple.yaml': simpleTemplate
+            }
+        };
+        const myManifest = {
+            name: 'my_set',
+            version: '1.2.0',
+            description: 'An example template set',
+            author: 'Someone',
+            minCoreVersion: '0.1.0',
+            dependencies: {
+                base_set: { minVersion: '1.0.0', schemas: ['types'] }
+            }
+        };
+        let tmpDir;
+        before(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-manifest'));
+            Object.keys(sets).forEach((setName) => {
+                fs.mkdirSync(path.join(tmpDir, setName));
+                Object.keys(sets[setName]).forEach((fileName) => {
+                    fs.writeFileSync(path.join(tmpDir, setName, fileName), sets[setName][fileName]);
+                });
+            });
+        });
+        after(function () {
+            if (fs.rmSync) {
+                fs.rmSync(tmpDir, { recursive: true });
+            } else {
+                // Older Node version
+                fs.rmdirSync(tmpDir, { recursive: true });
+            }
+        });
+
+        it('get_set_data', function () {
+            const provider = new FsTemplateProvider(tmpDir);
+            return provider.getSetData('my_set')
+                .then((setData) => {
+                    assert.deepStrictEqual(setData.manifest, myManifest);
+                    assert.deepStrictEqual(setData.templates.map(x => x.name), ['my_set/simple']);
+                })
+                .then(() => provider.getSetData('no_manifest'))
+                .then((setData) => {
+                    assert.strictEqual(setData.manifest, undefined);
+                })
+                .then(() => provider.getSetData('bad_manifest'))
+                .then((setData) => {
+                    assert.strictEqual(setData.templates.length, 1);
+                    assert.strictEqual(setData.manifest.errors.length, 1);
+                    assert.match(
+                        setData.manifest.errors[0],
+                        /failed to load manifest of template set "bad_manifest": invalid fast-set.yaml: .version/
+                    );
+                });
+        });
+        it('validate_manifest', function () {
+            const provider = new FsTemplateProvider(tmpDir);
+            return Promise.all([
+                provider.validateManifest('my_set'),
+                provider.validateManifest('no_manifest'),
+                provider.validateManifest('broken_deps')
+            ])
+                .then(([myErrors, noErrors, brokenErrors]) => {
+                    assert.deepStrictEqual(myErrors, []);
+                    assert.deepStrictEqual(noErrors, []);
+                    assert.sameMembers(brokenErrors, [
+                        'manifest name "other_name" does not match the template set name "broken_deps"',
+                        `requires f5-fast-core 99.0.0 or newer (found ${setManifest.coreVersion})`,
+                        'depends on template set "base_set" 2.0.0 or newer (found 1.0.0)',
+                        'depends on missing schema "missing" in template set "base_set"',
+                        'depends on missing template set "missing_set"'
+                    ]);
+                })
+                .then(() => provider.validateManifest('bad_manifest'))
+                .then((errors) => {
+                    assert.strictEqual(errors.length, 1);
+                    assert.match(errors[0], /invalid fast-set.yaml: .version should match pattern/);
+                });
+        });
+        it('package_manifest', function () {
+            const provider = new FsTemplateProvider(tmpDir);
+            const pkgPath = path.join(tmpDir, 'my_set-1.2.0.zip');
+            return provider.buildPackage('my_set', pkgPath)
+                .then(() => {
+                    const zipProvider = new ZipTemplateProvider(fs.readFileSync(pkgPath));
+                    return assert.becomes(zipProvider.listSets(), ['my_set'])
+                        .then(() => zipProvider.getSetData('my_set'));
+                })
+                .then((setData) => {
+                    assert.deepStrictEqual(setData.manifest, myManifest);
+                })
+                .then(() => assert.isRejected(
+                    provider.buildPackage('bad_manifest', path.join(tmpDir, 'bad_manifest.zip')),
+                    /invalid fast-set.yaml/
+                ))
+                .then(() => HttpTemplateProvider.buildIndex(provider))
+                .then((index) => {
+                    assert.deepStrictEqual(index.sets.my_set.manifestFiles.map(x => x.file), ['fast-set.yaml']);
+                    assert.deepStrictEqual(index.sets.my_set.templates.map(x => x.file), ['simple.yaml']);
+                });
+        });
+        it('import_manifest', function () {
+            const storage = new StorageMemory();
+            const provider = new DataStoreTemplateProvider(storage);
+            return DataStoreTemplateProvider.fromFs(storage, tmpDir)
+                .then(() => provider.getSetData('my_set'))
+                .then((setData) => {
+                    assert.deepStrictEqual(setData.manifest, myManifest);
+                })
+                .then(() => storage.getItem('bad_manifest'))
+                .then((tsData) => {
+                    assert.match(tsData.error, /invalid fast-set.yaml/);
+                })
+                .then(() => {
+                    const composite = new CompositeTemplateProvider([provider, new FsTemplateProvider(templatesPath)]);
+                    return Promise.all([
+                        composite.getManifest('my_set'),
+                        composite.getManifest('test'),
+                        composite.validateManifest('my_set')
+                    ]);
+                })
+                .then(([manifest, testManifest, errors]) => {
+                    assert.deepStrictEqual(manifest, myManifest);
+                    assert.strictEqual(testManifest, null);
+                    assert.deepStrictEqual(errors, []);
+                });
+        });
+    });
     describe('GitHubTemplateProvider', function () {
         const repo = 'f5-test/f5-fast-test-templatesets';
         before(() => nockGitHubAPI(repo, './test/templatesets'));
@@ -263,6 +726,477 @@ describe('template provider tests', function () {
             )
         );
     });
+    describe('GitHubTemplateProvider ref', function () {
+        const repo = 'f5-test/f5-fast-test-templatesets';
+        const sha = '0123456789abcdef0123456789abcdef01234567';
+        before(() => nockGitHubAPI(repo, './test/templatesets', { ref: sha }));
+        after(() => nock.cleanAll());
+
+        runSharedTests(
+            filtered => new GitHubTemplateProvider(
+                repo,
+                {
+                    filteredSets: filtered,
+                    apiToken: 'secret',
+                    ref: sha
+                }
+            )
+        );
+        it('resolve_branch_once', function () {
+            nock('https://api.github.com')
+                .get('/repos/f5-test/f5-fast-test-templatesets/commits/release%2Fv1')
+                .once()
+                .reply(200, { sha });
+            const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret', ref: 'release/v1' });
+            return Promise.all([provider.fetch('test/simple'), provider.getSetData('test')])
+                .then(([tmpl, setData]) => {
+                    assert.ok(tmpl);
+                    assert.strictEqual(setData.commit, sha);
+                    assert.ok(nock.isDone());
+                });
+        });
+        it('report_unknown_ref', function () {
+            nock('https://api.github.com')
+                .get('/repos/f5-test/f5-fast-test-templatesets/commits/missing')
+                .reply(422, { message: 'No commit found for SHA: missing' });
+            const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret', ref: 'missing' });
+            return assert.isRejected(provider.listSets(), /failed to resolve ref missing: 422: No commit found/);
+        });
+        it('no_commit_without_ref', function () {
+            const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret' });
+            return assert.becomes(provider.getCommit(), null);
+        });
+    });
+    describe('GitHubTemplateProvider archive', function () {
+        const repo = 'f5-test/f5-fast-test-templatesets';
+        const createArchive = () => {
+            const archive = new AdmZip();
+            archive.addLocalFolder(templatesPath, 'f5-test-f5-fast-test-templatesets-0123456');
+            return archive.toBuffer();
+        };
+        describe('shared', function () {
+            before(function () {
+                nock('https://api.github.com')
+                    .persist()
+                    .get('/repos/f5-test/f5-fast-test-templatesets/zipball')
+                    .reply(200, createArchive());
+            });
+            after(() => nock.cleanAll());
+
+            runSharedTests(
+                filtered => new GitHubTemplateProvider(
+                    repo,
+                    {
+                        filteredSets: filtered,
+                        apiToken: 'secret',
+                        archive: true
+                    }
+                )
+            );
+        });
+        describe('requests', function () {
+            afterEach(() => nock.cleanAll());
+
+            it('download_archive_once', function () {
+                const sha = '0123456789abcdef0123456789abcdef01234567';
+                nock('https://api.github.com')
+                    .get(`/repos/f5-test/f5-fast-test-templatesets/zipball/${sha}`)
+                    .once()
+                    .reply(200, createArchive());
+                const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret', archive: true, ref: sha });
+                return provider.getSetData('test')
+                    .then((setData) => {
+                        assert.strictEqual(setData.commit, sha);
+                        assert.strictEqual(setData.templates.length, 6);
+                        provider.invalidateCache();
+                        return provider.fetch('test/simple');
+                    })
+                    .then((tmpl) => {
+                        assert.ok(tmpl);
+                        assert.ok(nock.isDone());
+                    });
+            });
+            it('match_contents_api', function () {
+                nockGitHubAPI(repo, templatesPath);
+                nock('https://api.github.com')
+                    .get('/repos/f5-test/f5-fast-test-templatesets/zipball')
+                    .reply(200, createArchive());
+                const contentsProvider = new GitHubTemplateProvider(repo, { apiToken: 'secret' });
+                const archiveProvider = new GitHubTemplateProvider(repo, { apiToken: 'secret', archive: true });
+                return Promise.all([contentsProvider.getSetData('test'), archiveProvider.getSetData('test')])
+                    .then(([contentsSetData, archiveSetData]) => {
+                        assert.deepStrictEqual(archiveSetData, contentsSetData);
+                    });
+            });
+            it('report_missing_archive_files', function () {
+                nock('https://api.github.com')
+                    .get('/repos/f5-test/f5-fast-test-templatesets/zipball')
+                    .reply(200, createArchive());
+                const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret', archive: true });
+                return assert.isRejected(provider.fetch('missing/simple'), /failed to get items for missing: 404: Not Found/);
+            });
+        });
+    });
+    describe('GitHubTemplateProvider caching', function () {
+        const repo = 'f5-test/f5-fast-test-templatesets';
+        let tmpDir;
+        beforeEach(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast'));
+        });
+        afterEach(function () {
+            nock.cleanAll();
+            if (fs.rmSync) {
+                fs.rmSync(tmpDir, { recursive: true });
+            } else {
+                // Older Node version
+                fs.rmdirSync(tmpDir, { recursive: true });
+            }
+        });
+
+        it('revalidate_with_etags', function () {
+            const responses = nockGitHubAPI(repo, './test/templatesets', { etags: true });
+            const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret' });
+            return provider.fetch('test/simple')
+                .then(() => {
+                    assert.notInclude(responses, 304);
+                    responses.splice(0);
+                    provider.invalidateCache();
+                    return provider.fetch('test/simple');
+                })
+                .then((tmpl) => {
+                    assert.ok(tmpl);
+                    assert.isNotEmpty(responses);
+                    assert.deepEqual(new Set(responses), new Set([304]));
+                });
+        });
+        it('limit_etag_cache_size', function () {
+            const responses = nockGitHubAPI(repo, './test/templatesets', { etags: true });
+            const provider = new GitHubTemplateProvider(repo, { apiToken: 'secret', etagCacheSize: 1 });
+            return provider.fetch('test/simple')
+                .then(() => {
+                    assert.isAtMost(provider._contentsApi._etagCache.getStats().entries, 1);
+                    responses.splice(0);
+                    provider.invalidateCache();
+                    return provider.fetch('test/simple');
+                })
+                .then((tmpl) => {
+                    assert.ok(tmpl);
+                    // Evicted responses are downloaded again instead of revalidated
+                    assert.include(responses, 200);
+                });
+        });
+        it('revalidate_with_disk_cache', function () {
+            const responses = nockGitHubAPI(repo, './test/templatesets', { etags: true });
+            const createProvider = () => new GitHubTemplateProvider(repo, {
+                apiToken: 'secret',
+                cacheDir: tmpDir
+            });
+            return createProvider().fetch('test/simple')
+                .then(() => {
+                    assert.isNotEmpty(fs.readdirSync(tmpDir));
+                    responses.splice(0);
+                    return createProvider().fetch('test/simple');
+                })
+                .then((tmpl) => {
+                    assert.ok(tmpl);
+                    // Only file contents are cached on disk, so directory listings are fetched again
+                    assert.include(responses, 200);
+                    assert.include(responses, 304);
+                });
+        });
+        it('retry_after_rate_limit', function () {
+            nock('https://api.github.com')
+                .get('/repos/f5-test/f5-fast-test-templatesets/contents/')
+                .reply(403, { message: 'API rate limit exceeded' }, { 'Retry-After': '0' })
+                .get('/repos/f5-test/f5-fast-test-templatesets/contents/')
+                .reply(429, { message: 'Too many requests' })
+                .get('/repos/f5-test/f5-fast-test-templatesets/contents/')
+                .reply(200, [{ name: 'test', type: 'dir' }]);
+            const provider = new GitHubTemplateProvider(repo, { retryDelay: 1 });
+            return assert.becomes(provider.listSets(), ['test'])
+                .then(() => assert.ok(nock.isDone()));
+        });
+        it('give_up_on_rate_limit', function () {
+            const reset = Math.floor(Date.now() / 1000) + 3600;
+            nock('https://api.github.com')
+                .get('/repos/f5-test/f5-fast-test-templatesets/contents/')
+                .reply(403, { message: 'API rate limit exceeded' }, {
+                    'X-RateLimit-Remaining': '0',
+                    'X-RateLimit-Reset': `${reset}`
+                });
+            const provider = new GitHubTemplateProvider(repo);
+            return assert.isRejected(provider.listSets(), /failed to get items for : 403: API rate limit exceeded/)
+                .then(() => assert.isRejected(provider.listSets(), /GitHub API rate limit exceeded \(resets at/));
+        });
+        it('wait_for_rate_limit_reset', function () {
+            const reset = Math.ceil(Date.now() / 1000);
+            nock('https://api.github.com')
+                .get('/repos/f5-test/f5-fast-test-templatesets/contents/')
+                .reply(200, [{ name: 'test', type: 'dir' }], {
+                    'X-RateLimit-Remaining': '0',
+                    'X-RateLimit-Reset': `${reset}`
+                })
+                .get('/repos/f5-test/f5-fast-test-templatesets/contents/')
+                .reply(200, [{ name: 'test', type: 'dir' }]);
+            const provider = new GitHubTemplateProvider(repo);
+            return provider.listSets()
+                .then(() => provider.listSets())
+                .then(() => {
+                    assert.ok(Date.now() >= reset * 1000);
+                });
+        });
+    });
+    describe('GitLabTemplateProvider', function () {
+        const baseUrl = 'https://gitlab.example.com';
+        const project = 'f5-test/fast-templates';
+        const sha = '0123456789abcdef0123456789abcdef01234567';
+        before(() => nockGitLabAPI(baseUrl, project, templatesPath, { commits: { 'release/v1': sha } }));
+        after(() => nock.cleanAll());
+
+        runSharedTests(
+            filtered => new GitLabTemplateProvider(
+                project,
+                {
+                    baseUrl,
+                    filteredSets: filtered,
+                    apiToken: 'secret'
+                }
+            )
+        );
+        it('pin_ref', function () {
+            const provider = new GitLabTemplateProvider(project, { baseUrl, apiToken: 'secret', ref: 'release/v1' });
+            return Promise.all([provider.fetch('test/complex'), provider.getSetData('test')])
+                .then(([tmpl, setData]) => {
+                    assert.ok(tmpl);
+                    assert.strictEqual(setData.commit, sha);
+                });
+        });
+        it('report_unknown_ref', function () {
+            const provider = new GitLabTemplateProvider(project, { baseUrl, apiToken: 'secret', ref: 'missing' });
+            return assert.isRejected(provider.listSets(), /failed to resolve ref missing: 404: 404 Commit Not Found/);
+        });
+        it('use_gitlab_api_client', function () {
+            const api = new GitLabFilesApi(project, { baseUrl, apiToken: 'secret' });
+            assert.instanceOf(api, BaseContentsApi);
+            assert.notInstanceOf(api, GitHubContentsApi);
+            assert.notProperty(api.endpoint.defaults.headers, 'Authorization');
+        });
+    });
+    describe('BitbucketServerTemplateProvider', function () {
+        const baseUrl = 'https://bitbucket.example.com';
+        const repo = 'FAST/templates';
+        const sha = '0123456789abcdef0123456789abcdef01234567';
+        before(() => nockBitbucketServerAPI(baseUrl, repo, templatesPath, { commits: { 'release/v1': sha } }));
+        after(() => nock.cleanAll());
+
+        runSharedTests(
+            filtered => new BitbucketServerTemplateProvider(
+                repo,
+                {
+                    baseUrl,
+                    filteredSets: filtered,
+                    apiToken: 'secret'
+                }
+            )
+        );
+        it('pin_ref', function () {
+            const provider = new BitbucketServerTemplateProvider(repo, { baseUrl, apiToken: 'secret', ref: 'release/v1' });
+            return Promise.all([provider.fetch('test/complex'), provider.getSetData('test')])
+                .then(([tmpl, setData]) => {
+                    assert.ok(tmpl);
+                    assert.strictEqual(setData.commit, sha);
+                });
+        });
+        it('require_base_url', function () {
+            assert.throws(() => new BitbucketServerTemplateProvider(repo), /a baseUrl is required/);
+        });
+        it('use_bitbucket_api_client', function () {
+            const api = new BitbucketServerApi(repo, { baseUrl, apiToken: 'secret' });
+            assert.instanceOf(api, BaseContentsApi);
+            assert.notInstanceOf(api, GitHubContentsApi);
+            assert.strictEqual(api.endpoint.defaults.baseURL, `${baseUrl}/rest/api/1.0/projects/FAST/repos/templates/`);
+        });
+    });
+    describe('GitTemplateProvider', function () {
+        let repoDir;
+        let headSha;
+        let nextSha;
+        const git = args => childProcess.execFileSync('git', [
+            '-c', 'user.name=FAST Test', '-c', 'user.email=fast@example.com',
+            `--git-dir=${repoDir}`, `--work-tree=${templatesPath}`
+        ].concat(args), { encoding: 'utf8' }).trim();
+
+        before(function () {
+            // Commit the test template sets to a bare repository, then add a commit changing
+            // test/simple.yaml on a branch without touching the files on disk
+            repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-git'));
+            childProcess.execFileSync('git', ['init', '--quiet', '--bare', repoDir]);
+            git(['add', '--all']);
+            git(['commit', '--quiet', '-m', 'add templates']);
+            headSha = git(['rev-parse', 'HEAD']);
+
+            const blob = childProcess.execFileSync('git', [`--git-dir=${repoDir}`, 'hash-object', '-w', '--stdin'], {
+                input: 'template: |\n  goodbye\n',
+                encoding: 'utf8'
+            }).trim();
+            git(['update-index', '--cacheinfo', `100644,${blob},test/simple.yaml`]);
+            nextSha = git(['commit-tree', git(['write-tree']), '-p', headSha, '-m', 'change simple']);
+            git(['update-ref', 'refs/heads/next', nextSha]);
+        });
+        after(function () {
+            if (fs.rmSync) {
+                fs.rmSync(repoDir, { recursive: true });
+            } else {
+                // Older Node version
+                fs.rmdirSync(repoDir, { recursive: true });
+            }
+        });
+
+        describe('shared', function () {
+            runSharedTests(filtered => new GitTemplateProvider(repoDir, { filteredSets: filtered }));
+        });
+        it('match_fs_provider', function () {
+            const gitProvider = new GitTemplateProvider(repoDir);
+            const fsProvider = new FsTemplateProvider(templatesPath);
+            return Promise.all([gitProvider.getSetData('test'), fsProvider.getSetData('test')])
+                .then(([gitSetData, fsSetData]) => {
+                    assert.strictEqual(gitSetData.commit, headSha);
+                    assert.strictEqual(gitSetData.hash, fsSetData.hash);
+                });
+        });
+        it('load_ref', function () {
+            const provider = new GitTemplateProvider(repoDir, { ref: 'next' });
+            const headProvider = new GitTemplateProvider(repoDir);
+            return Promise.all([
+                provider.fetch('test/simple'),
+                provider.getSetData('test'),
+                headProvider.getSetData('test')
+            ])
+                .then(([tmpl, setData, headSetData]) => {
+                    assert.strictEqual(tmpl.render({}), 'goodbye\n');
+                    assert.strictEqual(setData.commit, nextSha);
+                    assert.notStrictEqual(setData.hash, headSetData.hash);
+                });
+        });
+        it('report_unknown_ref', function () {
+            const provider = new GitTemplateProvider(repoDir, { ref: 'missing' });
+            return assert.isRejected(provider.listSets(), /failed to resolve ref missing/);
+        });
+        it('reload_schemas_after_invalidate', function () {
+            const blob = childProcess.execFileSync('git', [`--git-dir=${repoDir}`, 'hash-object', '-w', '--stdin'], {
+                input: '{ "definitions": {} }\n',
+                encoding: 'utf8'
+            }).trim();
+            git(['read-tree', headSha]);
+            git(['update-index', '--cacheinfo', `100644,${blob},test/types.json`]);
+            const schemaSha = git(['commit-tree', git(['write-tree']), '-p', headSha, '-m', 'change types']);
+
+            const provider = new GitTemplateProvider(repoDir);
+            return provider.getSchemas('test')
+                .then((schemas) => {
+                    assert.include(schemas['test/types'].data, 'port');
+                    git(['update-ref', 'HEAD', schemaSha]);
+                    provider.invalidateCache();
+                    return provider.getSchemas('test');
+                })
+                .then((schemas) => {
+                    assert.strictEqual(schemas['test/types'].data, '{ "definitions": {} }\n');
+                })
+                .finally(() => git(['update-ref', 'HEAD', headSha]));
+        });
+    });
+    describe('HttpTemplateProvider', function () {
+        const indexUrl = 'https://artifacts.example.com/fast/index.json';
+        const readTemplateFile = uri => fs.readFileSync(
+            path.join(templatesPath, decodeURIComponent(uri.replace(/^\/fast\//, '')))
+        );
+        let index;
+        before(function () {
+            return HttpTemplateProvider.buildIndex(new FsTemplateProvider(templatesPath))
+                .then((result) => {
+                    index = result;
+                    nock('https://artifacts.example.com')
+                        .persist()
+                        .get('/fast/index.json')
+                        .reply(200, index)
+                        .get(/^\/fast\/test\/[^/]+$/)
+                        .reply(200, readTemplateFile);
+                });
+        });
+        after(() => nock.cleanAll());
+
+        describe('shared', function () {
+            runSharedTests(filtered => new HttpTemplateProvider(indexUrl, { filteredSets: filtered }));
+        });
+        it('build_index', function () {
+            assert.deepStrictEqual(Object.keys(index.sets), ['test']);
+            assert.deepInclude(index.sets.test.templates, {
+                name: 'test/simple',
+                file: 'simple.yaml',
+                hash: crypto.createHash('sha256').update(readTemplateFile('/fast/test/simple.yaml')).digest('hex')
+            });
+            assert.deepStrictEqual(index.sets.test.schemas.map(x => x.file), ['types.json']);
+            assert.deepStrictEqual(index.sets.test.dataFiles.map(x => x.name), ['test/textData.txt']);
+        });
+        it('match_fs_provider', function () {
+            const httpProvider = new HttpTemplateProvider(indexUrl);
+            const fsProvider = new FsTemplateProvider(templatesPath);
+            return Promise.all([httpProvider.getSetData('test'), fsProvider.getSetData('test')])
+                .then(([httpSetData, fsSetData]) => {
+                    assert.strictEqual(httpSetData.hash, fsSetData.hash);
+                    assert.strictEqual(httpSetData.commit, undefined);
+                });
+        });
+        it('normalize_index_url', function () {
+            const provider = new HttpTemplateProvider('https://artifacts.example.com/fast/../fast/index.json');
+            assert.strictEqual(provider.indexUrl, indexUrl);
+            assert.notInstanceOf(provider, GitHubTemplateProvider);
+            return assert.becomes(provider.listSets(), ['test']);
+        });
+        it('reject_modified_files', function () {
+            nock('https://tampered.example.com')
+                .get('/fast/index.json')
+                .reply(200, index)
+                .get('/fast/test/simple.yaml')
+                .reply(200, 'template: |\n  tampered\n');
+            const provider = new HttpTemplateProvider('https://tampered.example.com/fast/index.json');
+            return assert.isRejected(
+                provider.fetch('test/simple'),
+                /failed to verify test\/simple.yaml: expected sha256 [0-9a-f]{64} but got [0-9a-f]{64}/
+            );
+        });
+        it('reject_invalid_index', function () {
+            nock('https://invalid.example.com')
+                .get('/index.json')
+                .reply(200, { test: {} });
+            const provider = new HttpTemplateProvider('https://invalid.example.com/index.json');
+            return assert.isRejected(provider.listSets(), /invalid template set index .*: expected a "sets" object/);
+        });
+        it('reject_invalid_set_names', function () {
+            const invalidNames = ['', '.', '..', 'a/b', 'a\\b'];
+            return invalidNames.reduce((promise, setName) => promise.then(() => {
+                nock('https://invalid.example.com')
+                    .get('/index.json')
+                    .reply(200, { sets: { [setName]: {} } });
+                const provider = new HttpTemplateProvider('https://invalid.example.com/index.json');
+                return assert.isRejected(provider.listSets(), /invalid template set index .*: invalid set name/);
+            }), Promise.resolve());
+        });
+        it('reject_invalid_file_names', function () {
+            nock('https://invalid.example.com')
+                .get('/index.json')
+                .reply(200, { sets: { test: { templates: [{ file: '..', hash: '0'.repeat(64) }] } } });
+            const provider = new HttpTemplateProvider('https://invalid.example.com/index.json');
+            return assert.isRejected(provider.listSets(), /invalid entry in "templates" of set "test"/);
+        });
+        it('report_missing_index', function () {
+            nock('https://missing.example.com')
+                .get('/index.json')
+                .reply(404);
+            const provider = new HttpTemplateProvider('https://missing.example.com/index.json');
+            return assert.isRejected(provider.listSets(), /failed to get template set index .*: 404/);
+        });
+    });
     describe('CompositeTemplateProvider', function () {
         const testStorage = new StorageMemory();
         before(function () {
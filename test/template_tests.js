@@ -0,0 +1,268 @@
+/* Copyright 2021 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable prefer-arrow-callback */
+/* eslint-disable func-names */
+
+'use strict';
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const templateTests = require('../lib/template_tests');
+
+const templateSetPath = path.join(__dirname, 'templatesets', 'test');
+const invalidFixturesPath = path.join(__dirname, 'invalid_fixtures');
+
+describe('Template set tests', function () {
+    it('should discover fixtures', function () {
+        return templateTests.discoverFixtures(templateSetPath)
+            .then((fixtures) => {
+                assert.deepStrictEqual(
+                    fixtures.map(x => [x.name, x.template, x.expectedType]),
+                    [
+                        ['base/default', 'test/base', 'structured'],
+                        ['base/invalid', 'test/base', 'errors'],
+                        ['simple/custom', 'test/simple', 'text'],
+                        ['simple/default', 'test/simple', 'text']
+                    ]
+                );
+                assert.strictEqual(fixtures[0].paramsFile, path.join(templateSetPath, 'tests', 'base', 'default.params.yaml'));
+            });
+    });
+    it('should pass matching fixtures', function () {
+        return templateTests.runTests(templateSetPath)
+            .then((results) => {
+                assert.strictEqual(results.setName, 'test');
+                assert.strictEqual(results.passed, 4);
+                assert.strictEqual(results.failed, 0);
+                results.tests.forEach((test) => {
+                    assert.strictEqual(test.message, undefined);
+                    assert.strictEqual(typeof test.duration, 'number');
+                });
+            });
+    });
+    it('should report failing fixtures', function () {
+        return templateTests.runTests(templateSetPath, { testsDir: invalidFixturesPath })
+            .then((results) => {
+                assert.strictEqual(results.passed, 0);
+                assert.strictEqual(results.failed, 6);
+                const messages = results.tests.reduce((acc, curr) => {
+                    acc[curr.name] = curr.message;
+                    return acc;
+                }, {});
+                assert.deepStrictEqual(messages, {
+                    'base/unexpected_success': 'expected rendering to fail validation but it succeeded',
+                    'base/wrong_errors': [
+                        'missing validation error: parameter port should be of type integer',
+                        'unexpected validation error: parameter name should NOT be shorter than 1 characters'
+                    ].join('\n'),
+                    'base/wrong_value': 'rendered output does not match:\n~ /port: 80 -> 443',
+                    'missing/default': 'failed to load template: could not find a template with name "test/missing"',
+                    'simple/no_expected': 'no expected output file found',
+                    'simple/wrong_text': 'rendered output does not match:\n-1: baz\n+1: bar'
+                });
+            });
+    });
+    it('should find no fixtures without a tests directory', function () {
+        return templateTests.runTests(templateSetPath, { testsDir: path.join(__dirname, 'no_such_dir') })
+            .then((results) => {
+                assert.deepStrictEqual(results, {
+                    setName: 'test', passed: 0, failed: 0, tests: []
+                });
+                assert.strictEqual(templateTests.formatTap(results), 'TAP version 13\n1..0\n# pass 0\n# fail 0');
+            });
+    });
+    it('should format results as TAP', function () {
+        const results = {
+            setName: 'test',
+            passed: 1,
+            failed: 1,
+            tests: [
+                {
+                    name: 'simple/a', template: 'test/simple', case: 'a', passed: true, duration: 1
+                },
+                {
+                    name: 'simple/b', template: 'test/simple', case: 'b', passed: false, duration: 2, message: 'line 1\nline 2'
+                }
+            ]
+        };
+        assert.strictEqual(templateTests.formatTap(results), [
+            'TAP version 13',
+            '1..2',
+            'ok 1 - simple/a',
+            'not ok 2 - simple/b',
+            '  ---',
+            '  message: |-',
+            '    line 1',
+            '    line 2',
+            '  ...',
+            '# pass 1',
+            '# fail 1'
+        ].join('\n'));
+        assert.strictEqual(templateTests.formatJUnit(results), [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<testsuites tests="2" failures="1" time="0.003">',
+            '  <testsuite name="test" tests="2" failures="1" time="0.003">',
+            '    <testcase classname="test/simple" name="a" time="0.001"/>',
+            '    <testcase classname="test/simple" name="b" time="0.002">',
+            '      <failure message="line 1">line 1\nline 2</failure>',
+            '    </testcase>',
+            '  </testsuite>',
+            '</testsuites>'
+        ].join('\n'));
+    });
+    it('should escape JUnit XML', function () {
+        const xml = templateTests.formatJUnit({
+            setName: 'a&b',
+            passed: 0,
+            failed: 1,
+            tests: [{
+                name: 't/c', template: 'a&b/t', case: 'c', passed: false, duration: 0, message: '"x" < y'
+            }]
+        });
+        assert.match(xml, /<testsuite name="a&amp;b"/);
+        assert.match(xml, /<failure message="&quot;x&quot; &lt; y">&quot;x&quot; &lt; y<\/failure>/);
+    });
+
+    describe('snapshots', function () {
+        let tmpDir;
+        let tsPath;
+        let snapshotsDir;
+        beforeEach(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-snapshots'));
+            tsPath = path.join(tmpDir, 'my_set');
+            snapshotsDir = path.join(tsPath, 'tests', '__snapshots__');
+            fs.mkdirSync(path.join(tsPath, 'tests', 'hello'), { recursive: true });
+            fs.writeFileSync(
+                path.join(tsPath, 'hello.yaml'),
+                'parameters:\n  name: world\ntemplate: |\n  Hello {{name}}\n'
+            );
+            fs.writeFileSync(path.join(tsPath, 'tests', 'hello', 'bob.params.yaml'), 'name: bob\n');
+        });
+        afterEach(function () {
+            if (fs.rmSync) {
+                fs.rmSync(tmpDir, { recursive: true });
+            } else {
+                // Older Node version
+                fs.rmdirSync(tmpDir, { recursive: true });
+            }
+        });
+
+        it('should match the stored snapshots of the test template set', function () {
+            return templateTests.runSnapshots(templateSetPath)
+                .then((results) => {
+                    assert.strictEqual(results.failed, 0);
+                    assert.ok(results.tests.find(x => x.name === 'base/fixture:default'));
+                    assert.strictEqual(results.written, undefined);
+                });
+        });
+        it('should render defaults, examples, and fixtures', function () {
+            const tmpl = {
+                parameterExamples: { alice: { name: 'alice' } },
+                render: (parameters) => {
+                    if (parameters.name === 'bad') {
+                        const e = new Error('parameters failed validation');
+                        e.validationErrors = [{ message: 'bad name' }];
+                        throw e;
+                    }
+                    return `Hello ${parameters.name || 'world'}`;
+                }
+            };
+            fs.writeFileSync(path.join(tsPath, 'tests', 'hello', 'bad.params.yaml'), 'name: bad\n');
+            return templateTests.discoverFixtures(tsPath)
+                .then(fixtures => templateTests.renderSnapshots(tmpl, fixtures))
+                .then((snapshots) => {
+                    assert.deepStrictEqual(snapshots, {
+                        defaults: { rendered: 'Hello world' },
+                        'example:alice': { rendered: 'Hello alice' },
+                        'fixture:bad': { validationErrors: ['bad name'] },
+                        'fixture:bob': { rendered: 'Hello bob' }
+                    });
+                });
+        });
+        it('should fail without snapshots', function () {
+            return templateTests.runSnapshots(tsPath)
+                .then((results) => {
+                    assert.strictEqual(results.failed, 1);
+                    assert.strictEqual(results.tests[0].name, 'hello');
+                    assert.match(results.tests[0].message, /no snapshot found/);
+                });
+        });
+        it('should write snapshots with update', function () {
+            return templateTests.runSnapshots(tsPath, { update: true })
+                .then((results) => {
+                    const snapshotFile = path.join(snapshotsDir, 'hello.snap.yaml');
+                    assert.strictEqual(results.failed, 0);
+                    assert.deepStrictEqual(results.written, [snapshotFile]);
+                    assert.deepStrictEqual(results.removed, []);
+                    assert.strictEqual(fs.readFileSync(snapshotFile, 'utf8'), [
+                        'defaults:',
+                        '  rendered: |',
+                        '    Hello world',
+                        'fixture:bob:',
+                        '  rendered: |',
+                        '    Hello bob',
+                        ''
+                    ].join('\n'));
+                })
+                .then(() => templateTests.runSnapshots(tsPath, { update: true }))
+                .then((results) => {
+                    assert.deepStrictEqual(results.written, [], 'unchanged snapshots should not be rewritten');
+                })
+                .then(() => templateTests.runSnapshots(tsPath))
+                .then((results) => {
+                    assert.strictEqual(results.passed, 2);
+                    assert.strictEqual(results.failed, 0);
+                });
+        });
+        it('should fail on drift', function () {
+            return templateTests.runSnapshots(tsPath, { update: true })
+                .then(() => {
+                    fs.writeFileSync(
+                        path.join(tsPath, 'hello.yaml'),
+                        'parameters:\n  name: world\ntemplate: |\n  Goodbye {{name}}\n'
+                    );
+                    fs.unlinkSync(path.join(tsPath, 'tests', 'hello', 'bob.params.yaml'));
+                    fs.writeFileSync(path.join(tsPath, 'tests', 'hello', 'alice.params.yaml'), 'name: alice\n');
+                    return templateTests.runSnapshots(tsPath);
+                })
+                .then((results) => {
+                    const messages = results.tests.reduce((acc, curr) => {
+                        acc[curr.name] = curr.message;
+                        return acc;
+                    }, {});
+                    assert.deepStrictEqual(messages, {
+                        'hello/defaults': 'snapshot does not match:\n-1: Hello world\n+1: Goodbye world',
+                        'hello/fixture:alice': 'snapshot not found (run with update to add it)',
+                        'hello/fixture:bob': 'snapshot is obsolete (run with update to remove it)'
+                    });
+                });
+        });
+        it('should remove snapshots of removed templates with update', function () {
+            return templateTests.runSnapshots(tsPath, { update: true })
+                .then(() => {
+                    fs.renameSync(path.join(tsPath, 'hello.yaml'), path.join(tsPath, 'greeting.yaml'));
+                    return templateTests.runSnapshots(tsPath, { update: true });
+                })
+                .then((results) => {
+                    assert.deepStrictEqual(results.written, [path.join(snapshotsDir, 'greeting.snap.yaml')]);
+                    assert.deepStrictEqual(results.removed, [path.join(snapshotsDir, 'hello.snap.yaml')]);
+                });
+        });
+    });
+});